@@ -8,6 +8,7 @@ const config = {
   pageLoadDelay: parseIntWithDefault(process.env.AUDIT_PAGE_LOAD_DELAY, 12000),
   concurrent: parseIntWithDefault(process.env.AUDIT_CONCURRENT, 3),
   retries: parseIntWithDefault(process.env.AUDIT_RETRIES, 3),
+  crashRetries: parseIntWithDefault(process.env.AUDIT_CRASH_RETRIES, 2),
   userAgent:
     process.env.AUDIT_USER_AGENT ||
     "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
@@ -20,9 +21,37 @@ const config = {
   ),
   includePerformance: process.env.AUDIT_INCLUDE_PERFORMANCE === "true",
   includeAccessibility: process.env.AUDIT_INCLUDE_ACCESSIBILITY === "true",
+  includeRenderDiff: process.env.AUDIT_INCLUDE_RENDER_DIFF === "true",
+  onlyAuditors: process.env.AUDIT_ONLY ? process.env.AUDIT_ONLY.split(",") : [],
+  skipAuditors: process.env.AUDIT_SKIP ? process.env.AUDIT_SKIP.split(",") : [],
+
+  emulation: {
+    profiles: process.env.AUDIT_PROFILES
+      ? process.env.AUDIT_PROFILES.split(",")
+      : ["desktop"],
+    auditors: process.env.AUDIT_PROFILE_AUDITORS
+      ? process.env.AUDIT_PROFILE_AUDITORS.split(",")
+      : [],
+    custom: {},
+  },
 
   canonical: {
     enabled: process.env.AUDIT_CANONICAL_ENABLED !== "false",
+    verifyTarget: process.env.AUDIT_CANONICAL_VERIFY_TARGET !== "false",
+    requestTimeout: parseIntWithDefault(
+      process.env.AUDIT_CANONICAL_REQUEST_TIMEOUT,
+      15000
+    ),
+    timeout: 150000,
+  },
+
+  hreflang: {
+    enabled: process.env.AUDIT_HREFLANG_ENABLED !== "false",
+    verifyTargets: process.env.AUDIT_HREFLANG_VERIFY_TARGETS !== "false",
+    requestTimeout: parseIntWithDefault(
+      process.env.AUDIT_HREFLANG_REQUEST_TIMEOUT,
+      15000
+    ),
     timeout: 150000,
   },
 
@@ -37,6 +66,28 @@ const config = {
       process.env.META_DESC_MAX_LENGTH,
       160
     ),
+    serp: {
+      desktop: {
+        titleMaxWidth: parseIntWithDefault(
+          process.env.META_TITLE_MAX_PIXELS_DESKTOP,
+          600
+        ),
+        descriptionMaxWidth: parseIntWithDefault(
+          process.env.META_DESC_MAX_PIXELS_DESKTOP,
+          960
+        ),
+      },
+      mobile: {
+        titleMaxWidth: parseIntWithDefault(
+          process.env.META_TITLE_MAX_PIXELS_MOBILE,
+          920
+        ),
+        descriptionMaxWidth: parseIntWithDefault(
+          process.env.META_DESC_MAX_PIXELS_MOBILE,
+          680
+        ),
+      },
+    },
     timeout: 150000,
   },
 
@@ -49,13 +100,30 @@ const config = {
     enabled: process.env.AUDIT_BROKEN_LINKS_ENABLED !== "false",
     checkExternal: process.env.AUDIT_CHECK_EXTERNAL_LINKS !== "false",
     concurrent: parseIntWithDefault(process.env.AUDIT_LINK_CONCURRENT, 2),
+    requestTimeout: parseIntWithDefault(process.env.AUDIT_LINK_TIMEOUT, 10000),
     timeout: 180000,
   },
 
   redirects: {
+    requestTimeout: parseIntWithDefault(
+      process.env.AUDIT_REDIRECT_TIMEOUT,
+      30000
+    ),
     timeout: 180000,
   },
 
+  renderDiff: {
+    linkCountTolerance: parseFloatWithDefault(
+      process.env.AUDIT_RENDER_DIFF_LINK_TOLERANCE,
+      0.2
+    ),
+    fetchTimeout: parseIntWithDefault(
+      process.env.AUDIT_RENDER_DIFF_TIMEOUT,
+      30000
+    ),
+    timeout: 150000,
+  },
+
   structuredData: {
     timeout: 150000,
   },
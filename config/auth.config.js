@@ -0,0 +1,70 @@
+const config = {
+  profile: process.env.AUTH_PROFILE || null,
+  profilesFile: process.env.AUTH_PROFILES_FILE || "./auth-profiles.json",
+  storageStateDir: process.env.AUTH_STORAGE_STATE_DIR || "./state/auth",
+  storageStateMaxAge:
+    parseInt(process.env.AUTH_STORAGE_STATE_MAX_AGE) || 3600000,
+
+  profiles: {
+    "staging-basic": {
+      type: "basic",
+      username: process.env.STAGING_AUTH_USERNAME,
+      password: process.env.STAGING_AUTH_PASSWORD,
+    },
+
+    "staging-cookie": {
+      type: "cookies",
+      cookies: process.env.STAGING_AUTH_COOKIE
+        ? [
+            {
+              name: process.env.STAGING_AUTH_COOKIE.split("=")[0],
+              value: process.env.STAGING_AUTH_COOKIE.split("=")
+                .slice(1)
+                .join("="),
+              domain: process.env.STAGING_AUTH_COOKIE_DOMAIN,
+              path: "/",
+            },
+          ]
+        : [],
+    },
+
+    "staging-header": {
+      type: "headers",
+      headers: process.env.STAGING_AUTH_HEADER
+        ? {
+            [process.env.STAGING_AUTH_HEADER.split(":")[0].trim()]:
+              process.env.STAGING_AUTH_HEADER.split(":")
+                .slice(1)
+                .join(":")
+                .trim(),
+          }
+        : {},
+    },
+
+    "staging-login": {
+      type: "login",
+      loginUrl: process.env.STAGING_LOGIN_URL,
+      steps: [
+        {
+          action: "fill",
+          selector: process.env.STAGING_LOGIN_USER_SELECTOR || "#username",
+          value: process.env.STAGING_LOGIN_USERNAME,
+        },
+        {
+          action: "fill",
+          selector: process.env.STAGING_LOGIN_PASSWORD_SELECTOR || "#password",
+          value: process.env.STAGING_LOGIN_PASSWORD,
+        },
+        {
+          action: "click",
+          selector:
+            process.env.STAGING_LOGIN_SUBMIT_SELECTOR ||
+            "button[type='submit']",
+        },
+        { action: "waitForLoadState", value: "networkidle" },
+      ],
+    },
+  },
+};
+
+export default config;
@@ -5,6 +5,7 @@ const config = {
   maxDepth: parseIntWithDefault(process.env.CRAWLER_MAX_DEPTH, 3),
   maxUrls: parseIntWithDefault(process.env.CRAWLER_MAX_URLS, 100),
   timeout: parseIntWithDefault(process.env.CRAWLER_TIMEOUT, 120000),
+  mode: process.env.CRAWLER_MODE || "browser",
   pageLoadDelay: parseIntWithDefault(
     process.env.CRAWLER_PAGE_LOAD_DELAY,
     12000
@@ -20,6 +21,69 @@ const config = {
     process.env.CRAWLER_USER_AGENT ||
     "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
   respectRobots: process.env.CRAWLER_RESPECT_ROBOTS !== "false",
+  robotsUserAgent: process.env.CRAWLER_ROBOTS_USER_AGENT || null,
+  robotsTimeout: parseIntWithDefault(process.env.CRAWLER_ROBOTS_TIMEOUT, 10000),
+  useSitemaps: process.env.CRAWLER_USE_SITEMAPS !== "false",
+  maxSitemaps: parseIntWithDefault(process.env.CRAWLER_MAX_SITEMAPS, 50),
+  sitemapStatusCheckLimit: parseIntWithDefault(
+    process.env.CRAWLER_SITEMAP_STATUS_CHECK_LIMIT,
+    200
+  ),
+  scopeMode: process.env.CRAWLER_SCOPE || "host",
+  allowedHosts: process.env.CRAWLER_ALLOWED_HOSTS
+    ? process.env.CRAWLER_ALLOWED_HOSTS.split(",")
+    : [],
+  discoveryMode: process.env.CRAWLER_DISCOVERY_MODE || "standard",
+  discoveryScrollSteps: parseIntWithDefault(
+    process.env.CRAWLER_DISCOVERY_SCROLL_STEPS,
+    8
+  ),
+  discoveryMaxClicks: parseIntWithDefault(
+    process.env.CRAWLER_DISCOVERY_MAX_CLICKS,
+    25
+  ),
+  crawlStrategy: process.env.CRAWLER_STRATEGY || "bfs",
+  priorityRules: process.env.CRAWLER_PRIORITY_RULES
+    ? process.env.CRAWLER_PRIORITY_RULES.split(",")
+    : [],
+  budget: {
+    maxDuration: parseIntWithDefault(process.env.CRAWLER_MAX_DURATION, null),
+    auditReserve: process.env.CRAWLER_AUDIT_RESERVE
+      ? parseFloat(process.env.CRAWLER_AUDIT_RESERVE)
+      : 0.3,
+    pathCaps: process.env.CRAWLER_PATH_CAPS
+      ? process.env.CRAWLER_PATH_CAPS.split(",")
+      : [],
+    templates: process.env.CRAWLER_TEMPLATE_SAMPLES
+      ? process.env.CRAWLER_TEMPLATE_SAMPLES.split(",")
+      : [],
+  },
+  linkGraph: {
+    nearOrphanThreshold: parseIntWithDefault(
+      process.env.CRAWLER_NEAR_ORPHAN_THRESHOLD,
+      1
+    ),
+    pageRankDamping: parseFloat(process.env.CRAWLER_PAGERANK_DAMPING) || 0.85,
+    pageRankIterations: parseIntWithDefault(
+      process.env.CRAWLER_PAGERANK_ITERATIONS,
+      40
+    ),
+  },
+  normalization: {
+    dropFragments: process.env.CRAWLER_DROP_FRAGMENTS !== "false",
+    stripParams: process.env.CRAWLER_STRIP_PARAMS
+      ? process.env.CRAWLER_STRIP_PARAMS.split(",")
+      : ["utm_*", "gclid", "fbclid", "msclkid", "mc_cid", "mc_eid"],
+    allowParams: process.env.CRAWLER_ALLOW_PARAMS
+      ? process.env.CRAWLER_ALLOW_PARAMS.split(",")
+      : null,
+    sortParams: process.env.CRAWLER_SORT_PARAMS !== "false",
+    lowercaseHost: true,
+    decodeSafe: process.env.CRAWLER_DECODE_SAFE !== "false",
+    collapseIndex: process.env.CRAWLER_COLLAPSE_INDEX === "true",
+    indexFiles: ["index.html", "index.htm"],
+    trailingSlash: false,
+  },
   followRedirects: process.env.CRAWLER_FOLLOW_REDIRECTS !== "false",
   excludePatterns: process.env.CRAWLER_EXCLUDE_PATTERNS
     ? process.env.CRAWLER_EXCLUDE_PATTERNS.split(",")
@@ -41,6 +105,7 @@ const config = {
   },
 
   crawlDelay: parseIntWithDefault(process.env.CRAWLER_DELAY, 8000),
+  reportMinScore: parseIntWithDefault(process.env.CRAWLER_REPORT_MIN_SCORE, 60),
 };
 
 export default config;
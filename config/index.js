@@ -4,11 +4,13 @@ dotenv.config();
 import crawler from "./crawler.config.js";
 import audit from "./audit.config.js";
 import email from "./email.config.js";
+import auth from "./auth.config.js";
 
 export default {
   crawler,
   audit,
   email,
+  auth,
 
   logging: {
     level: process.env.LOG_LEVEL || "info",
@@ -16,6 +18,31 @@ export default {
     console: process.env.LOG_CONSOLE !== "false",
   },
 
+  rateLimit: {
+    requests: parseInt(process.env.RATE_LIMIT_REQUESTS) || 5,
+    window: parseInt(process.env.RATE_LIMIT_WINDOW) || 1000,
+    initialBackoff: parseInt(process.env.RATE_LIMIT_INITIAL_BACKOFF) || 2000,
+    maxInterval: parseInt(process.env.RATE_LIMIT_MAX_INTERVAL) || 60000,
+    backoffFactor: parseFloat(process.env.RATE_LIMIT_BACKOFF_FACTOR) || 2,
+    recoveryFactor: parseFloat(process.env.RATE_LIMIT_RECOVERY_FACTOR) || 0.8,
+    maxRetries: parseInt(process.env.RATE_LIMIT_MAX_RETRIES) || 3,
+  },
+
+  state: {
+    dir: process.env.STATE_DIR || "./state",
+  },
+
+  browserPool: {
+    maxPagesPerBrowser: parseInt(process.env.BROWSER_MAX_PAGES) || 200,
+  },
+
+  plugins: {
+    dir: process.env.AUDITOR_PLUGINS_DIR || "./plugins",
+    packages: process.env.AUDITOR_PLUGINS
+      ? process.env.AUDITOR_PLUGINS.split(",")
+      : [],
+  },
+
   reports: {
     excel: {
       outputDir: process.env.EXCEL_OUTPUT_DIR || "./reports/excel",
@@ -23,5 +50,11 @@ export default {
     html: {
       outputDir: process.env.HTML_OUTPUT_DIR || "./reports/html",
     },
+    json: {
+      outputDir: process.env.JSON_OUTPUT_DIR || "./reports/json",
+    },
+    graph: {
+      outputDir: process.env.GRAPH_OUTPUT_DIR || "./reports/graph",
+    },
   },
 };
@@ -46,13 +46,35 @@ const argv = yargs(hideBin(process.argv))
   .option("include", {
     alias: "i",
     describe: "Additional audits to include",
-    choices: ["performance", "accessibility", "all"],
+    choices: ["performance", "accessibility", "render-diff", "all"],
     type: "string",
   })
+  .option("only", {
+    describe: "Run only these auditors (e.g. canonical,metaTags)",
+    type: "array",
+    default: [],
+  })
+  .option("skip", {
+    describe: "Auditors to leave out (e.g. brokenLinks)",
+    type: "array",
+    default: [],
+  })
+  .option("profile", {
+    describe:
+      "Emulation profiles to audit with, combine with + (e.g. desktop,pixel+slow-4g,googlebot-smartphone)",
+    type: "array",
+    default: [],
+  })
+  .option("profile-auditors", {
+    describe:
+      "Auditors to rerun under the extra profiles (e.g. performance), defaults to all",
+    type: "array",
+    default: [],
+  })
   .option("output", {
     alias: "o",
     describe: "Output formats",
-    choices: ["excel", "html", "json", "csv", "all"],
+    choices: ["excel", "html", "json", "csv", "graph", "all"],
     type: "array",
     default: ["excel"],
   })
@@ -71,6 +93,91 @@ const argv = yargs(hideBin(process.argv))
     type: "array",
     default: [],
   })
+  .option("respect-robots", {
+    describe: "Skip URLs disallowed by robots.txt during discovery",
+    type: "boolean",
+    default: true,
+  })
+  .option("sitemaps", {
+    describe: "Seed discovery from XML sitemaps and report sitemap coverage",
+    type: "boolean",
+    default: true,
+  })
+  .option("scope", {
+    describe:
+      "Crawl scope: exact host, registrable domain (all subdomains) or host allowlist",
+    choices: ["host", "domain", "allowlist"],
+    type: "string",
+  })
+  .option("allow-host", {
+    describe: "Hosts to crawl in allowlist scope (supports *.example.com)",
+    type: "array",
+    default: [],
+  })
+  .option("mode", {
+    describe:
+      "Page loading: render in Chromium, or fetch server HTML over HTTP without a browser (faster, no JavaScript)",
+    choices: ["browser", "static"],
+    type: "string",
+  })
+  .option("discovery", {
+    describe:
+      "Link discovery mode (extended also captures JS navigation, data-href, router links and injected links)",
+    choices: ["standard", "extended"],
+    type: "string",
+  })
+  .option("crawl-strategy", {
+    describe: "Order in which discovered URLs are crawled",
+    choices: ["bfs", "dfs", "sitemap-priority", "inbound-links"],
+    type: "string",
+  })
+  .option("priority", {
+    describe: "Regex-weighted crawl priority rules (<pattern>=<weight>)",
+    type: "array",
+    default: [],
+  })
+  .option("auth", {
+    describe: "Named auth profile for protected or staging sites",
+    type: "string",
+  })
+  .option("time-budget", {
+    describe: "Stop crawling and auditing after this many minutes",
+    type: "number",
+  })
+  .option("path-cap", {
+    describe: "Cap URLs under a path prefix (<prefix>=<count>)",
+    type: "array",
+    default: [],
+  })
+  .option("sample", {
+    describe:
+      "Audit at most N URLs matching a template regex (<pattern>=<count>)",
+    type: "array",
+    default: [],
+  })
+  .option("urls-file", {
+    describe:
+      "Audit the URLs in a text file, CSV or sitemap (file or URL) instead of crawling",
+    type: "string",
+  })
+  .option("from-report", {
+    describe: "Re-audit the URLs in a previous JSON report",
+    type: "string",
+  })
+  .option("report-filter", {
+    describe: "Which URLs to take from --from-report",
+    choices: ["all", "failed", "low-score"],
+    type: "string",
+    default: "all",
+  })
+  .option("min-score", {
+    describe: "Score below which --report-filter=low-score re-audits a URL",
+    type: "number",
+  })
+  .option("resume", {
+    describe: "Resume an interrupted audit by its audit ID",
+    type: "string",
+  })
   .option("headless", {
     describe: "Run browser in headless mode",
     type: "boolean",
@@ -115,9 +222,14 @@ class AuditRunner {
       this.displayStartupInfo(options);
 
       console.log("Initializing LandingPageAuditor...");
-      const auditor = new LandingPageAuditor(options.config);
+      const auditor = new LandingPageAuditor({
+        ...options.config,
+        resume: options.resume,
+      });
       console.log(" LandingPageAuditor created");
 
+      this.registerInterruptHandler(auditor);
+
       console.log(" Initializing auditor components...");
       await auditor.initialize();
       console.log(" Auditor initialized");
@@ -151,29 +263,50 @@ class AuditRunner {
     console.log(" Parsing options...");
     let url = argv._[0];
 
-    if (!url) {
-      console.log(colors.red("Error: Landing page URL is required"));
+    if (!url && !argv.resume && !argv.urlsFile && !argv.fromReport) {
+      console.log(
+        colors.red(
+          "Error: Landing page URL is required (or use --urls-file / --from-report)"
+        )
+      );
       console.log("Usage: npm run audit <url> [options]");
       process.exit(1);
     }
 
-    try {
-      new URL(url);
-      console.log("URL validated:", url);
-    } catch (error) {
-      console.log(colors.red(`Error: Invalid URL format: ${url}`));
-      process.exit(1);
+    if (url) {
+      try {
+        new URL(url);
+        console.log("URL validated:", url);
+      } catch (error) {
+        console.log(colors.red(`Error: Invalid URL format: ${url}`));
+        process.exit(1);
+      }
     }
 
     const envConfig = this.getEnvironmentConfig(argv.env);
+    const commaList = (values) =>
+      values
+        .flatMap((value) => String(value).split(","))
+        .map((value) => value.trim())
+        .filter(Boolean);
 
     const auditOptions = {
       maxDepth: argv.depth,
       maxUrls: argv.maxUrls,
+      respectRobots: argv.respectRobots,
+      useSitemaps: argv.sitemaps,
+      urlsFile: argv.urlsFile,
+      fromReport: argv.fromReport,
+      reportFilter: argv.reportFilter,
+      minScore: argv.minScore ?? appConfig.crawler?.reportMinScore,
       includePerformance:
         argv.include === "performance" || argv.include === "all",
       includeAccessibility:
         argv.include === "accessibility" || argv.include === "all",
+      includeRenderDiff:
+        argv.include === "render-diff" ||
+        argv.include === "all" ||
+        appConfig.audit?.includeRenderDiff === true,
       includeSecurity: argv.include === "all",
       includeVisualRegression:
         process.env.VISUAL_REGRESSION_ENABLED === "true" ||
@@ -186,6 +319,8 @@ class AuditRunner {
       includeHTML: argv.output.includes("html") || argv.output.includes("all"),
       includeJSON: argv.output.includes("json") || argv.output.includes("all"),
       includeCSV: argv.output.includes("csv") || argv.output.includes("all"),
+      includeGraph:
+        argv.output.includes("graph") || argv.output.includes("all"),
       ...envConfig.auditOptions,
     };
 
@@ -195,22 +330,62 @@ class AuditRunner {
         maxUrls: argv.maxUrls,
         timeout: argv.timeout,
         headless: argv.headless,
+        mode: argv.mode || appConfig.crawler?.mode || "browser",
         userAgent:
           argv.userAgent ||
           (appConfig.crawler
             ? appConfig.crawler.userAgent
             : "SEO-Landing-Page-Auditor/2.0"),
         excludePatterns: argv.exclude,
+        respectRobots: argv.respectRobots,
+        useSitemaps: argv.sitemaps,
+        scopeMode: argv.scope || appConfig.crawler?.scopeMode || "host",
+        allowedHosts: argv.allowHost.length
+          ? argv.allowHost.map(String)
+          : appConfig.crawler?.allowedHosts || [],
+        discoveryMode:
+          argv.discovery || appConfig.crawler?.discoveryMode || "standard",
+        discoveryScrollSteps: appConfig.crawler?.discoveryScrollSteps,
+        discoveryMaxClicks: appConfig.crawler?.discoveryMaxClicks,
+        crawlStrategy:
+          argv.crawlStrategy || appConfig.crawler?.crawlStrategy || "bfs",
+        priorityRules: argv.priority.length
+          ? argv.priority.map(String)
+          : appConfig.crawler?.priorityRules || [],
+        normalization: appConfig.crawler?.normalization,
+        linkGraph: appConfig.crawler?.linkGraph,
+        budget: {
+          ...appConfig.crawler?.budget,
+          ...(argv.timeBudget ? { maxDuration: argv.timeBudget * 60000 } : {}),
+          ...(argv.pathCap.length ? { pathCaps: argv.pathCap } : {}),
+          ...(argv.sample.length ? { templates: argv.sample } : {}),
+        },
         ...envConfig.crawler,
       },
 
       audit: {
+        ...appConfig.audit,
+        mode: argv.mode || appConfig.crawler?.mode || "browser",
         concurrent: argv.concurrent,
         timeout: argv.timeout,
         includePerformance: auditOptions.includePerformance,
         includeAccessibility: auditOptions.includeAccessibility,
         includeVisualRegression: auditOptions.includeVisualRegression,
         includeStructureComparison: auditOptions.includeStructureComparison,
+        includeRenderDiff: auditOptions.includeRenderDiff,
+        onlyAuditors: argv.only.length
+          ? commaList(argv.only)
+          : appConfig.audit?.onlyAuditors || [],
+        skipAuditors: argv.skip.length
+          ? commaList(argv.skip)
+          : appConfig.audit?.skipAuditors || [],
+        emulation: {
+          ...appConfig.audit?.emulation,
+          ...(argv.profile.length ? { profiles: commaList(argv.profile) } : {}),
+          ...(argv.profileAuditors.length
+            ? { auditors: commaList(argv.profileAuditors) }
+            : {}),
+        },
         ...envConfig.audit,
       },
 
@@ -219,18 +394,25 @@ class AuditRunner {
         ...(appConfig.logging || {}),
       },
 
+      auth: {
+        ...appConfig.auth,
+        profile: argv.auth || appConfig.auth?.profile || null,
+      },
+
       email: appConfig.email || { enabled: false },
 
       reports: appConfig.reports || {
         excel: { outputDir: "./reports/excel" },
         html: { outputDir: "./reports/html" },
+        json: { outputDir: "./reports/json" },
+        graph: { outputDir: "./reports/graph" },
       },
 
       ...envConfig.config,
     };
 
     console.log(" Configuration built");
-    return { url, auditOptions, config };
+    return { url, auditOptions, config, resume: argv.resume || null };
   }
 
   getEnvironmentConfig(env) {
@@ -268,9 +450,66 @@ class AuditRunner {
     );
 
     console.log(colors.white("✓ Audit Configuration:"));
-    console.log(colors.gray(`   Target URL: ${options.url}`));
+    console.log(
+      colors.gray(
+        `   Target URL: ${
+          options.url ||
+          (options.resume ? "(from saved state)" : "(from URL list)")
+        }`
+      )
+    );
+    if (options.resume) {
+      console.log(colors.gray(`   Resuming Audit: ${options.resume}`));
+    }
+    if (options.auditOptions.urlsFile) {
+      console.log(colors.gray(`   URL List: ${options.auditOptions.urlsFile}`));
+    }
+    if (options.auditOptions.fromReport) {
+      console.log(
+        colors.gray(
+          `   From Report: ${options.auditOptions.fromReport} (${options.auditOptions.reportFilter})`
+        )
+      );
+    }
     console.log(colors.gray(`   Max Depth: ${options.auditOptions.maxDepth}`));
     console.log(colors.gray(`   Max URLs: ${options.auditOptions.maxUrls}`));
+    console.log(colors.gray(`   Mode: ${options.config.crawler.mode}`));
+    console.log(
+      colors.gray(`   Crawl Scope: ${options.config.crawler.scopeMode}`)
+    );
+    console.log(
+      colors.gray(`   Crawl Strategy: ${options.config.crawler.crawlStrategy}`)
+    );
+    console.log(
+      colors.gray(`   Link Discovery: ${options.config.crawler.discoveryMode}`)
+    );
+    const budget = options.config.crawler.budget;
+    if (budget.maxDuration) {
+      console.log(
+        colors.gray(
+          `   Time Budget: ${Math.round(
+            budget.maxDuration / 60000
+          )}m (${Math.round(
+            (budget.auditReserve ?? 0) * 100
+          )}% reserved for auditing)`
+        )
+      );
+    }
+    if (budget.pathCaps?.length || budget.templates?.length) {
+      console.log(
+        colors.gray(
+          `   URL Budgets: ${[
+            ...(budget.pathCaps || []),
+            ...(budget.templates || []),
+          ].join(", ")}`
+        )
+      );
+    }
+    if (options.config.auth.profile) {
+      console.log(
+        colors.gray(`   Auth Profile: ${options.config.auth.profile}`)
+      );
+    }
     console.log(
       colors.gray(`   Concurrent: ${options.config.audit.concurrent}`)
     );
@@ -288,6 +527,38 @@ class AuditRunner {
         }`
       )
     );
+    console.log(
+      colors.gray(
+        `   Render Diff: ${
+          options.auditOptions.includeRenderDiff ? "Yes" : "No"
+        }`
+      )
+    );
+    if (options.config.audit.onlyAuditors.length) {
+      console.log(
+        colors.gray(
+          `   Only Auditors: ${options.config.audit.onlyAuditors.join(", ")}`
+        )
+      );
+    }
+    if (options.config.audit.skipAuditors.length) {
+      console.log(
+        colors.gray(
+          `   Skipped Auditors: ${options.config.audit.skipAuditors.join(", ")}`
+        )
+      );
+    }
+    if (options.config.audit.emulation?.profiles?.length) {
+      console.log(
+        colors.gray(
+          `   Profiles: ${options.config.audit.emulation.profiles.join(", ")}${
+            options.config.audit.emulation.auditors?.length
+              ? ` (extra profiles run ${options.config.audit.emulation.auditors.join(", ")})`
+              : ""
+          }`
+        )
+      );
+    }
     console.log(
       colors.gray(
         `   Visual Regression: ${
@@ -341,6 +612,60 @@ class AuditRunner {
       console.log(colors.green(`   ✓ No Critical Issues Found`));
     }
 
+    results.summary.budgetHits?.forEach((hit) => {
+      console.log(
+        colors.yellow(`   Budget Hit: ${hit.description} (${hit.phase})`)
+      );
+    });
+
+    if (results.summary.canonicalClusterFindingsCount > 0) {
+      console.log(
+        colors.yellow(
+          `   Canonical Cluster Findings: ${results.summary.canonicalClusterFindingsCount}`
+        )
+      );
+    }
+
+    if (results.summary.hreflangFindingsCount > 0) {
+      console.log(
+        colors.yellow(
+          `   Missing Hreflang Return Links: ${results.summary.hreflangFindingsCount}`
+        )
+      );
+    }
+
+    if (results.summary.crashRetriedCount > 0) {
+      console.log(
+        colors.yellow(
+          `   Retried After Browser Crash: ${results.summary.crashRetriedCount} URL(s)`
+        )
+      );
+    }
+
+    if (results.summary.profileBreakdown?.length > 1) {
+      results.summary.profileBreakdown.forEach((profile) => {
+        console.log(
+          colors.gray(
+            `   Profile ${profile.profile}: score ${profile.averageScore}/100, ${
+              profile.criticalIssues
+            } critical, avg load ${profile.avgLoadTime}ms${
+              profile.avgLcp !== null ? `, avg LCP ${profile.avgLcp}ms` : ""
+            }`
+          )
+        );
+      });
+    }
+
+    results.summary.auditorRuns
+      ?.filter((auditor) => auditor.timedOut > 0)
+      .forEach((auditor) => {
+        console.log(
+          colors.yellow(
+            `   Auditor Timeout: ${auditor.name} on ${auditor.timedOut} URL(s)`
+          )
+        );
+      });
+
     console.log("");
     console.log(colors.white("✓ Generated Reports:"));
     if (results.reports.excel) {
@@ -349,11 +674,36 @@ class AuditRunner {
     if (results.reports.html) {
       console.log(colors.gray(`   HTML: ${results.reports.html.filePath}`));
     }
+    if (results.reports.json) {
+      console.log(colors.gray(`   JSON: ${results.reports.json.filePath}`));
+    }
+    if (results.reports.graph) {
+      Object.entries(results.reports.graph.files).forEach(([format, file]) => {
+        console.log(
+          colors.gray(`   Link Graph (${format.toUpperCase()}): ${file}`)
+        );
+      });
+    }
 
     console.log("");
     console.log(colors.green(" Landing page audit completed successfully!"));
   }
 
+  registerInterruptHandler(auditor) {
+    process.once("SIGINT", () => {
+      console.log("");
+      console.log(
+        colors.yellow(" Audit interrupted - progress has been saved")
+      );
+      console.log(
+        colors.yellow(
+          `   Resume with: node run-audit.js --resume ${auditor.auditId}`
+        )
+      );
+      process.exit(130);
+    });
+  }
+
   formatDuration(ms) {
     const seconds = Math.floor(ms / 1000);
     const minutes = Math.floor(seconds / 60);
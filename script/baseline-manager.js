@@ -30,7 +30,7 @@ async function createBaselines(url) {
   await auditor.initialize();
   console.log(`Creating baselines for: ${url}`);
 
-  const results = await auditor.auditEngine.createBaselines(url);
+  const results = await auditor.createBaselines(url);
   console.log(` Baselines created for ${results.length} pages`);
 
   await auditor.cleanup();
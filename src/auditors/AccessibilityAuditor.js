@@ -1,4 +1,5 @@
 import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
 
 class AccessibilityAuditor extends BaseAuditor {
   constructor(config = {}) {
@@ -420,4 +421,9 @@ class AccessibilityAuditor extends BaseAuditor {
   }
 }
 
+AuditorRegistry.register(AccessibilityAuditor, {
+  name: "accessibility",
+  includeOption: "includeAccessibility",
+});
+
 export default AccessibilityAuditor;
@@ -0,0 +1,166 @@
+import fs from "fs-extra";
+import path from "path";
+import { pathToFileURL } from "url";
+import BaseAuditor from "./BaseAuditor.js";
+import Logger from "../utils/Logger.js";
+
+class AuditorRegistry {
+  static INPUTS = ["page", "url", "html"];
+  static RESERVED_NAMES = ["issues", "warnings", "recommendations", "plugins"];
+
+  static definitions = new Map();
+  static loadedPlugins = new Set();
+
+  static register(AuditorClass, definition = {}) {
+    const name = definition.name;
+
+    if (!name || typeof name !== "string") {
+      throw new Error("Auditor registration needs a name");
+    }
+
+    if (!(AuditorClass?.prototype instanceof BaseAuditor)) {
+      throw new Error(`Auditor "${name}" must extend BaseAuditor`);
+    }
+
+    if (AuditorRegistry.RESERVED_NAMES.includes(name)) {
+      throw new Error(`Auditor name "${name}" is reserved`);
+    }
+
+    if (AuditorRegistry.definitions.has(name)) {
+      throw new Error(`Auditor "${name}" is already registered`);
+    }
+
+    const input = definition.input || "page";
+    if (!AuditorRegistry.INPUTS.includes(input)) {
+      throw new Error(
+        `Auditor "${name}" has unknown input "${input}". Use one of: ${AuditorRegistry.INPUTS.join(
+          ", "
+        )}`
+      );
+    }
+
+    const registered = {
+      name,
+      auditor: AuditorClass,
+      configKey: definition.configKey || name,
+      defaultEnabled: definition.defaultEnabled === true,
+      includeOption: definition.includeOption || null,
+      dependencies: definition.dependencies || [],
+      input,
+      rawHtml: input === "html" || definition.rawHtml === true,
+      requiresBrowser: AuditorClass.REQUIRES_BROWSER === true,
+      source: definition.source || "built-in",
+    };
+
+    AuditorRegistry.definitions.set(name, registered);
+    return registered;
+  }
+
+  static get(name) {
+    return AuditorRegistry.definitions.get(name) || null;
+  }
+
+  static has(name) {
+    return AuditorRegistry.definitions.has(name);
+  }
+
+  static list() {
+    return Array.from(AuditorRegistry.definitions.values());
+  }
+
+  static resolveOrder(names) {
+    const levels = new Map();
+    const visiting = new Set();
+
+    const visit = (name, requiredBy = null) => {
+      if (levels.has(name)) return levels.get(name);
+
+      const definition = AuditorRegistry.get(name);
+      if (!definition) {
+        throw new Error(
+          requiredBy
+            ? `Auditor "${requiredBy}" depends on unknown auditor "${name}"`
+            : `Unknown auditor "${name}"`
+        );
+      }
+
+      if (visiting.has(name)) {
+        throw new Error(`Circular auditor dependency involving "${name}"`);
+      }
+
+      visiting.add(name);
+      const level = Math.max(
+        0,
+        ...definition.dependencies.map(
+          (dependency) => visit(dependency, name) + 1
+        )
+      );
+      visiting.delete(name);
+      levels.set(name, level);
+
+      return level;
+    };
+
+    names.forEach((name) => visit(name));
+
+    const ordered = [];
+    levels.forEach((level, name) => {
+      ordered[level] = [...(ordered[level] || []), name];
+    });
+
+    return ordered.filter(Boolean);
+  }
+
+  static async loadPlugins(config = {}) {
+    const logger = new Logger("AuditorRegistry");
+    const sources = [];
+
+    if (config.dir && (await fs.pathExists(config.dir))) {
+      const files = (await fs.readdir(config.dir))
+        .filter((file) => /\.m?js$/.test(file))
+        .sort();
+      sources.push(...files.map((file) => path.resolve(config.dir, file)));
+    }
+
+    sources.push(...(config.packages || []));
+
+    for (const source of sources) {
+      if (AuditorRegistry.loadedPlugins.has(source)) continue;
+      AuditorRegistry.loadedPlugins.add(source);
+
+      const specifier =
+        source.startsWith(".") || path.isAbsolute(source)
+          ? pathToFileURL(path.resolve(source)).href
+          : source;
+      const before = new Set(AuditorRegistry.definitions.keys());
+
+      try {
+        const { default: plugin } = await import(specifier);
+
+        if (
+          typeof plugin === "function" &&
+          !(plugin.prototype instanceof BaseAuditor)
+        ) {
+          await plugin(AuditorRegistry, { BaseAuditor });
+        }
+      } catch (error) {
+        throw new Error(
+          `Failed to load auditor plugin ${source}: ${error.message}`
+        );
+      }
+
+      const added = AuditorRegistry.list().filter(
+        (definition) => !before.has(definition.name)
+      );
+      added.forEach((definition) => {
+        definition.source = source;
+      });
+
+      logger.info(`Loaded auditor plugin ${source}`, {
+        auditors: added.map((definition) => definition.name),
+      });
+    }
+  }
+}
+
+export default AuditorRegistry;
@@ -1,10 +1,48 @@
 import Logger from "../utils/Logger.js";
 
 class BaseAuditor {
+  static REQUIRES_BROWSER = false;
+  static VALUE_DIRECTIVES = [
+    "max-snippet",
+    "max-image-preview",
+    "max-video-preview",
+    "unavailable_after",
+  ];
+
   constructor(config = {}) {
     this.config = config;
     this.logger = new Logger(this.constructor.name);
-    this.browser = config.browser;
+    this.browserPool = config.browserPool || null;
+    this.rateLimiter = config.rateLimiter || null;
+    this.authManager = config.authManager || null;
+  }
+
+  withAuth(url, requestConfig) {
+    if (!this.authManager) return requestConfig;
+    return this.authManager.applyToRequest(url, requestConfig);
+  }
+
+  async rateLimitedRequest(url, request) {
+    if (!this.rateLimiter) {
+      return await request();
+    }
+
+    return await this.rateLimiter.schedule(url, request);
+  }
+
+  isNoindex(robots) {
+    return (robots || "").split(",").some((directive) => {
+      const parts = directive
+        .trim()
+        .toLowerCase()
+        .split(/\s*:\s*/);
+      const rule =
+        parts.length > 1 && !BaseAuditor.VALUE_DIRECTIVES.includes(parts[0])
+          ? parts[1]
+          : parts[0];
+
+      return rule === "noindex" || rule === "none";
+    });
   }
 
   async initialize() {
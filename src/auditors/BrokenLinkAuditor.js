@@ -1,11 +1,12 @@
 import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
 import axios from "axios";
 
 class BrokenLinkAuditor extends BaseAuditor {
   constructor(config = {}) {
     super(config);
     this.concurrent = config.concurrent || 5;
-    this.timeout = config.timeout || 10000;
+    this.timeout = config.requestTimeout || 10000;
     this.checkExternal = config.checkExternal !== false;
   }
 
@@ -189,17 +190,23 @@ class BrokenLinkAuditor extends BaseAuditor {
     }
 
     try {
-      const response = await axios.head(link.url, {
-        timeout: this.timeout,
-        maxRedirects: 5,
-        validateStatus: (status) => status < 500,
-        headers: {
-          "User-Agent": this.config.userAgent || "SEO-Landing-Page-Auditor/2.0",
-        },
-      });
+      const response = await this.rateLimitedRequest(link.url, () =>
+        axios.head(
+          link.url,
+          this.withAuth(link.url, {
+            timeout: this.timeout,
+            maxRedirects: 5,
+            validateStatus: (status) => status < 500,
+            headers: {
+              "User-Agent":
+                this.config.userAgent || "SEO-Landing-Page-Auditor/2.0",
+            },
+          })
+        )
+      );
 
       const responseTime = Date.now() - startTime;
-      const isBroken = response.status >= 400;
+      const isBroken = response.status >= 400 && response.status !== 429;
 
       return {
         ...link,
@@ -372,4 +379,9 @@ class BrokenLinkAuditor extends BaseAuditor {
   }
 }
 
+AuditorRegistry.register(BrokenLinkAuditor, {
+  name: "brokenLinks",
+  defaultEnabled: true,
+});
+
 export default BrokenLinkAuditor;
@@ -1,28 +1,63 @@
 import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
+import axios from "axios";
+import * as cheerio from "cheerio";
 
 class CanonicalAuditor extends BaseAuditor {
   constructor(config = {}) {
     super(config);
+    this.verifyTarget = config.verifyTarget !== false;
+    this.timeout = config.requestTimeout || 15000;
+    this.targetCache = new Map();
   }
 
-  async audit(page, url) {
+  async audit(page, url, context = {}) {
     try {
-      const canonicalData = await page.evaluate(() => {
-        const canonicalLink = document.querySelector("link[rel='canonical']");
+      const pageData = await page.evaluate(() => {
+        const canonicalLinks = Array.from(
+          document.querySelectorAll("link[rel]")
+        ).filter((link) =>
+          link
+            .getAttribute("rel")
+            .toLowerCase()
+            .split(/\s+/)
+            .includes("canonical")
+        );
         const metaRobots = document.querySelector("meta[name='robots']");
 
         return {
-          canonical: canonicalLink ? canonicalLink.href : null,
-          hasCanonical: !!canonicalLink,
+          canonicals: canonicalLinks.map((link) => ({
+            href: link.getAttribute("href") || "",
+            url: link.href,
+            source: link.closest("head") ? "head" : "body",
+          })),
           metaRobots: metaRobots ? metaRobots.content : null,
           title: document.title || "",
           url: window.location.href,
         };
       });
 
+      const canonicals = [
+        ...pageData.canonicals,
+        ...this.parseLinkHeader(context.headers?.link, url),
+      ];
+      const effective =
+        canonicals.find((declaration) => declaration.source === "head") ||
+        canonicals.find((declaration) => declaration.source === "header") ||
+        canonicals[0] ||
+        null;
+      const canonicalData = {
+        canonical: effective ? effective.url : null,
+        hasCanonical: !!effective,
+        metaRobots: pageData.metaRobots,
+      };
+
       const issues = [];
       const warnings = [];
       const recommendations = [];
+      let canonicalTarget = null;
+
+      this.auditDeclarations(canonicals, url, issues, warnings);
 
       if (!canonicalData.hasCanonical) {
         issues.push(
@@ -62,6 +97,14 @@ class CanonicalAuditor extends BaseAuditor {
               )
             );
           }
+
+          if (
+            this.verifyTarget &&
+            this.normalizeUrl(canonicalUrl.href) !== this.normalizeUrl(url)
+          ) {
+            canonicalTarget = await this.getCanonicalTarget(canonicalUrl.href);
+            this.auditCanonicalTarget(canonicalTarget, url, issues, warnings);
+          }
         } catch (error) {
           issues.push(
             this.createError(
@@ -75,10 +118,7 @@ class CanonicalAuditor extends BaseAuditor {
         }
       }
 
-      if (
-        canonicalData.metaRobots &&
-        canonicalData.metaRobots.includes("noindex")
-      ) {
+      if (this.isNoindex(canonicalData.metaRobots)) {
         warnings.push(
           this.createWarning(
             "noindex_with_canonical",
@@ -94,6 +134,8 @@ class CanonicalAuditor extends BaseAuditor {
         canonical: canonicalData.canonical,
         hasCanonical: canonicalData.hasCanonical,
         metaRobots: canonicalData.metaRobots,
+        canonicals,
+        canonicalTarget,
         issues,
         warnings,
         recommendations,
@@ -105,6 +147,305 @@ class CanonicalAuditor extends BaseAuditor {
     }
   }
 
+  parseLinkHeader(header, url) {
+    if (!header) return [];
+
+    return (Array.isArray(header) ? header.join(", ") : String(header))
+      .split(/[,\n](?=\s*<)/)
+      .map((part) => part.match(/<([^>]*)>(.*)/))
+      .filter(
+        (match) =>
+          match &&
+          match[2]
+            .split(";")
+            .some((param) =>
+              /^\s*rel\s*=\s*"?([^"]*)"?\s*$/i
+                .exec(param)?.[1]
+                .toLowerCase()
+                .split(/\s+/)
+                .includes("canonical")
+            )
+      )
+      .map((match) => ({
+        href: match[1],
+        url: this.toUrl(match[1], url)?.href || match[1],
+        source: "header",
+      }));
+  }
+
+  auditDeclarations(canonicals, url, issues, warnings) {
+    const distinct = [
+      ...new Set(canonicals.map((declaration) => declaration.url)),
+    ];
+    const details = {
+      url,
+      canonicals: canonicals.map(
+        (declaration) => `${declaration.source}: ${declaration.href}`
+      ),
+    };
+
+    if (distinct.length > 1) {
+      issues.push(
+        this.createError(
+          "conflicting_canonicals",
+          `Page declares ${distinct.length} different canonical URLs`,
+          details
+        )
+      );
+    } else if (canonicals.length > 1) {
+      warnings.push(
+        this.createWarning(
+          "multiple_canonicals",
+          `Page declares the same canonical URL ${canonicals.length} times`,
+          details
+        )
+      );
+    }
+
+    canonicals.forEach((declaration) => {
+      const declarationDetails = {
+        url,
+        canonical: declaration.href,
+        source: declaration.source,
+      };
+
+      if (declaration.source === "body") {
+        issues.push(
+          this.createError(
+            "canonical_outside_head",
+            "Canonical link is placed outside <head> and will be ignored",
+            declarationDetails
+          )
+        );
+      }
+
+      if (!/^[a-z][a-z0-9+.-]*:/i.test(declaration.href.trim())) {
+        warnings.push(
+          this.createWarning(
+            "relative_canonical",
+            "Canonical URL is relative instead of absolute",
+            declarationDetails
+          )
+        );
+      }
+
+      if (declaration.href.includes("#")) {
+        warnings.push(
+          this.createWarning(
+            "canonical_with_fragment",
+            "Canonical URL contains a fragment",
+            declarationDetails
+          )
+        );
+      }
+
+      if (this.toUrl(declaration.url)?.search) {
+        warnings.push(
+          this.createWarning(
+            "canonical_with_query",
+            "Canonical URL contains a query string",
+            declarationDetails
+          )
+        );
+      }
+    });
+  }
+
+  toUrl(value, base) {
+    try {
+      return new URL(value, base);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = "";
+      return parsed.href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  getCanonicalTarget(targetUrl) {
+    const key = this.normalizeUrl(targetUrl);
+
+    if (!this.targetCache.has(key)) {
+      this.targetCache.set(key, this.fetchCanonicalTarget(key));
+    }
+
+    return this.targetCache.get(key);
+  }
+
+  async fetchCanonicalTarget(targetUrl) {
+    try {
+      const response = await this.rateLimitedRequest(targetUrl, () =>
+        axios.get(
+          targetUrl,
+          this.withAuth(targetUrl, {
+            timeout: this.timeout,
+            maxRedirects: 0,
+            responseType: "text",
+            transformResponse: [(data) => data],
+            validateStatus: () => true,
+            headers: {
+              "User-Agent":
+                this.config.userAgent || "SEO-Landing-Page-Auditor/2.0",
+              Accept: "text/html,application/xhtml+xml",
+            },
+          })
+        )
+      );
+
+      const target = {
+        url: targetUrl,
+        statusCode: response.status,
+        location: response.headers.location
+          ? new URL(response.headers.location, targetUrl).href
+          : null,
+        noindex: this.isNoindex(response.headers["x-robots-tag"]),
+        robots: response.headers["x-robots-tag"] || null,
+        canonical:
+          this.parseLinkHeader(response.headers.link, targetUrl)[0]?.url ||
+          null,
+        error: null,
+      };
+
+      if (response.status >= 200 && response.status < 300) {
+        const $ = cheerio.load(
+          typeof response.data === "string" ? response.data : ""
+        );
+        const robots = $("meta[name='robots'], meta[name='googlebot']")
+          .map((index, element) => $(element).attr("content") || "")
+          .get()
+          .join(", ");
+        const canonical = $("link[rel~='canonical']").first().attr("href");
+
+        if (robots) {
+          target.robots = [target.robots, robots].filter(Boolean).join(", ");
+          target.noindex = target.noindex || this.isNoindex(robots);
+        }
+
+        if (canonical) {
+          try {
+            target.canonical = new URL(canonical, targetUrl).href;
+          } catch (error) {
+            target.canonical = canonical;
+          }
+        }
+      }
+
+      return target;
+    } catch (error) {
+      return {
+        url: targetUrl,
+        statusCode: null,
+        location: null,
+        noindex: false,
+        robots: null,
+        canonical: null,
+        error: error.message,
+      };
+    }
+  }
+
+  auditCanonicalTarget(target, url, issues, warnings) {
+    const details = {
+      url,
+      canonical: target.url,
+      statusCode: target.statusCode,
+    };
+
+    if (target.error) {
+      warnings.push(
+        this.createWarning(
+          "canonical_target_unreachable",
+          `Canonical URL could not be requested: ${target.error}`,
+          details
+        )
+      );
+      return;
+    }
+
+    if (target.statusCode >= 300 && target.statusCode < 400) {
+      issues.push(
+        this.createError(
+          "canonical_target_redirect",
+          `Canonical URL redirects (${target.statusCode}) to ${
+            target.location || "an unknown location"
+          }`,
+          { ...details, location: target.location }
+        )
+      );
+      return;
+    }
+
+    if (target.statusCode >= 500) {
+      issues.push(
+        this.createError(
+          "canonical_target_server_error",
+          `Canonical URL returns HTTP ${target.statusCode}`,
+          details
+        )
+      );
+      return;
+    }
+
+    if (target.statusCode >= 400) {
+      issues.push(
+        this.createError(
+          "canonical_target_not_found",
+          `Canonical URL returns HTTP ${target.statusCode}`,
+          details
+        )
+      );
+      return;
+    }
+
+    if (target.noindex) {
+      issues.push(
+        this.createError(
+          "canonical_target_noindex",
+          "Canonical URL is marked noindex",
+          { ...details, robots: target.robots }
+        )
+      );
+    }
+
+    if (!target.canonical) return;
+
+    const targetCanonical = this.normalizeUrl(target.canonical);
+
+    if (targetCanonical === this.normalizeUrl(url)) {
+      issues.push(
+        this.createError(
+          "canonical_loop",
+          "Canonical URL canonicalises back to this page",
+          { ...details, targetCanonical: target.canonical }
+        )
+      );
+    } else if (targetCanonical !== this.normalizeUrl(target.url)) {
+      warnings.push(
+        this.createWarning(
+          "canonical_chain",
+          `Canonical URL canonicalises to another URL: ${target.canonical}`,
+          { ...details, targetCanonical: target.canonical }
+        )
+      );
+    }
+  }
+
+  async cleanup() {
+    this.targetCache.clear();
+    await super.cleanup();
+  }
+
+  getStats() {
+    return { cachedCanonicalTargets: this.targetCache.size };
+  }
+
   calculateScore(issues, warnings) {
     let score = 100;
     score -= issues.length * 25;
@@ -113,4 +454,9 @@ class CanonicalAuditor extends BaseAuditor {
   }
 }
 
+AuditorRegistry.register(CanonicalAuditor, {
+  name: "canonical",
+  defaultEnabled: true,
+});
+
 export default CanonicalAuditor;
@@ -1,4 +1,5 @@
 import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
 import fs from "fs-extra";
 import path from "path";
 import crypto from "crypto";
@@ -36,7 +37,9 @@ class HTMLStructureAuditor extends BaseAuditor {
     try {
       const urlHash = this.createUrlHash(url);
       const currentStructure = await this.extractStructure(page);
-      const currentStyling = this.config.styleAnalysis
+      const styleAnalysis =
+        this.config.styleAnalysis && this.config.mode !== "static";
+      const currentStyling = styleAnalysis
         ? await this.extractStyling(page)
         : null;
 
@@ -56,7 +59,7 @@ class HTMLStructureAuditor extends BaseAuditor {
           currentStructure
         );
         const stylingComparison =
-          this.config.styleAnalysis && baseline.styling
+          styleAnalysis && baseline.styling
             ? this.compareStyling(baseline.styling, currentStyling)
             : null;
 
@@ -684,4 +687,9 @@ class HTMLStructureAuditor extends BaseAuditor {
   }
 }
 
+AuditorRegistry.register(HTMLStructureAuditor, {
+  name: "htmlStructure",
+  includeOption: "includeStructureComparison",
+});
+
 export default HTMLStructureAuditor;
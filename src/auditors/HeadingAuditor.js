@@ -1,4 +1,5 @@
 import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
 
 class HeadingAuditor extends BaseAuditor {
   constructor(config = {}) {
@@ -250,4 +251,9 @@ class HeadingAuditor extends BaseAuditor {
   }
 }
 
+AuditorRegistry.register(HeadingAuditor, {
+  name: "headings",
+  defaultEnabled: true,
+});
+
 export default HeadingAuditor;
@@ -0,0 +1,475 @@
+import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
+import UrlResolver from "../crawlers/UrlResolver.js";
+import axios from "axios";
+import * as cheerio from "cheerio";
+
+class HreflangAuditor extends BaseAuditor {
+  static CODE_PATTERN = /^([a-z]{2,3})(?:-([a-z]{4}))?(?:-([a-z]{2}|\d{3}))?$/i;
+  static INVALID_REGIONS = { UK: "GB", EU: null, UN: null, ZZ: null };
+
+  static languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+  static regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+  constructor(config = {}) {
+    super(config);
+    this.verifyTargets = config.verifyTargets !== false;
+    this.timeout = config.requestTimeout || 15000;
+    this.targetCache = new Map();
+    this.urlResolver = new UrlResolver(config);
+  }
+
+  async audit(page, url, context = {}) {
+    try {
+      const html = await page.evaluate(() =>
+        Array.from(
+          document.querySelectorAll("link[rel~='alternate'][hreflang]")
+        ).map((link) => ({
+          hreflang: link.getAttribute("hreflang") || "",
+          href: link.getAttribute("href") || "",
+          url: link.href,
+        }))
+      );
+
+      const alternates = [
+        ...html.map((alternate) => ({ ...alternate, source: "html" })),
+        ...this.parseLinkHeader(context.headers?.link, url),
+        ...(context.crawlResult?.sitemapAlternates || []).map((alternate) => ({
+          ...alternate,
+          url: this.toUrl(alternate.href, url)?.href || alternate.href,
+          source: "sitemap",
+        })),
+      ].map((alternate) => ({
+        ...alternate,
+        url: this.normalizeUrl(alternate.url),
+      }));
+
+      const issues = [];
+      const warnings = [];
+      const recommendations = [];
+
+      if (alternates.length === 0) {
+        return {
+          alternates,
+          targets: [],
+          languages: [],
+          hasXDefault: false,
+          issues,
+          warnings,
+          recommendations,
+          score: 100,
+        };
+      }
+
+      this.auditCodes(alternates, url, issues, warnings);
+      this.auditSet(alternates, url, issues, warnings);
+
+      const targets = this.verifyTargets
+        ? await Promise.all(
+            [
+              ...new Map(
+                alternates.map((alternate) => [
+                  this.urlResolver.normalize(alternate.url),
+                  alternate.url,
+                ])
+              ).values(),
+            ]
+              .filter((target) => !this.isSameUrl(target, url))
+              .map((target) => this.getTarget(target))
+          )
+        : [];
+
+      targets.forEach((target) =>
+        this.auditTarget(target, alternates, url, issues, warnings)
+      );
+
+      if (issues.length > 0) {
+        recommendations.push(
+          this.createRecommendation(
+            "fix_hreflang",
+            "Use valid ISO 639-1 language and ISO 3166-1 region codes, point every hreflang at an indexable self-canonical URL and make sure each alternate links back",
+            { url }
+          )
+        );
+      }
+
+      return {
+        alternates,
+        targets,
+        languages: [
+          ...new Set(alternates.map((alternate) => alternate.hreflang)),
+        ],
+        hasXDefault: alternates.some(
+          (alternate) => alternate.hreflang.toLowerCase() === "x-default"
+        ),
+        issues,
+        warnings,
+        recommendations,
+        score: this.calculateScore(issues, warnings),
+      };
+    } catch (error) {
+      this.logger.error("Hreflang audit failed", {
+        error: error.message,
+        url,
+      });
+      throw error;
+    }
+  }
+
+  parseLinks(header, url) {
+    if (!header) return [];
+
+    return (Array.isArray(header) ? header.join(", ") : String(header))
+      .split(/[,\n](?=\s*<)/)
+      .map((part) => part.match(/<([^>]*)>(.*)/))
+      .filter(Boolean)
+      .map((match) => {
+        const params = Object.fromEntries(
+          match[2]
+            .split(";")
+            .map((param) =>
+              param.trim().match(/^([a-z-]+)\s*=\s*"?([^"]*)"?$/i)
+            )
+            .filter(Boolean)
+            .map((param) => [param[1].toLowerCase(), param[2]])
+        );
+
+        return {
+          hreflang: params.hreflang,
+          href: match[1],
+          url: this.toUrl(match[1], url)?.href || match[1],
+          source: "header",
+          rel: (params.rel || "").toLowerCase().split(/\s+/),
+        };
+      });
+  }
+
+  parseLinkHeader(header, url) {
+    return this.parseLinks(header, url)
+      .filter((link) => link.rel.includes("alternate") && link.hreflang)
+      .map(({ rel, ...link }) => link);
+  }
+
+  validateCode(code) {
+    if (code.toLowerCase() === "x-default") return null;
+
+    const match = HreflangAuditor.CODE_PATTERN.exec(code);
+    if (!match) {
+      return { type: "invalid_hreflang_code", reason: "malformed code" };
+    }
+
+    const [, language, , region] = match;
+    if (
+      HreflangAuditor.languageNames.of(language).toLowerCase() ===
+      language.toLowerCase()
+    ) {
+      return {
+        type: "invalid_hreflang_language",
+        reason: `"${language}" is not an ISO 639-1 language code`,
+      };
+    }
+
+    if (region) {
+      const upper = region.toUpperCase();
+      const replacement = HreflangAuditor.INVALID_REGIONS[upper];
+
+      if (
+        /^\d+$/.test(region) ||
+        upper in HreflangAuditor.INVALID_REGIONS ||
+        HreflangAuditor.regionNames.of(upper) === upper
+      ) {
+        return {
+          type: "invalid_hreflang_region",
+          reason: replacement
+            ? `"${region}" is not an ISO 3166-1 region code, use "${replacement}"`
+            : `"${region}" is not an ISO 3166-1 region code`,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  auditCodes(alternates, url, issues, warnings) {
+    const checked = new Set();
+
+    alternates.forEach((alternate) => {
+      const key = `${alternate.hreflang}|${alternate.source}`;
+      if (checked.has(key)) return;
+      checked.add(key);
+
+      const problem = this.validateCode(alternate.hreflang);
+      if (problem) {
+        issues.push(
+          this.createError(
+            problem.type,
+            `Invalid hreflang "${alternate.hreflang}": ${problem.reason}`,
+            {
+              url,
+              hreflang: alternate.hreflang,
+              href: alternate.href,
+              source: alternate.source,
+            }
+          )
+        );
+      }
+
+      if (!/^[a-z][a-z0-9+.-]*:/i.test(alternate.href.trim())) {
+        warnings.push(
+          this.createWarning(
+            "hreflang_relative_url",
+            `Hreflang "${alternate.hreflang}" uses a relative URL`,
+            {
+              url,
+              hreflang: alternate.hreflang,
+              href: alternate.href,
+              source: alternate.source,
+            }
+          )
+        );
+      }
+    });
+  }
+
+  auditSet(alternates, url, issues, warnings) {
+    const byCode = new Map();
+
+    alternates.forEach((alternate) => {
+      const code = alternate.hreflang.toLowerCase();
+      if (!byCode.has(code)) byCode.set(code, new Set());
+      byCode.get(code).add(this.urlResolver.normalize(alternate.url));
+    });
+
+    byCode.forEach((targets, code) => {
+      if (targets.size > 1) {
+        issues.push(
+          this.createError(
+            "duplicate_hreflang",
+            `Hreflang "${code}" points to ${targets.size} different URLs`,
+            { url, hreflang: code, targets: Array.from(targets) }
+          )
+        );
+      }
+    });
+
+    if (!byCode.has("x-default")) {
+      warnings.push(
+        this.createWarning(
+          "missing_x_default",
+          "Hreflang set has no x-default alternate",
+          { url, languages: Array.from(byCode.keys()) }
+        )
+      );
+    }
+
+    if (!alternates.some((alternate) => this.isSameUrl(alternate.url, url))) {
+      warnings.push(
+        this.createWarning(
+          "missing_self_hreflang",
+          "Hreflang set does not include this page itself",
+          { url, languages: Array.from(byCode.keys()) }
+        )
+      );
+    }
+  }
+
+  auditTarget(target, alternates, url, issues, warnings) {
+    const codes = alternates
+      .filter((alternate) => this.isSameUrl(alternate.url, target.url))
+      .map((alternate) => alternate.hreflang);
+    const details = {
+      url,
+      target: target.url,
+      hreflang: [...new Set(codes)],
+      statusCode: target.statusCode,
+    };
+
+    if (target.error) {
+      warnings.push(
+        this.createWarning(
+          "hreflang_target_unreachable",
+          `Hreflang target could not be requested: ${target.error}`,
+          details
+        )
+      );
+      return;
+    }
+
+    if (target.statusCode < 200 || target.statusCode >= 300) {
+      issues.push(
+        this.createError(
+          "hreflang_target_error",
+          `Hreflang target returns HTTP ${target.statusCode}${
+            target.location ? ` (redirects to ${target.location})` : ""
+          }`,
+          { ...details, location: target.location }
+        )
+      );
+      return;
+    }
+
+    if (target.noindex) {
+      issues.push(
+        this.createError(
+          "hreflang_target_noindex",
+          "Hreflang target is marked noindex",
+          { ...details, robots: target.robots }
+        )
+      );
+    }
+
+    if (target.canonical && !this.isSameUrl(target.canonical, target.url)) {
+      issues.push(
+        this.createError(
+          "hreflang_target_not_canonical",
+          `Hreflang target canonicalises to ${target.canonical}`,
+          { ...details, canonical: target.canonical }
+        )
+      );
+    }
+  }
+
+  getTarget(targetUrl) {
+    if (!this.targetCache.has(targetUrl)) {
+      this.targetCache.set(targetUrl, this.fetchTarget(targetUrl));
+    }
+
+    return this.targetCache.get(targetUrl);
+  }
+
+  async fetchTarget(targetUrl) {
+    const target = {
+      url: targetUrl,
+      statusCode: null,
+      location: null,
+      noindex: false,
+      robots: null,
+      canonical: null,
+      alternates: [],
+      error: null,
+    };
+
+    try {
+      const response = await this.rateLimitedRequest(targetUrl, () =>
+        axios.get(
+          targetUrl,
+          this.withAuth(targetUrl, {
+            timeout: this.timeout,
+            maxRedirects: 0,
+            responseType: "text",
+            transformResponse: [(data) => data],
+            validateStatus: () => true,
+            headers: {
+              "User-Agent":
+                this.config.userAgent || "SEO-Landing-Page-Auditor/2.0",
+              Accept: "text/html,application/xhtml+xml",
+            },
+          })
+        )
+      );
+
+      target.statusCode = response.status;
+      target.location = response.headers.location
+        ? this.toUrl(response.headers.location, targetUrl)?.href || null
+        : null;
+      target.robots = response.headers["x-robots-tag"] || null;
+      target.alternates = this.parseLinkHeader(
+        response.headers.link,
+        targetUrl
+      ).map((alternate) => ({
+        ...alternate,
+        url: this.normalizeUrl(alternate.url),
+      }));
+
+      const headerCanonical = this.parseLinks(
+        response.headers.link,
+        targetUrl
+      ).find((link) => link.rel.includes("canonical"));
+      target.canonical = headerCanonical
+        ? this.normalizeUrl(headerCanonical.url)
+        : null;
+
+      if (response.status >= 200 && response.status < 300) {
+        const $ = cheerio.load(
+          typeof response.data === "string" ? response.data : ""
+        );
+        const robots = $("meta[name='robots'], meta[name='googlebot']")
+          .map((index, element) => $(element).attr("content") || "")
+          .get()
+          .join(", ");
+        const canonical = $("link[rel~='canonical']").first().attr("href");
+
+        target.robots = [target.robots, robots].filter(Boolean).join(", ");
+        if (canonical) {
+          target.canonical = this.normalizeUrl(
+            this.toUrl(canonical, targetUrl)?.href || canonical
+          );
+        }
+        target.alternates.push(
+          ...$("link[rel~='alternate'][hreflang]")
+            .map((index, element) => {
+              const href = $(element).attr("href") || "";
+              return {
+                hreflang: $(element).attr("hreflang") || "",
+                href,
+                url: this.normalizeUrl(
+                  this.toUrl(href, targetUrl)?.href || href
+                ),
+                source: "html",
+              };
+            })
+            .get()
+        );
+      }
+
+      target.noindex = this.isNoindex(target.robots);
+    } catch (error) {
+      target.error = error.message;
+    }
+
+    return target;
+  }
+
+  toUrl(value, base) {
+    try {
+      return new URL(value, base);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  normalizeUrl(url) {
+    const parsed = this.toUrl(url);
+    if (!parsed) return url;
+
+    parsed.hash = "";
+    return parsed.href;
+  }
+
+  isSameUrl(a, b) {
+    return this.urlResolver.normalize(a) === this.urlResolver.normalize(b);
+  }
+
+  async cleanup() {
+    this.targetCache.clear();
+    await super.cleanup();
+  }
+
+  getStats() {
+    return { cachedHreflangTargets: this.targetCache.size };
+  }
+
+  calculateScore(issues, warnings) {
+    let score = 100;
+    score -= issues.length * 15;
+    score -= warnings.length * 5;
+    return Math.max(0, score);
+  }
+}
+
+AuditorRegistry.register(HreflangAuditor, {
+  name: "hreflang",
+  defaultEnabled: true,
+});
+
+export default HreflangAuditor;
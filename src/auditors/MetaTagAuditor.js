@@ -1,4 +1,6 @@
 import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
+import SerpPreview from "../utils/SerpPreview.js";
 
 class MetaTagAuditor extends BaseAuditor {
   constructor(config = {}) {
@@ -7,6 +9,7 @@ class MetaTagAuditor extends BaseAuditor {
     this.titleMaxLength = config.titleMaxLength || 60;
     this.descriptionMinLength = config.descriptionMinLength || 120;
     this.descriptionMaxLength = config.descriptionMaxLength || 160;
+    this.serpPreview = new SerpPreview(config.serp);
   }
 
   async audit(page) {
@@ -54,6 +57,11 @@ class MetaTagAuditor extends BaseAuditor {
       const issues = [];
       const warnings = [];
       const recommendations = [];
+      const serp = await this.serpPreview.build(
+        page,
+        metaData.title,
+        metaData.description
+      );
 
       this.auditTitle(metaData.title, issues, warnings, recommendations);
       this.auditDescription(
@@ -66,6 +74,7 @@ class MetaTagAuditor extends BaseAuditor {
       this.auditOpenGraph(metaData, issues, warnings, recommendations);
       this.auditTwitterCards(metaData, issues, warnings, recommendations);
       this.auditRobots(metaData.robots, issues, warnings, recommendations);
+      this.auditPixelWidths(serp, warnings);
 
       return {
         title: metaData.title,
@@ -84,6 +93,7 @@ class MetaTagAuditor extends BaseAuditor {
           title: metaData.twitterTitle,
           description: metaData.twitterDescription,
         },
+        serp,
         issues,
         warnings,
         recommendations,
@@ -173,6 +183,35 @@ class MetaTagAuditor extends BaseAuditor {
     }
   }
 
+  auditPixelWidths(serp, warnings) {
+    if (!serp) return;
+
+    ["desktop", "mobile"].forEach((device) => {
+      ["title", "description"].forEach((field) => {
+        const measurement = serp[device]?.[field];
+        if (!measurement?.truncated) return;
+
+        warnings.push(
+          this.createWarning(
+            `${field}_truncated_${device}`,
+            `${
+              field === "title" ? "Title" : "Meta description"
+            } will be truncated on ${device} (${measurement.width}px, limit ${
+              measurement.maxWidth
+            }px)`,
+            {
+              device,
+              width: measurement.width,
+              maxWidth: measurement.maxWidth,
+              visible: measurement.text,
+              method: measurement.method,
+            }
+          )
+        );
+      });
+    });
+  }
+
   auditViewport(viewport, warnings) {
     if (!viewport) {
       warnings.push(
@@ -265,4 +304,9 @@ class MetaTagAuditor extends BaseAuditor {
   }
 }
 
+AuditorRegistry.register(MetaTagAuditor, {
+  name: "metaTags",
+  defaultEnabled: true,
+});
+
 export default MetaTagAuditor;
@@ -1,6 +1,9 @@
 import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
 
 class PerformanceAuditor extends BaseAuditor {
+  static REQUIRES_BROWSER = true;
+
   constructor(config = {}) {
     super(config);
     this.thresholds = {
@@ -398,4 +401,9 @@ class PerformanceAuditor extends BaseAuditor {
   }
 }
 
+AuditorRegistry.register(PerformanceAuditor, {
+  name: "performance",
+  includeOption: "includePerformance",
+});
+
 export default PerformanceAuditor;
@@ -1,11 +1,12 @@
 import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
 import axios from "axios";
 
 class RedirectAuditor extends BaseAuditor {
   constructor(config = {}) {
     super(config);
     this.maxRedirects = config.maxRedirects || 10;
-    this.timeout = config.timeout || 30000;
+    this.timeout = config.requestTimeout || 30000;
   }
 
   async audit(url) {
@@ -56,15 +57,21 @@ class RedirectAuditor extends BaseAuditor {
 
         visitedUrls.add(currentUrl);
 
-        const response = await axios.get(currentUrl, {
-          timeout: this.timeout,
-          maxRedirects: 0,
-          validateStatus: (status) => status < 400,
-          headers: {
-            "User-Agent":
-              this.config.userAgent || "SEO-Landing-Page-Auditor/2.0",
-          },
-        });
+        const requestUrl = currentUrl;
+        const response = await this.rateLimitedRequest(requestUrl, () =>
+          axios.get(
+            requestUrl,
+            this.withAuth(requestUrl, {
+              timeout: this.timeout,
+              maxRedirects: 0,
+              validateStatus: (status) => status < 400,
+              headers: {
+                "User-Agent":
+                  this.config.userAgent || "SEO-Landing-Page-Auditor/2.0",
+              },
+            })
+          )
+        );
 
         const redirectInfo = {
           url: currentUrl,
@@ -257,4 +264,10 @@ class RedirectAuditor extends BaseAuditor {
   }
 }
 
+AuditorRegistry.register(RedirectAuditor, {
+  name: "redirects",
+  defaultEnabled: true,
+  input: "url",
+});
+
 export default RedirectAuditor;
@@ -0,0 +1,274 @@
+import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
+import StaticPage from "../utils/StaticPage.js";
+
+class RenderDiffAuditor extends BaseAuditor {
+  static REQUIRES_BROWSER = true;
+
+  static ELEMENTS = [
+    { key: "title", label: "Title", critical: true },
+    { key: "metaDescription", label: "Meta description", critical: true },
+    { key: "canonical", label: "Canonical", critical: true },
+    { key: "robots", label: "Meta robots", critical: true },
+    { key: "hreflang", label: "Hreflang", critical: true },
+    { key: "h1", label: "H1", critical: true },
+    { key: "h2", label: "H2", critical: false },
+    { key: "h3", label: "H3", critical: false },
+    { key: "jsonLd", label: "JSON-LD", critical: false },
+  ];
+
+  constructor(config = {}) {
+    super(config);
+    this.linkCountTolerance = config.linkCountTolerance ?? 0.2;
+    this.fetchTimeout = config.fetchTimeout || 30000;
+    this.userAgent = config.userAgent;
+  }
+
+  async audit(page, url, context = {}) {
+    try {
+      const rendered = await this.extractElements(page);
+      const raw =
+        context.html != null
+          ? await this.parseRawElements(context.html, page.url())
+          : await this.fetchRawElements(url);
+
+      const issues = [];
+      const warnings = [];
+      const recommendations = [];
+      const differences = RenderDiffAuditor.ELEMENTS.map((element) =>
+        this.compareElement(element, raw[element.key], rendered[element.key])
+      ).filter(Boolean);
+
+      differences.forEach((difference) => {
+        const details = {
+          url,
+          element: difference.label,
+          raw: difference.raw,
+          rendered: difference.rendered,
+        };
+
+        if (difference.change === "rendered-only") {
+          const message = `${difference.label} only exists after JavaScript rendering`;
+          if (difference.critical) {
+            issues.push(
+              this.createError("render_only_element", message, details)
+            );
+          } else {
+            warnings.push(
+              this.createWarning("render_only_element", message, details)
+            );
+          }
+        } else if (difference.change === "removed") {
+          warnings.push(
+            this.createWarning(
+              "render_removed_element",
+              `${difference.label} is in the server HTML but removed by JavaScript`,
+              details
+            )
+          );
+        } else {
+          warnings.push(
+            this.createWarning(
+              "render_changed_element",
+              `${difference.label} is changed by JavaScript rendering`,
+              details
+            )
+          );
+        }
+      });
+
+      const links = {
+        raw: raw.internalLinks,
+        rendered: rendered.internalLinks,
+        difference: rendered.internalLinks - raw.internalLinks,
+      };
+
+      if (
+        Math.abs(links.difference) >
+        Math.max(raw.internalLinks, rendered.internalLinks) *
+          this.linkCountTolerance
+      ) {
+        warnings.push(
+          this.createWarning(
+            "render_link_count_mismatch",
+            links.difference > 0
+              ? `${links.difference} internal links only exist after JavaScript rendering`
+              : `${-links.difference} internal links from the server HTML are removed by JavaScript`,
+            { url, ...links }
+          )
+        );
+      }
+
+      if (differences.some((difference) => difference.critical)) {
+        recommendations.push(
+          this.createRecommendation(
+            "server_render_seo_elements",
+            "Render SEO-critical elements in the server HTML so crawlers see them without executing JavaScript",
+            {
+              elements: differences
+                .filter((difference) => difference.critical)
+                .map((difference) => difference.label),
+            }
+          )
+        );
+      }
+
+      return {
+        raw,
+        rendered,
+        differences,
+        links,
+        renderedOnly: differences
+          .filter((difference) => difference.change === "rendered-only")
+          .map((difference) => difference.label),
+        issues,
+        warnings,
+        recommendations,
+        score: this.calculateScore(issues, warnings),
+      };
+    } catch (error) {
+      this.logger.error("Render diff audit failed", {
+        error: error.message,
+        url,
+      });
+      throw error;
+    }
+  }
+
+  async parseRawElements(html, url) {
+    const staticPage = new StaticPage();
+
+    try {
+      await staticPage.setContent(html, { url });
+      return await this.extractElements(staticPage);
+    } finally {
+      await staticPage.close();
+    }
+  }
+
+  async fetchRawElements(url) {
+    const staticPage = new StaticPage({
+      userAgent: this.userAgent,
+      timeout: this.fetchTimeout,
+      authManager: this.authManager,
+    });
+
+    try {
+      const response = await this.rateLimitedRequest(url, () =>
+        staticPage.goto(url)
+      );
+
+      if (response.status() >= 400) {
+        throw new Error(`Raw HTML request returned HTTP ${response.status()}`);
+      }
+
+      return await this.extractElements(staticPage);
+    } finally {
+      await staticPage.close();
+    }
+  }
+
+  async extractElements(page) {
+    return await page.evaluate(() => {
+      const clean = (value) => (value || "").replace(/\s+/g, " ").trim();
+      const content = (selector) => {
+        const element = document.querySelector(selector);
+        return element ? clean(element.getAttribute("content")) : null;
+      };
+      const texts = (selector) =>
+        Array.from(document.querySelectorAll(selector)).map((element) =>
+          clean(element.textContent)
+        );
+
+      const canonical = document.querySelector("link[rel='canonical']");
+
+      const jsonLd = Array.from(
+        document.querySelectorAll("script[type='application/ld+json']")
+      ).map((script) => {
+        try {
+          const data = JSON.parse(script.textContent);
+          const items = Array.isArray(data) ? data : data["@graph"] || [data];
+          const types = items
+            .flatMap((item) => [].concat(item?.["@type"] || []))
+            .join(", ");
+          return `${types || "Untyped"}: ${JSON.stringify(data)}`;
+        } catch (error) {
+          return `Invalid: ${clean(script.textContent).slice(0, 200)}`;
+        }
+      });
+
+      const host = window.location.hostname;
+      const internalLinks = Array.from(
+        document.querySelectorAll("a[href]")
+      ).filter((anchor) => {
+        try {
+          return new URL(anchor.href).hostname === host;
+        } catch (error) {
+          return false;
+        }
+      }).length;
+
+      return {
+        title: clean(document.title) || null,
+        metaDescription: content("meta[name='description']"),
+        canonical: canonical ? canonical.href : null,
+        robots: content("meta[name='robots']"),
+        hreflang: Array.from(
+          document.querySelectorAll("link[rel='alternate'][hreflang]")
+        ).map((link) => `${link.getAttribute("hreflang")} ${link.href}`),
+        h1: texts("h1"),
+        h2: texts("h2"),
+        h3: texts("h3"),
+        jsonLd,
+        internalLinks,
+      };
+    });
+  }
+
+  compareElement(element, raw, rendered) {
+    const isList = Array.isArray(rendered) || Array.isArray(raw);
+    const rawValues = isList ? [...(raw || [])].sort() : raw ? [raw] : [];
+    const renderedValues = isList
+      ? [...(rendered || [])].sort()
+      : rendered
+        ? [rendered]
+        : [];
+
+    if (JSON.stringify(rawValues) === JSON.stringify(renderedValues)) {
+      return null;
+    }
+
+    const change =
+      rawValues.length === 0
+        ? "rendered-only"
+        : renderedValues.length === 0
+          ? "removed"
+          : "changed";
+
+    return {
+      key: element.key,
+      label: element.label,
+      critical: element.critical,
+      change,
+      raw: isList ? rawValues : raw,
+      rendered: isList ? renderedValues : rendered,
+      added: renderedValues.filter((value) => !rawValues.includes(value)),
+      removed: rawValues.filter((value) => !renderedValues.includes(value)),
+    };
+  }
+
+  calculateScore(issues, warnings) {
+    let score = 100;
+    score -= issues.length * 20;
+    score -= warnings.length * 10;
+    return Math.max(0, score);
+  }
+}
+
+AuditorRegistry.register(RenderDiffAuditor, {
+  name: "renderDiff",
+  includeOption: "includeRenderDiff",
+  rawHtml: true,
+});
+
+export default RenderDiffAuditor;
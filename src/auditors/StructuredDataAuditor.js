@@ -1,4 +1,5 @@
 import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
 
 class StructuredDataAuditor extends BaseAuditor {
   constructor(config = {}) {
@@ -540,4 +541,9 @@ class StructuredDataAuditor extends BaseAuditor {
   }
 }
 
+AuditorRegistry.register(StructuredDataAuditor, {
+  name: "structuredData",
+  defaultEnabled: true,
+});
+
 export default StructuredDataAuditor;
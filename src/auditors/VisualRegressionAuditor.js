@@ -1,4 +1,5 @@
 import BaseAuditor from "./BaseAuditor.js";
+import AuditorRegistry from "./AuditorRegistry.js";
 import pixelmatch from "pixelmatch";
 import { PNG } from "pngjs";
 import fs from "fs-extra";
@@ -6,6 +7,8 @@ import path from "path";
 import crypto from "crypto";
 
 class VisualRegressionAuditor extends BaseAuditor {
+  static REQUIRES_BROWSER = true;
+
   constructor(config = {}) {
     super(config);
     this.config = {
@@ -370,4 +373,9 @@ class VisualRegressionAuditor extends BaseAuditor {
   }
 }
 
+AuditorRegistry.register(VisualRegressionAuditor, {
+  name: "visualRegression",
+  includeOption: "includeVisualRegression",
+});
+
 export default VisualRegressionAuditor;
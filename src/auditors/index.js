@@ -0,0 +1,15 @@
+import AuditorRegistry from "./AuditorRegistry.js";
+import "./CanonicalAuditor.js";
+import "./MetaTagAuditor.js";
+import "./HeadingAuditor.js";
+import "./RedirectAuditor.js";
+import "./BrokenLinkAuditor.js";
+import "./StructuredDataAuditor.js";
+import "./PerformanceAuditor.js";
+import "./AccessibilityAuditor.js";
+import "./VisualRegressionAuditor.js";
+import "./HTMLStructureAuditor.js";
+import "./RenderDiffAuditor.js";
+import "./HreflangAuditor.js";
+
+export default AuditorRegistry;
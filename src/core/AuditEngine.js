@@ -1,16 +1,11 @@
-import { chromium } from "playwright";
 import Logger from "../utils/Logger.js";
-import CanonicalAuditor from "../auditors/CanonicalAuditor.js";
-import MetaTagAuditor from "../auditors/MetaTagAuditor.js";
-import HeadingAuditor from "../auditors/HeadingAuditor.js";
-import RedirectAuditor from "../auditors/RedirectAuditor.js";
-import BrokenLinkAuditor from "../auditors/BrokenLinkAuditor.js";
-import StructuredDataAuditor from "../auditors/StructuredDataAuditor.js";
-import PerformanceAuditor from "../auditors/PerformanceAuditor.js";
-import AccessibilityAuditor from "../auditors/AccessibilityAuditor.js";
-import VisualRegressionAuditor from "../auditors/VisualRegressionAuditor.js";
-import HTMLStructureAuditor from "../auditors/HTMLStructureAuditor.js";
+import AuditorRegistry from "../auditors/index.js";
 import AuditResult from "../models/AuditResult.js";
+import HostRateLimiter from "../utils/HostRateLimiter.js";
+import StaticPage from "../utils/StaticPage.js";
+import BrowserPool from "../utils/BrowserPool.js";
+import EmulationProfile from "../utils/EmulationProfile.js";
+import CrawlerEngine from "./CrawlerEngine.js";
 
 class AuditEngine {
   constructor(config = {}) {
@@ -19,6 +14,7 @@ class AuditEngine {
       pageLoadDelay: config.pageLoadDelay || 12000,
       concurrent: config.concurrent || 2,
       retries: config.retries || 3,
+      crashRetries: config.crashRetries ?? 2,
       userAgent:
         config.userAgent ||
         "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
@@ -26,12 +22,13 @@ class AuditEngine {
       includeAccessibility: config.includeAccessibility || false,
       includeVisualRegression: config.includeVisualRegression || false,
       includeStructureComparison: config.includeStructureComparison || false,
+      includeRenderDiff: config.includeRenderDiff || false,
+      onlyAuditors: config.onlyAuditors || [],
+      skipAuditors: config.skipAuditors || [],
       humanSimulation: config.humanSimulation !== false,
       keepWindowsOpen: config.keepWindowsOpen || false,
       windowDisplayTime: config.windowDisplayTime || 8000,
       headless: config.headless !== false,
-      rateLimitDelay: config.rateLimitDelay || 30000,
-      maxRetryDelay: config.maxRetryDelay || 120000,
 
       visualRegression: {
         baselineDir:
@@ -96,13 +93,38 @@ class AuditEngine {
       ...config,
     };
 
+    if (this.isStatic()) {
+      this.config.humanSimulation = false;
+      this.config.keepWindowsOpen = false;
+    }
+
     this.logger = new Logger("AuditEngine");
     this.auditors = new Map();
-    this.browser = null;
+    this.auditorLevels = [];
+    this.skippedAuditors = new Map();
+    this.profiles = EmulationProfile.resolveAll(
+      this.config.emulation?.profiles,
+      this.config.emulation?.custom
+    );
+    this.ownsBrowserPool = !this.config.browserPool;
+    this.browserPool =
+      this.config.browserPool ||
+      new BrowserPool({
+        headless: this.config.headless,
+        slowMo: this.config.humanSimulation ? 150 : 0,
+        devtools: this.config.keepWindowsOpen,
+        maxPagesPerBrowser: this.config.maxPagesPerBrowser,
+      });
     this.concurrentLimit = this.config.concurrent;
     this.runningTasks = 0;
     this.activePages = new Map();
     this.rateLimitRetries = new Map();
+    this.crashRetries = new Map();
+    this.recoveredCrashes = 0;
+    this.recovering = null;
+    this.rateLimiter =
+      this.config.rateLimiter || new HostRateLimiter(this.config.rateLimit);
+    this.crawlBudget = this.config.crawlBudget || null;
     this.requestCount = 0;
     this.startTime = Date.now();
   }
@@ -114,52 +136,23 @@ class AuditEngine {
         {
           concurrent: this.config.concurrent,
           pageLoadDelay: this.config.pageLoadDelay,
-          rateLimitDelay: this.config.rateLimitDelay,
           humanSimulation: this.config.humanSimulation,
           includeVisualRegression: this.config.includeVisualRegression,
           includeStructureComparison: this.config.includeStructureComparison,
+          mode: this.config.mode || "browser",
+          profiles: this.profiles.map((profile) => profile.name),
         }
       );
 
-      this.browser = await chromium.launch({
-        headless: this.config.headless,
-        slowMo: this.config.humanSimulation ? 150 : 0,
-        devtools: this.config.keepWindowsOpen,
-        args: [
-          "--no-sandbox",
-          "--disable-setuid-sandbox",
-          "--disable-dev-shm-usage",
-          "--disable-accelerated-2d-canvas",
-          "--disable-gpu",
-          "--window-size=1366,768",
-          "--start-maximized",
-          "--disable-web-security",
-          "--disable-blink-features=AutomationControlled",
-          "--disable-background-timer-throttling",
-          "--disable-backgrounding-occluded-windows",
-          "--disable-renderer-backgrounding",
-          "--disable-features=TranslateUI",
-          "--disable-ipc-flooding-protection",
-          "--no-first-run",
-          "--no-default-browser-check",
-          "--no-pings",
-          "--password-store=basic",
-          "--use-mock-keychain",
-          "--disable-extensions",
-          "--disable-plugins",
-          "--disable-images",
-          "--disable-javascript-harmony-shipping",
-          "--disable-background-networking",
-          "--disable-sync",
-          "--metrics-recording-only",
-          "--disable-default-apps",
-          "--mute-audio",
-          "--no-default-browser-check",
-          "--no-first-run",
-          "--disable-gpu-sandbox",
-          "--disable-software-rasterizer",
-        ],
-      });
+      if (!this.isStatic()) {
+        await this.launchBrowser();
+      } else if (
+        this.profiles.some((profile) => profile.needsCdp() || profile.device)
+      ) {
+        this.logger.warning(
+          "Static mode only applies the user agent of emulation profiles, viewport and throttling are ignored"
+        );
+      }
 
       await this.initializeAuditors();
 
@@ -176,89 +169,84 @@ class AuditEngine {
     }
   }
 
-  async initializeAuditors() {
-    const auditorConfigs = {
-      canonical: { ...this.config.canonical, browser: this.browser },
-      metaTags: { ...this.config.metaTags, browser: this.browser },
-      headings: { ...this.config.headings, browser: this.browser },
-      redirects: { ...this.config.redirects, browser: this.browser },
-      brokenLinks: { ...this.config.brokenLinks, browser: this.browser },
-      structuredData: { ...this.config.structuredData, browser: this.browser },
-    };
-
-    if (this.config.includePerformance) {
-      auditorConfigs.performance = {
-        ...this.config.performance,
-        browser: this.browser,
-      };
-    }
-
-    if (this.config.includeAccessibility) {
-      auditorConfigs.accessibility = {
-        ...this.config.accessibility,
-        browser: this.browser,
-      };
-    }
+  isStatic() {
+    return this.config.mode === "static";
+  }
 
-    if (this.config.includeVisualRegression) {
-      auditorConfigs.visualRegression = {
-        ...this.config.visualRegression,
-        browser: this.browser,
-      };
-    }
+  createStaticPage(profile = this.profiles[0]) {
+    return new StaticPage({
+      userAgent: profile.getUserAgent(this.config.userAgent),
+      timeout: this.config.timeout,
+      authManager: this.config.authManager,
+    });
+  }
 
-    if (this.config.includeStructureComparison) {
-      auditorConfigs.htmlStructure = {
-        ...this.config.htmlStructure,
-        browser: this.browser,
-      };
-    }
+  async launchBrowser() {
+    await this.browserPool.getBrowser();
+  }
 
-    this.auditors.set(
-      "canonical",
-      new CanonicalAuditor(auditorConfigs.canonical)
-    );
-    this.auditors.set("metaTags", new MetaTagAuditor(auditorConfigs.metaTags));
-    this.auditors.set("headings", new HeadingAuditor(auditorConfigs.headings));
-    this.auditors.set(
-      "redirects",
-      new RedirectAuditor(auditorConfigs.redirects)
-    );
-    this.auditors.set(
-      "brokenLinks",
-      new BrokenLinkAuditor(auditorConfigs.brokenLinks)
-    );
-    this.auditors.set(
-      "structuredData",
-      new StructuredDataAuditor(auditorConfigs.structuredData)
-    );
+  async initializeAuditors() {
+    await AuditorRegistry.loadPlugins(this.config.plugins);
+    this.validateAuditorFilters();
+
+    const enabled = [];
+    this.skippedAuditors = new Map();
+    AuditorRegistry.list().forEach((definition) => {
+      if (this.isAuditorEnabled(definition)) {
+        enabled.push(definition.name);
+      } else {
+        this.skippedAuditors.set(
+          definition.name,
+          this.getDisabledReason(definition)
+        );
+      }
+    });
+    const unavailable = new Set();
+    this.auditorLevels = [];
+
+    for (const level of AuditorRegistry.resolveOrder(enabled)) {
+      const runnable = level.filter((name) => {
+        const definition = AuditorRegistry.get(name);
+        const missing = definition.dependencies.find((dependency) =>
+          unavailable.has(dependency)
+        );
 
-    if (this.config.includePerformance) {
-      this.auditors.set(
-        "performance",
-        new PerformanceAuditor(auditorConfigs.performance)
-      );
-    }
+        let reason = null;
+        if (this.getAuditorList("skipAuditors").includes(name)) {
+          reason = "excluded by skip list";
+        } else if (this.isStatic() && definition.requiresBrowser) {
+          reason = "needs a browser in static mode";
+        } else if (missing) {
+          reason = `depends on unavailable ${missing} auditor`;
+        } else {
+          return true;
+        }
 
-    if (this.config.includeAccessibility) {
-      this.auditors.set(
-        "accessibility",
-        new AccessibilityAuditor(auditorConfigs.accessibility)
-      );
-    }
+        this.logger.warning(`Skipping ${name} auditor, ${reason}`);
+        this.skippedAuditors.set(name, reason);
+        unavailable.add(name);
+        return false;
+      });
 
-    if (this.config.includeVisualRegression) {
-      this.auditors.set(
-        "visualRegression",
-        new VisualRegressionAuditor(auditorConfigs.visualRegression)
-      );
-    }
+      for (const name of runnable) {
+        const definition = AuditorRegistry.get(name);
+        this.auditors.set(
+          name,
+          new definition.auditor({
+            userAgent: this.config.userAgent,
+            ...this.config[definition.configKey],
+            mode: this.config.mode,
+            normalization: this.config.normalization,
+            browserPool: this.browserPool,
+            rateLimiter: this.rateLimiter,
+            authManager: this.config.authManager,
+          })
+        );
+      }
 
-    if (this.config.includeStructureComparison) {
-      this.auditors.set(
-        "htmlStructure",
-        new HTMLStructureAuditor(auditorConfigs.htmlStructure)
-      );
+      if (runnable.length > 0) {
+        this.auditorLevels.push(runnable);
+      }
     }
 
     for (const [name, auditor] of this.auditors) {
@@ -275,6 +263,82 @@ class AuditEngine {
     }
   }
 
+  getAuditorList(key) {
+    if (key === "profileAuditors") {
+      return this.config.emulation?.auditors || [];
+    }
+    return this.config[key] || [];
+  }
+
+  validateAuditorFilters() {
+    const labels = {
+      onlyAuditors: "only",
+      skipAuditors: "skip",
+      profileAuditors: "profile",
+    };
+
+    Object.entries(labels).forEach(([key, label]) => {
+      const unknown = this.getAuditorList(key).filter(
+        (name) => !AuditorRegistry.has(name)
+      );
+
+      if (unknown.length > 0) {
+        throw new Error(
+          `Unknown auditor ${unknown.map((name) => `"${name}"`).join(", ")} in ${label} list. Available auditors: ${AuditorRegistry.list()
+            .map((definition) => definition.name)
+            .join(", ")}`
+        );
+      }
+    });
+  }
+
+  getDisabledReason(definition) {
+    if (this.getAuditorList("skipAuditors").includes(definition.name)) {
+      return "excluded by skip list";
+    }
+
+    if (this.getAuditorList("onlyAuditors").length > 0) {
+      return "not in only list";
+    }
+
+    if (this.config[definition.configKey]?.enabled === false) {
+      return "disabled in config";
+    }
+
+    return "not enabled";
+  }
+
+  isAuditorEnabled(definition, options = {}) {
+    const settings = this.config[definition.configKey];
+    const only = this.getAuditorList("onlyAuditors");
+
+    if (this.getAuditorList("skipAuditors").includes(definition.name)) {
+      return false;
+    }
+
+    if (only.length > 0) {
+      return only.includes(definition.name);
+    }
+
+    if (settings?.enabled === false) {
+      return false;
+    }
+
+    if (this.getAuditorList("profileAuditors").includes(definition.name)) {
+      return true;
+    }
+
+    if (
+      definition.includeOption &&
+      (options[definition.includeOption] ||
+        this.config[definition.includeOption])
+    ) {
+      return true;
+    }
+
+    return definition.defaultEnabled || settings?.enabled === true;
+  }
+
   async auditUrls(crawlResults, options = {}, progressCallback = null) {
     try {
       this.logger.info(
@@ -283,7 +347,6 @@ class AuditEngine {
           totalUrls: crawlResults.length,
           concurrent: this.config.concurrent,
           pageLoadDelay: this.config.pageLoadDelay,
-          rateLimitDelay: this.config.rateLimitDelay,
           humanSimulation: this.config.humanSimulation,
         }
       );
@@ -294,12 +357,40 @@ class AuditEngine {
       const successful = [];
 
       while (pending.length > 0 || this.runningTasks > 0) {
+        const keep = auditResults.length + this.runningTasks > 0 ? 0 : 1;
+
+        if (
+          pending.length > keep &&
+          this.crawlBudget?.checkTime("audit", pending.length - keep)
+        ) {
+          this.logger.warning(
+            `Time budget reached, skipping ${
+              pending.length - keep
+            } unaudited URLs and finishing ${this.runningTasks} in progress`
+          );
+          pending.length = keep;
+        }
+
         while (this.runningTasks < this.concurrentLimit && pending.length > 0) {
           const crawlResult = pending.shift();
           this.runningTasks++;
 
           this.auditSingleUrl(crawlResult, options)
+            .catch(async (error) => {
+              if (
+                error.browserCrash &&
+                (await this.requeueAfterCrash(crawlResult, pending))
+              ) {
+                return null;
+              }
+              throw error;
+            })
             .then((result) => {
+              if (!result) {
+                this.runningTasks--;
+                return;
+              }
+
               auditResults.push(result);
               this.runningTasks--;
 
@@ -349,7 +440,12 @@ class AuditEngine {
               const failedResult = new AuditResult({
                 url: crawlResult.url,
                 success: false,
-                error: error.message,
+                error: error.browserCrash
+                  ? `Browser crashed while auditing (${
+                      this.crashRetries.get(crawlResult.url) || 0
+                    } retries): ${error.message}`
+                  : error.message,
+                crashRetries: this.crashRetries.get(crawlResult.url) || 0,
                 timestamp: new Date().toISOString(),
               });
 
@@ -398,43 +494,94 @@ class AuditEngine {
   }
 
   async auditSingleUrl(crawlResult, options = {}) {
+    const [primary, ...extraProfiles] = this.profiles;
+    const auditResult = await this.auditWithProfile(
+      crawlResult,
+      options,
+      primary
+    );
+
+    if (auditResult.success && extraProfiles.length > 0) {
+      auditResult.profiles = await this.auditExtraProfiles(
+        crawlResult,
+        options,
+        extraProfiles
+      );
+    }
+
+    return auditResult;
+  }
+
+  async auditExtraProfiles(crawlResult, options, profiles) {
+    const results = {};
+    const profileOptions = {
+      ...options,
+      profileAuditors: this.getAuditorList("profileAuditors"),
+    };
+
+    for (const profile of profiles) {
+      this.logger.info(
+        `Auditing ${crawlResult.url} with ${profile.name} profile`,
+        profile.describe()
+      );
+
+      const result = await this.auditWithProfile(
+        crawlResult,
+        profileOptions,
+        profile
+      );
+      results[profile.name] = result;
+    }
+
+    return results;
+  }
+
+  async auditWithProfile(crawlResult, options, profile) {
     const startTime = Date.now();
     let page = null;
     let context = null;
     const urlKey = crawlResult.url;
+    const crashesAtStart = this.browserPool.stats.crashes;
 
     try {
-      this.logger.info(`Starting comprehensive audit for: ${crawlResult.url}`);
+      this.logger.info(
+        `Starting comprehensive audit for: ${crawlResult.url} (${profile.name})`
+      );
 
       await this.applyRateLimit(urlKey);
 
-      context = await this.browser.newContext({
-        userAgent: this.config.userAgent,
-        viewport: { width: 1366, height: 768 },
-        ignoreHTTPSErrors: true,
-        extraHTTPHeaders: {
-          Accept:
-            "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
-          "Accept-Language": "en-US,en;q=0.9",
-          "Accept-Encoding": "gzip, deflate, br",
-          "Cache-Control": "no-cache",
-          Pragma: "no-cache",
-          "Sec-Ch-Ua":
-            '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-          "Sec-Ch-Ua-Mobile": "?0",
-          "Sec-Ch-Ua-Platform": '"Windows"',
-          "Sec-Fetch-Dest": "document",
-          "Sec-Fetch-Mode": "navigate",
-          "Sec-Fetch-Site": "none",
-          "Sec-Fetch-User": "?1",
-          "Upgrade-Insecure-Requests": "1",
-          DNT: "1",
-          Connection: "keep-alive",
-        },
-      });
+      if (this.isStatic()) {
+        page = this.createStaticPage(profile);
+      } else {
+        context = await this.browserPool.newContext({
+          ...profile.getContextOptions(this.config.userAgent),
+          ignoreHTTPSErrors: true,
+          ...this.config.authManager?.getContextOptions(),
+          extraHTTPHeaders: {
+            Accept:
+              "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
+            "Accept-Language": "en-US,en;q=0.9",
+            "Accept-Encoding": "gzip, deflate, br",
+            "Cache-Control": "no-cache",
+            Pragma: "no-cache",
+            "Sec-Ch-Ua":
+              '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+            ...profile.getHeaders(),
+            "Sec-Fetch-Dest": "document",
+            "Sec-Fetch-Mode": "navigate",
+            "Sec-Fetch-Site": "none",
+            "Sec-Fetch-User": "?1",
+            "Upgrade-Insecure-Requests": "1",
+            DNT: "1",
+            Connection: "keep-alive",
+          },
+        });
+        await this.config.authManager?.applyToContext(context);
 
-      page = await context.newPage();
-      await this.setupPageForHumanSimulation(page);
+        page = await context.newPage();
+        await this.setupPageForHumanSimulation(page, profile);
+        await profile.apply(context, page);
+      }
 
       const navigationStartTime = Date.now();
       const response = await this.navigateWithRetry(page, crawlResult.url);
@@ -444,16 +591,24 @@ class AuditEngine {
       }
 
       const statusCode = response.status();
+      this.rateLimiter.report(crawlResult.url, statusCode, response.headers());
       this.logger.info(
         `Navigation response for ${crawlResult.url}: ${statusCode} (${
           Date.now() - navigationStartTime
         }ms)`
       );
 
-      if (statusCode === 429) {
+      if (this.rateLimiter.isThrottled(statusCode)) {
         await page.close();
-        await context.close();
-        return await this.handleRateLimit(crawlResult, statusCode);
+        await context?.close();
+        page = null;
+        context = null;
+        return await this.handleRateLimit(
+          crawlResult,
+          statusCode,
+          options,
+          profile
+        );
       }
 
       if (statusCode >= 400) {
@@ -462,56 +617,87 @@ class AuditEngine {
         );
       }
 
-      this.logger.info(
-        `Waiting ${this.config.pageLoadDelay}ms for complete page load: ${crawlResult.url}`
-      );
-      await this.sleep(this.config.pageLoadDelay);
+      if (!this.isStatic()) {
+        this.logger.info(
+          `Waiting ${this.config.pageLoadDelay}ms for complete page load: ${crawlResult.url}`
+        );
+        await this.sleep(this.config.pageLoadDelay);
 
-      await page
-        .waitForLoadState("domcontentloaded", { timeout: 15000 })
-        .catch(() => {
-          this.logger.warning("DOM content loaded timeout, continuing...");
-        });
+        await page
+          .waitForLoadState("domcontentloaded", { timeout: 15000 })
+          .catch(() => {
+            this.logger.warning("DOM content loaded timeout, continuing...");
+          });
 
-      await page
-        .waitForLoadState("networkidle", { timeout: 10000 })
-        .catch(() => {
-          this.logger.info(
-            "Network idle timeout, proceeding with human simulation"
-          );
-        });
+        await page
+          .waitForLoadState("networkidle", { timeout: 10000 })
+          .catch(() => {
+            this.logger.info(
+              "Network idle timeout, proceeding with human simulation"
+            );
+          });
+      }
 
       if (this.config.humanSimulation) {
         await this.simulateHumanBehavior(page, crawlResult.url);
       }
 
-      const auditPromises = [];
-      const enabledAuditors = [];
-
-      for (const [name, auditor] of this.auditors) {
-        if (this.shouldRunAuditor(name, options)) {
-          enabledAuditors.push(name);
-          auditPromises.push(
-            this.runAuditorWithTimeout(auditor, page, crawlResult.url, name)
-          );
-        }
-      }
+      const auditorLevels = this.selectAuditors(options);
+      const enabledAuditors = auditorLevels.flat();
+      const auditContext = {
+        html: enabledAuditors.some((name) => AuditorRegistry.get(name).rawHtml)
+          ? await response.text().catch(() => null)
+          : null,
+        statusCode,
+        headers: response.headers(),
+        crawlResult,
+        results: {},
+      };
 
       this.logger.info(
-        `Running ${auditPromises.length} auditors for: ${crawlResult.url}`,
+        `Running ${enabledAuditors.length} auditors for: ${crawlResult.url}`,
         { auditors: enabledAuditors }
       );
 
-      const auditResults = await Promise.allSettled(auditPromises);
+      const auditResults = [];
+      for (const level of auditorLevels) {
+        const levelResults = await Promise.allSettled(
+          level.map((name) =>
+            this.runAuditorWithTimeout(
+              this.auditors.get(name),
+              page,
+              crawlResult.url,
+              name,
+              auditContext
+            )
+          )
+        );
+
+        levelResults.forEach((result) => {
+          if (result.status === "fulfilled" && result.value.success) {
+            auditContext.results[result.value.name] = result.value.result;
+          }
+        });
+        auditResults.push(...levelResults);
+      }
+
+      if (this.hasBrowserCrashed(crashesAtStart)) {
+        throw new Error("Browser disconnected while auditors were running");
+      }
+
       const compiledResults = this.compileAuditResults(
         auditResults,
         crawlResult.url
       );
+      const auditorStatus = this.getAuditorStatus(
+        auditResults,
+        enabledAuditors
+      );
 
       const loadTime = Date.now() - startTime;
 
       if (this.config.keepWindowsOpen) {
-        this.activePages.set(crawlResult.url, {
+        this.activePages.set(`${crawlResult.url} (${profile.name})`, {
           page,
           context,
           timestamp: Date.now(),
@@ -525,12 +711,18 @@ class AuditEngine {
       const auditResult = new AuditResult({
         url: crawlResult.url,
         success: true,
+        profile: profile.name,
         loadTime,
         statusCode: statusCode,
         crawlDepth: crawlResult.depth,
         crawlSource: crawlResult.source,
+        crawlHost: crawlResult.host,
+        crawlScope: crawlResult.scope,
+        crawlDiscoveryMethod: crawlResult.discoveryMethod,
         timestamp: new Date().toISOString(),
         ...compiledResults,
+        auditors: auditorStatus,
+        crashRetries: this.crashRetries.get(crawlResult.url) || 0,
       });
 
       this.logger.success(
@@ -539,7 +731,8 @@ class AuditEngine {
           loadTime: `${loadTime}ms`,
           statusCode: statusCode,
           totalTime: `${Date.now() - startTime}ms`,
-          auditsRun: auditPromises.length,
+          auditsRun: auditorStatus.ran.length,
+          timedOut: auditorStatus.timedOut.length,
           issues: compiledResults.issues.length,
           warnings: compiledResults.warnings.length,
         }
@@ -547,16 +740,26 @@ class AuditEngine {
 
       return auditResult;
     } catch (error) {
+      if (this.isBrowserCrash(error, crashesAtStart)) {
+        error.browserCrash = true;
+        this.logger.warning(
+          `Browser crashed while auditing ${crawlResult.url}`,
+          { error: error.message }
+        );
+        throw error;
+      }
+
       const loadTime = Date.now() - startTime;
       const errorDetails = {
         url: crawlResult.url,
+        profile: profile.name,
         error: error.message,
         name: error.name,
         code: error.code,
         stack: error.stack,
         loadTime,
         timestamp: new Date().toISOString(),
-        phase: "auditSingleUrl",
+        phase: "auditWithProfile",
         totalDuration: Date.now() - startTime,
       };
 
@@ -568,8 +771,15 @@ class AuditEngine {
       return new AuditResult({
         url: crawlResult.url,
         success: false,
+        profile: profile.name,
         error: error.message,
         loadTime,
+        crawlDepth: crawlResult.depth,
+        crawlSource: crawlResult.source,
+        crawlHost: crawlResult.host,
+        crawlScope: crawlResult.scope,
+        crawlDiscoveryMethod: crawlResult.discoveryMethod,
+        crashRetries: this.crashRetries.get(crawlResult.url) || 0,
         timestamp: new Date().toISOString(),
       });
     } finally {
@@ -594,59 +804,122 @@ class AuditEngine {
     }
   }
 
-  async applyRateLimit(url) {
-    const baseDelay = Math.random() * 2000 + 1000;
-    await this.sleep(baseDelay);
+  hasBrowserCrashed(crashesAtStart) {
+    return !this.isStatic() && this.browserPool.stats.crashes > crashesAtStart;
+  }
 
-    if (this.requestCount > 0 && this.requestCount % 10 === 0) {
-      const cooldownDelay = 5000 + Math.random() * 5000;
-      this.logger.info(
-        `Applying cooldown delay: ${Math.round(cooldownDelay / 1000)}s after ${
-          this.requestCount
-        } requests`
+  isBrowserCrash(error, crashesAtStart) {
+    if (this.isStatic()) return false;
+
+    return (
+      this.hasBrowserCrashed(crashesAtStart) ||
+      /Target page, context or browser has been closed|Browser has been closed|browser has disconnected|Target closed/i.test(
+        error.message
+      )
+    );
+  }
+
+  async requeueAfterCrash(crawlResult, pending) {
+    const url = crawlResult.url;
+    const attempts = this.crashRetries.get(url) || 0;
+
+    if (attempts >= this.config.crashRetries) {
+      this.logger.error(
+        `Giving up on ${url} after ${attempts} browser crash retries`
       );
-      await this.sleep(cooldownDelay);
+      return false;
+    }
+
+    this.crashRetries.set(url, attempts + 1);
+    await this.recoverFromCrash();
+
+    this.logger.warning(
+      `Requeued ${url} after browser crash (retry ${attempts + 1}/${
+        this.config.crashRetries
+      })`
+    );
+    pending.unshift(crawlResult);
+    return true;
+  }
+
+  async recoverFromCrash() {
+    if (this.recovering) {
+      return await this.recovering;
     }
+
+    const crashes = this.browserPool.stats.crashes;
+    if (crashes === this.recoveredCrashes && this.browserPool.isConnected()) {
+      return;
+    }
+
+    this.recovering = (async () => {
+      this.logger.warning(
+        "Relaunching browser and re-initialising browser-bound auditors"
+      );
+
+      await this.browserPool.getBrowser();
+
+      for (const [name, auditor] of this.auditors) {
+        if (!AuditorRegistry.get(name)?.requiresBrowser) continue;
+
+        try {
+          await auditor.initialize();
+          this.logger.info(`${name} auditor re-initialised after crash`);
+        } catch (error) {
+          this.logger.error(`Failed to re-initialise ${name} auditor`, {
+            error: error.message,
+          });
+        }
+      }
+
+      this.recoveredCrashes = crashes;
+    })().finally(() => {
+      this.recovering = null;
+    });
+
+    return await this.recovering;
   }
 
-  async handleRateLimit(crawlResult) {
+  async applyRateLimit(url) {
+    await this.rateLimiter.acquire(url);
+  }
+
+  async handleRateLimit(crawlResult, statusCode, options, profile) {
     const url = crawlResult.url;
     const retryCount = this.rateLimitRetries.get(url) || 0;
 
-    if (retryCount >= 3) {
+    if (retryCount >= this.rateLimiter.maxRetries) {
       this.logger.error(
         `Rate limit exceeded for ${url} after ${retryCount} retries`
       );
       return new AuditResult({
         url: crawlResult.url,
         success: false,
+        profile: profile.name,
         error: "Rate limit exceeded - maximum retries reached",
-        statusCode: 429,
+        statusCode,
         timestamp: new Date().toISOString(),
       });
     }
 
     this.rateLimitRetries.set(url, retryCount + 1);
 
-    const exponentialDelay =
-      this.config.rateLimitDelay * Math.pow(2, retryCount);
-    const maxDelay = Math.min(exponentialDelay, this.config.maxRetryDelay);
-    const jitterDelay = maxDelay + Math.random() * 10000;
-
     this.logger.warning(
-      `Rate limited (429) for ${url}. Waiting ${Math.round(
-        jitterDelay / 1000
-      )}s before retry ${retryCount + 1}/3`
+      `Rate limited (${statusCode}) for ${url}. Retrying ${retryCount + 1}/${
+        this.rateLimiter.maxRetries
+      } once ${new URL(url).origin} has cooled down`
     );
 
-    await this.sleep(jitterDelay);
-
-    this.logger.info(`Retrying after rate limit delay: ${url}`);
-    return await this.auditSingleUrl(crawlResult, {});
+    return await this.auditWithProfile(crawlResult, options, profile);
   }
 
-  async setupPageForHumanSimulation(page) {
-    await page.addInitScript(() => {
+  async setupPageForHumanSimulation(page, profile = this.profiles[0]) {
+    const emulated = {
+      platform: profile.getNavigatorPlatform(),
+      screen: profile.getScreen(),
+    };
+
+    await page.addInitScript(({ platform, screen: size }) => {
       Object.defineProperty(navigator, "webdriver", {
         get: () => undefined,
       });
@@ -664,7 +937,7 @@ class AuditEngine {
         get: () => ["en-US", "en"],
       });
       Object.defineProperty(navigator, "platform", {
-        get: () => "Win32",
+        get: () => platform,
       });
       Object.defineProperty(navigator, "hardwareConcurrency", {
         get: () => 4,
@@ -710,11 +983,13 @@ class AuditEngine {
       window.outerHeight = window.innerHeight;
       window.outerWidth = window.innerWidth;
 
-      Object.defineProperty(screen, "availWidth", { get: () => 1366 });
-      Object.defineProperty(screen, "availHeight", { get: () => 728 });
-      Object.defineProperty(screen, "width", { get: () => 1366 });
-      Object.defineProperty(screen, "height", { get: () => 768 });
-    });
+      Object.defineProperty(screen, "availWidth", { get: () => size.width });
+      Object.defineProperty(screen, "availHeight", {
+        get: () => size.availHeight,
+      });
+      Object.defineProperty(screen, "width", { get: () => size.width });
+      Object.defineProperty(screen, "height", { get: () => size.height });
+    }, emulated);
   }
 
   async simulateHumanBehavior(page, url) {
@@ -799,6 +1074,10 @@ class AuditEngine {
           stack: error.stack,
         };
 
+        if (this.isBrowserCrash(error, Infinity)) {
+          throw error;
+        }
+
         if (attempt === retries) {
           this.logger.error(
             `All navigation attempts failed for ${url}`,
@@ -853,26 +1132,34 @@ class AuditEngine {
     }
   }
 
-  async runAuditorWithTimeout(auditor, page, url, auditorName) {
-    const auditorStartTime = Date.now();
-
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(
-        () =>
-          reject(
-            new Error(
-              `${auditorName} auditor timeout after ${this.config.timeout}ms`
-            )
-          ),
-        this.config.timeout
-      )
+  getAuditorTimeout(auditorName) {
+    const definition = AuditorRegistry.get(auditorName);
+    return (
+      (definition && this.config[definition.configKey]?.timeout) ||
+      this.config.timeout
     );
+  }
+
+  async runAuditorWithTimeout(auditor, page, url, auditorName, context = {}) {
+    const auditorStartTime = Date.now();
+    const timeout = this.getAuditorTimeout(auditorName);
+    let timer = null;
+    let timedOut = false;
+
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        reject(new Error(`${auditorName} auditor timeout after ${timeout}ms`));
+      }, timeout);
+    });
 
     try {
       this.logger.info(`Starting ${auditorName} auditor for ${url}`);
 
       const result = await Promise.race([
-        auditor.audit(page, url),
+        auditor.audit(
+          ...this.getAuditorArguments(auditorName, page, url, context)
+        ),
         timeoutPromise,
       ]);
 
@@ -906,56 +1193,90 @@ class AuditEngine {
       return {
         name: auditorName,
         success: false,
+        timedOut,
+        timeout,
         error: error.message,
         duration: auditorDuration,
       };
+    } finally {
+      clearTimeout(timer);
     }
   }
 
   shouldRunAuditor(auditorName, options) {
-    const coreAuditors = [
-      "canonical",
-      "metaTags",
-      "headings",
-      "redirects",
-      "brokenLinks",
-      "structuredData",
-    ];
-
-    if (coreAuditors.includes(auditorName)) {
-      return true;
-    }
+    const definition = AuditorRegistry.get(auditorName);
 
     if (
-      auditorName === "performance" &&
-      (options.includePerformance || this.config.includePerformance)
+      options.profileAuditors?.length > 0 &&
+      !options.profileAuditors.includes(auditorName)
     ) {
-      return true;
+      return false;
     }
 
-    if (
-      auditorName === "accessibility" &&
-      (options.includeAccessibility || this.config.includeAccessibility)
-    ) {
-      return true;
-    }
+    return !!definition && this.isAuditorEnabled(definition, options);
+  }
 
-    if (
-      auditorName === "visualRegression" &&
-      (options.includeVisualRegression || this.config.includeVisualRegression)
-    ) {
-      return true;
-    }
+  selectAuditors(options = {}) {
+    const needed = new Set();
 
-    if (
-      auditorName === "htmlStructure" &&
-      (options.includeStructureComparison ||
-        this.config.includeStructureComparison)
-    ) {
-      return true;
+    [...this.auditorLevels].reverse().forEach((level) => {
+      level.forEach((name) => {
+        if (needed.has(name) || this.shouldRunAuditor(name, options)) {
+          needed.add(name);
+          AuditorRegistry.get(name).dependencies.forEach((dependency) =>
+            needed.add(dependency)
+          );
+        }
+      });
+    });
+
+    return this.auditorLevels
+      .map((level) => level.filter((name) => needed.has(name)))
+      .filter((level) => level.length > 0);
+  }
+
+  getAuditorArguments(auditorName, page, url, context) {
+    switch (AuditorRegistry.get(auditorName)?.input) {
+      case "url":
+        return [url, context];
+      case "html":
+        return [context.html, url, context];
+      default:
+        return [page, url, context];
     }
+  }
+
+  getAuditorStatus(auditResults, enabledAuditors) {
+    const status = { ran: [], skipped: [], timedOut: [], failed: [] };
+
+    auditResults.forEach((result, index) => {
+      const name = result.value?.name || enabledAuditors[index];
 
-    return false;
+      if (result.status === "fulfilled" && result.value.success) {
+        status.ran.push(name);
+      } else if (result.value?.timedOut) {
+        status.timedOut.push({ name, timeout: result.value.timeout });
+      } else {
+        status.failed.push({
+          name,
+          error:
+            result.status === "rejected"
+              ? result.reason?.message || String(result.reason)
+              : result.value.error,
+        });
+      }
+    });
+
+    AuditorRegistry.list().forEach((definition) => {
+      if (!enabledAuditors.includes(definition.name)) {
+        status.skipped.push({
+          name: definition.name,
+          reason: this.skippedAuditors.get(definition.name) || "not enabled",
+        });
+      }
+    });
+
+    return status;
   }
 
   compileAuditResults(auditResults, url) {
@@ -970,6 +1291,9 @@ class AuditEngine {
       accessibility: null,
       visualRegression: null,
       htmlStructure: null,
+      renderDiff: null,
+      hreflang: null,
+      plugins: {},
       issues: [],
       warnings: [],
       recommendations: [],
@@ -981,7 +1305,11 @@ class AuditEngine {
     auditResults.forEach((result, index) => {
       if (result.status === "fulfilled" && result.value.success) {
         const { name, result: auditResult, duration } = result.value;
-        compiled[name] = auditResult;
+        if (AuditorRegistry.get(name)?.source === "built-in") {
+          compiled[name] = auditResult;
+        } else {
+          compiled.plugins[name] = auditResult;
+        }
         successfulAuditors++;
 
         this.logger.info(
@@ -1014,7 +1342,7 @@ class AuditEngine {
         this.logger.error(`Auditor compilation error for ${url}`, errorDetails);
 
         compiled.issues.push({
-          type: "audit_failure",
+          type: result.value?.timedOut ? "audit_timeout" : "audit_failure",
           severity: "error",
           message: `Audit failure in ${auditorName}: ${error}`,
           auditor: auditorName,
@@ -1036,13 +1364,25 @@ class AuditEngine {
 
   async createBaselines(landingUrl, options = {}) {
     try {
+      if (this.isStatic()) {
+        throw new Error("Baseline creation needs browser mode");
+      }
+
       this.logger.info(
         "Creating baselines for visual regression and structure comparison"
       );
 
-      const CrawlerEngine = require("./CrawlerEngine");
-      const crawlerEngine = new CrawlerEngine(this.config.crawler);
-      await crawlerEngine.initialize();
+      const crawlerEngine =
+        options.crawlerEngine ||
+        new CrawlerEngine({
+          ...options.crawler,
+          browserPool: this.browserPool,
+          rateLimiter: this.rateLimiter,
+          authManager: this.config.authManager,
+        });
+      if (!options.crawlerEngine) {
+        await crawlerEngine.initialize();
+      }
 
       const crawlResults = await crawlerEngine.discoverUrls(
         landingUrl,
@@ -1052,12 +1392,16 @@ class AuditEngine {
       const results = [];
 
       for (const crawlResult of crawlResults) {
+        let context = null;
+
         try {
-          const context = await this.browser.newContext({
+          context = await this.browserPool.newContext({
             userAgent: this.config.userAgent,
             viewport: { width: 1366, height: 768 },
             ignoreHTTPSErrors: true,
+            ...this.config.authManager?.getContextOptions(),
           });
+          await this.config.authManager?.applyToContext(context);
 
           const page = await context.newPage();
           await this.setupPageForHumanSimulation(page);
@@ -1096,9 +1440,6 @@ class AuditEngine {
 
             this.logger.success(`Baselines created for: ${crawlResult.url}`);
           }
-
-          await page.close();
-          await context.close();
         } catch (error) {
           this.logger.error(
             `Failed to create baseline for ${crawlResult.url}`,
@@ -1109,10 +1450,14 @@ class AuditEngine {
             success: false,
             error: error.message,
           });
+        } finally {
+          await context?.close().catch(() => {});
         }
       }
 
-      await crawlerEngine.cleanup();
+      if (!options.crawlerEngine) {
+        await crawlerEngine.cleanup();
+      }
 
       this.logger.success("Baseline creation completed", {
         total: results.length,
@@ -1171,13 +1516,13 @@ class AuditEngine {
         }
       }
 
-      if (this.browser) {
-        await this.browser.close();
-        this.browser = null;
+      if (this.ownsBrowserPool) {
+        await this.browserPool.close();
         this.logger.info("Browser closed successfully");
       }
 
       this.rateLimitRetries.clear();
+      this.crashRetries.clear();
       this.requestCount = 0;
 
       this.logger.success("Audit Engine cleanup completed successfully", {
@@ -1199,11 +1544,11 @@ class AuditEngine {
 
   async healthCheck() {
     try {
-      if (!this.browser) {
-        throw new Error("Browser not initialized");
+      if (this.isStatic()) {
+        return await this.staticHealthCheck();
       }
 
-      const context = await this.browser.newContext();
+      const context = await this.browserPool.newContext();
       const page = await context.newPage();
 
       const testStartTime = Date.now();
@@ -1225,6 +1570,7 @@ class AuditEngine {
         status: "healthy",
         timestamp: new Date().toISOString(),
         browserReady: true,
+        browserPool: this.browserPool.getStats(),
         pageLoadTime: `${pageLoadTime}ms`,
         activePages: this.activePages.size,
         auditors: Array.from(this.auditors.keys()),
@@ -1237,6 +1583,31 @@ class AuditEngine {
     }
   }
 
+  async staticHealthCheck() {
+    const page = this.createStaticPage();
+    await page.setContent(
+      "<html><body><h1>Health Check</h1><p>System operational</p></body></html>"
+    );
+    const heading = await page.evaluate(
+      () => document.querySelector("h1")?.textContent
+    );
+    await page.close();
+
+    if (heading !== "Health Check") {
+      throw new Error("Static document parsing failed");
+    }
+
+    return {
+      status: "healthy",
+      mode: "static",
+      timestamp: new Date().toISOString(),
+      browserReady: false,
+      auditors: Array.from(this.auditors.keys()),
+      totalRequests: this.requestCount,
+      uptime: `${Math.round((Date.now() - this.startTime) / 1000)}s`,
+    };
+  }
+
   getAuditorStats() {
     const stats = {
       totalAuditors: this.auditors.size,
@@ -1244,6 +1615,7 @@ class AuditEngine {
       runningTasks: this.runningTasks,
       concurrentLimit: this.concurrentLimit,
       rateLimitRetries: this.rateLimitRetries.size,
+      crashRetries: this.crashRetries.size,
       totalRequests: this.requestCount,
       uptime: Date.now() - this.startTime,
       config: {
@@ -1251,10 +1623,16 @@ class AuditEngine {
         pageLoadDelay: this.config.pageLoadDelay,
         concurrent: this.config.concurrent,
         humanSimulation: this.config.humanSimulation,
-        rateLimitDelay: this.config.rateLimitDelay,
+        mode: this.config.mode || "browser",
         includeVisualRegression: this.config.includeVisualRegression,
         includeStructureComparison: this.config.includeStructureComparison,
+        onlyAuditors: this.getAuditorList("onlyAuditors"),
+        skipAuditors: this.getAuditorList("skipAuditors"),
+        profiles: this.profiles.map((profile) => profile.describe()),
+        profileAuditors: this.getAuditorList("profileAuditors"),
       },
+      skippedAuditors: Object.fromEntries(this.skippedAuditors),
+      browserPool: this.isStatic() ? null : this.browserPool.getStats(),
     };
 
     for (const [name, auditor] of this.auditors) {
@@ -1304,6 +1682,7 @@ class AuditEngine {
       totalRateLimitHits: this.rateLimitRetries.size,
       urlsAffected: Array.from(this.rateLimitRetries.keys()),
       retryDistribution: {},
+      hosts: this.rateLimiter.getStats(),
     };
 
     for (const [retryCount] of this.rateLimitRetries) {
@@ -1318,10 +1697,7 @@ class AuditEngine {
     this.logger.warning("Emergency stop initiated");
 
     try {
-      if (this.browser) {
-        await this.browser.close();
-        this.browser = null;
-      }
+      await this.browserPool.close();
 
       this.activePages.clear();
       this.runningTasks = 0;
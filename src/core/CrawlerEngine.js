@@ -1,16 +1,26 @@
-import { chromium } from "playwright";
+import axios from "axios";
 import Logger from "../utils/Logger.js";
 import LinkDiscovery from "../crawlers/LinkDiscovery.js";
+import LinkGraph from "../crawlers/LinkGraph.js";
+import CrawlBudget from "../crawlers/CrawlBudget.js";
 import UrlResolver from "../crawlers/UrlResolver.js";
+import CrawlScope from "../crawlers/CrawlScope.js";
 import CrawlQueue from "../crawlers/CrawlQueue.js";
-import RateLimiter from "../utils/RateLimiter.js";
+import RobotsTxt from "../crawlers/RobotsTxt.js";
+import SitemapParser from "../crawlers/SitemapParser.js";
+import HostRateLimiter from "../utils/HostRateLimiter.js";
+import StaticPage from "../utils/StaticPage.js";
+import BrowserPool from "../utils/BrowserPool.js";
 import Cache from "../utils/Cache.js";
 import CrawlResult from "../models/CrawlResult.js";
 
 class CrawlerEngine {
+  static MODES = ["browser", "static"];
+  static HEAD_UNSUPPORTED = [405, 501];
+
   constructor(config = {}) {
     this.config = {
-      maxDepth: config.maxDepth || 3,
+      maxDepth: config.maxDepth ?? 3,
       maxUrls: config.maxUrls || 100,
       timeout: config.timeout || 120000,
       pageLoadDelay: config.pageLoadDelay || 12000,
@@ -26,56 +36,79 @@ class CrawlerEngine {
       humanSimulation: config.humanSimulation !== false,
       keepWindowsOpen: config.keepWindowsOpen || false,
       windowDisplayTime: config.windowDisplayTime || 5000,
+      mode: config.mode || "browser",
       ...config,
     };
 
+    if (!CrawlerEngine.MODES.includes(this.config.mode)) {
+      throw new Error(
+        `Unknown crawl mode "${this.config.mode}". Available: ${CrawlerEngine.MODES.join(
+          ", "
+        )}`
+      );
+    }
+
+    if (this.isStatic()) {
+      this.config.humanSimulation = false;
+      this.config.keepWindowsOpen = false;
+    }
+
     this.logger = new Logger("CrawlerEngine");
-    this.browser = null;
+    this.ownsBrowserPool = !this.config.browserPool;
+    this.browserPool =
+      this.config.browserPool ||
+      new BrowserPool({
+        headless: this.config.headless,
+        slowMo: this.config.humanSimulation ? 100 : 0,
+        devtools: this.config.keepWindowsOpen,
+        maxPagesPerBrowser: this.config.maxPagesPerBrowser,
+      });
     this.linkDiscovery = new LinkDiscovery(this.config);
     this.urlResolver = new UrlResolver(this.config);
-    this.crawlQueue = new CrawlQueue();
-    this.rateLimiter = new RateLimiter(
-      this.config.rateLimit || { requests: 5, window: 2000 }
-    );
+    this.crawlScope = new CrawlScope(this.config);
+    this.crawlQueue = new CrawlQueue({
+      stateStore: this.config.stateStore,
+      strategy: this.config.crawlStrategy,
+      priorityRules: this.config.priorityRules,
+    });
+    this.robotsTxt = new RobotsTxt(this.config);
+    this.sitemapParser = new SitemapParser(this.config);
+    this.rateLimiter =
+      this.config.rateLimiter ||
+      new HostRateLimiter(
+        this.config.rateLimit || { requests: 5, window: 2000 }
+      );
+    this.throttleRetries = new Map();
     this.cache = new Cache({ ttl: this.config.cacheTTL || 300000 });
     this.discoveredUrls = new Set();
+    this.selectedUrls = new Set();
     this.visitedUrls = new Set();
     this.failedUrls = new Set();
+    this.urlRecords = new Map();
+    this.blockedUrls = new Map();
+    this.urlVariants = new Map();
+    this.sitemapEntries = new Map();
+    this.sitemaps = [];
+    this.sitemapCoverage = null;
+    this.linkGraph = new LinkGraph(this.config.linkGraph);
+    this.crawlBudget =
+      this.config.crawlBudget || new CrawlBudget(this.config.budget);
     this.activePages = new Map();
   }
 
   async initialize() {
     try {
-      this.logger.info("Initializing Crawler Engine with human simulation");
-
-      this.browser = await chromium.launch({
-        headless: this.config.headless !== false,
-        slowMo: this.config.humanSimulation ? 100 : 0,
-        devtools: this.config.keepWindowsOpen,
-        args: [
-          "--no-sandbox",
-          "--disable-setuid-sandbox",
-          "--disable-dev-shm-usage",
-          "--disable-accelerated-2d-canvas",
-          "--disable-gpu",
-          "--window-size=1366,768",
-          "--disable-web-security",
-          "--disable-blink-features=AutomationControlled",
-          "--disable-background-timer-throttling",
-          "--disable-backgrounding-occluded-windows",
-          "--disable-renderer-backgrounding",
-          "--disable-features=TranslateUI",
-          "--disable-ipc-flooding-protection",
-          "--no-first-run",
-          "--no-default-browser-check",
-          "--no-pings",
-          "--password-store=basic",
-          "--use-mock-keychain",
-          "--start-maximized",
-        ],
+      this.logger.info("Initializing Crawler Engine with human simulation", {
+        mode: this.config.mode,
       });
 
-      this.logger.success("Browser initialized with human simulation features");
+      if (this.isStatic()) {
+        this.logger.info(
+          "Static mode: pages are fetched over HTTP without a browser"
+        );
+      } else {
+        await this.launchBrowser();
+      }
 
       await this.linkDiscovery.initialize();
       await this.crawlQueue.initialize();
@@ -87,6 +120,24 @@ class CrawlerEngine {
     }
   }
 
+  isStatic() {
+    return this.config.mode === "static";
+  }
+
+  createStaticPage() {
+    return new StaticPage({
+      userAgent: this.config.userAgent,
+      timeout: this.config.timeout,
+      headers: this.config.headers,
+      authManager: this.config.authManager,
+    });
+  }
+
+  async launchBrowser() {
+    await this.browserPool.getBrowser();
+    this.logger.success("Browser initialized with human simulation features");
+  }
+
   async discoverUrls(startUrl, options = {}) {
     try {
       this.logger.info(
@@ -98,27 +149,137 @@ class CrawlerEngine {
         }
       );
 
+      this.crawlBudget.start();
       const normalizedStartUrl = this.urlResolver.normalize(startUrl);
+      this.trackUrlVariant(startUrl, normalizedStartUrl, null);
       const baseDomain = this.urlResolver.extractDomain(normalizedStartUrl);
+      this.crawlScope.setStartUrl(normalizedStartUrl);
+      this.linkGraph.setStartUrl(normalizedStartUrl);
+      const maxDepth = options.maxDepth ?? this.config.maxDepth;
+      const maxUrls = options.maxUrls || this.config.maxUrls;
+      const respectRobots =
+        this.config.respectRobots && options.respectRobots !== false;
+
+      this.logger.info(`Base domain: ${baseDomain}`, {
+        maxDepth,
+        maxUrls,
+        respectRobots,
+        scope: this.crawlScope.mode,
+        crawlStrategy: this.crawlQueue.strategy.name,
+      });
 
-      this.logger.info(`Base domain: ${baseDomain}`);
+      if (respectRobots) {
+        await this.applyRobotsCrawlDelay(normalizedStartUrl);
 
-      this.crawlQueue.add(normalizedStartUrl, 0);
-      this.discoveredUrls.add(normalizedStartUrl);
+        const startCheck = await this.robotsTxt.check(normalizedStartUrl);
+        if (!startCheck.allowed) {
+          this.logger.warning(
+            `Landing page is disallowed by robots.txt (${startCheck.rule}), crawling it anyway as the explicit audit target`
+          );
+        }
+      }
 
-      while (
-        !this.crawlQueue.isEmpty() &&
-        this.discoveredUrls.size < this.config.maxUrls
-      ) {
-        await this.rateLimiter.acquire();
+      const useSitemaps =
+        this.config.useSitemaps !== false && options.useSitemaps !== false;
+
+      const snapshot = options.resume ? await this.crawlQueue.restore() : null;
+
+      if (snapshot) {
+        this.restoreSnapshot(snapshot);
+        this.logger.info("Resuming crawl from saved state", {
+          pending: this.crawlQueue.size(),
+          visited: this.visitedUrls.size,
+          discovered: this.discoveredUrls.size,
+        });
+      } else {
+        this.crawlBudget.admit(normalizedStartUrl);
+        this.crawlQueue.add(normalizedStartUrl, 0, null);
+        this.discoveredUrls.add(normalizedStartUrl);
+        this.selectedUrls.add(normalizedStartUrl);
+        this.recordUrl(normalizedStartUrl, {
+          depth: 0,
+          parentUrl: null,
+          source: "landing-page",
+          discoveryMethod: "landing-page",
+        });
+
+        if (useSitemaps) {
+          await this.seedFromSitemaps(normalizedStartUrl, baseDomain, {
+            ...options,
+            maxDepth,
+            maxUrls,
+            respectRobots,
+          });
+        }
+
+        await this.crawlQueue.checkpoint(this.createSnapshot());
+      }
+
+      while (!this.crawlQueue.isEmpty()) {
+        if (
+          this.crawlBudget.checkTime(
+            "crawl",
+            this.crawlQueue.getPendingUrls(maxDepth).length
+          )
+        ) {
+          this.logger.warning(
+            `Time budget reached, stopping crawl with ${this.crawlQueue.size()} URLs still queued`
+          );
+          break;
+        }
 
         const { url, depth } = this.crawlQueue.next();
 
-        if (this.visitedUrls.has(url) || depth > this.config.maxDepth) {
+        if (this.visitedUrls.has(url) || depth > maxDepth) {
+          this.crawlQueue.complete(url, { skipped: true });
           continue;
         }
 
-        await this.crawlPage(url, depth, baseDomain, options);
+        if (!this.selectedUrls.has(url) && this.selectedUrls.size >= maxUrls) {
+          const skipped = new Set([
+            url,
+            ...this.crawlQueue.getPendingUrls(maxDepth),
+          ]);
+          this.selectedUrls.forEach((selected) => skipped.delete(selected));
+
+          this.logger.info(
+            `Max URLs limit reached (${maxUrls}), leaving ${skipped.size} queued URLs uncrawled`
+          );
+          this.crawlBudget.recordHit("max-urls", "maxUrls", maxUrls, {
+            skipped: skipped.size,
+          });
+          break;
+        }
+
+        this.selectedUrls.add(url);
+
+        await this.rateLimiter.acquire(url);
+        await this.crawlPage(url, depth, baseDomain, {
+          ...options,
+          maxDepth,
+          maxUrls,
+          respectRobots,
+        });
+
+        if (this.shouldRetryThrottled(url)) {
+          this.crawlQueue.complete(url, { throttled: true });
+          this.crawlQueue.add(url, depth, this.urlRecords.get(url)?.parentUrl);
+          continue;
+        }
+
+        this.crawlQueue.complete(url, {
+          failed: this.failedUrls.has(url),
+          statusCode: this.urlRecords.get(url)?.statusCode || null,
+        });
+        await this.crawlQueue.checkpoint(this.createSnapshot());
+      }
+
+      if (
+        useSitemaps &&
+        this.sitemapEntries.size > 0 &&
+        !this.crawlBudget.isExpired("crawl")
+      ) {
+        await this.analyzeSitemapCoverage(normalizedStartUrl);
       }
 
       if (this.config.keepWindowsOpen) {
@@ -126,14 +287,8 @@ class CrawlerEngine {
         await this.sleep(this.config.windowDisplayTime);
       }
 
-      const results = Array.from(this.discoveredUrls).map(
-        (url) =>
-          new CrawlResult({
-            url,
-            discovered: true,
-            depth: this.getUrlDepth(url, normalizedStartUrl),
-            source: this.getUrlSource(url, normalizedStartUrl),
-          })
+      const results = Array.from(this.selectedUrls).map((url) =>
+        this.createCrawlResult(url, normalizedStartUrl)
       );
 
       this.logger.success("URL discovery completed", {
@@ -163,44 +318,60 @@ class CrawlerEngine {
       this.logger.info(`Starting crawl for: ${url} (depth: ${depth})`);
 
       this.visitedUrls.add(url);
+      this.linkGraph.addNode(url, { crawled: true });
 
       const cacheKey = `crawl:${url}`;
-      let links = this.cache.get(cacheKey);
-
-      if (!links) {
-        context = await this.browser.newContext({
-          userAgent: this.config.userAgent,
-          viewport: { width: 1366, height: 768 },
-          ignoreHTTPSErrors: true,
-          extraHTTPHeaders: {
-            Accept:
-              "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
-            "Accept-Language": "en-US,en;q=0.9",
-            "Accept-Encoding": "gzip, deflate, br",
-            "Cache-Control": "no-cache",
-            Pragma: "no-cache",
-            "Sec-Ch-Ua":
-              '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-            "Sec-Ch-Ua-Mobile": "?0",
-            "Sec-Ch-Ua-Platform": '"Windows"',
-            "Sec-Fetch-Dest": "document",
-            "Sec-Fetch-Mode": "navigate",
-            "Sec-Fetch-Site": "none",
-            "Sec-Fetch-User": "?1",
-            "Upgrade-Insecure-Requests": "1",
-            ...this.config.headers,
-          },
+      const cached = this.cache.get(cacheKey);
+      let links = cached ? cached.links : null;
+
+      if (cached) {
+        this.logger.info(`Using cached links for: ${url}`);
+        this.updateUrlRecord(url, {
+          statusCode: cached.statusCode,
+          canonical: cached.canonical,
         });
+        this.linkGraph.addNode(url, { statusCode: cached.statusCode });
+      } else {
+        if (this.isStatic()) {
+          page = this.createStaticPage();
+        } else {
+          context = await this.browserPool.newContext({
+            userAgent: this.config.userAgent,
+            viewport: { width: 1366, height: 768 },
+            ignoreHTTPSErrors: true,
+            ...this.config.authManager?.getContextOptions(),
+            extraHTTPHeaders: {
+              Accept:
+                "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
+              "Accept-Language": "en-US,en;q=0.9",
+              "Accept-Encoding": "gzip, deflate, br",
+              "Cache-Control": "no-cache",
+              Pragma: "no-cache",
+              "Sec-Ch-Ua":
+                '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+              "Sec-Ch-Ua-Mobile": "?0",
+              "Sec-Ch-Ua-Platform": '"Windows"',
+              "Sec-Fetch-Dest": "document",
+              "Sec-Fetch-Mode": "navigate",
+              "Sec-Fetch-Site": "none",
+              "Sec-Fetch-User": "?1",
+              "Upgrade-Insecure-Requests": "1",
+              ...this.config.headers,
+            },
+          });
+          await this.config.authManager?.applyToContext(context);
 
-        page = await context.newPage();
+          page = await context.newPage();
 
-        await this.setupPageForHumanSimulation(page);
+          await this.setupPageForHumanSimulation(page);
+          await this.linkDiscovery.prepare(page);
+        }
 
         this.logger.info(`Navigating to: ${url}`);
 
-        try {
-          const navigationStartTime = Date.now();
+        const navigationStartTime = Date.now();
 
+        try {
           const response = await page.goto(url, {
             waitUntil: "domcontentloaded",
             timeout: this.config.timeout,
@@ -215,6 +386,12 @@ class CrawlerEngine {
           }
 
           const status = response.status();
+          this.rateLimiter.report(url, status, response.headers());
+          this.updateUrlRecord(url, {
+            statusCode: status,
+            finalUrl: response.url(),
+          });
+          this.linkGraph.addNode(url, { statusCode: status });
           this.logger.info(
             `Response received for ${url}: ${status} (${
               Date.now() - navigationStartTime
@@ -227,18 +404,20 @@ class CrawlerEngine {
             );
           }
 
-          this.logger.info(
-            `Waiting ${this.config.pageLoadDelay}ms for page to fully load: ${url}`
-          );
-          await this.sleep(this.config.pageLoadDelay);
-
-          await page
-            .waitForLoadState("networkidle", { timeout: 15000 })
-            .catch(() => {
-              this.logger.info(
-                "Network idle timeout reached, continuing with human simulation..."
-              );
-            });
+          if (!this.isStatic()) {
+            this.logger.info(
+              `Waiting ${this.config.pageLoadDelay}ms for page to fully load: ${url}`
+            );
+            await this.sleep(this.config.pageLoadDelay);
+
+            await page
+              .waitForLoadState("networkidle", { timeout: 15000 })
+              .catch(() => {
+                this.logger.info(
+                  "Network idle timeout reached, continuing with human simulation..."
+                );
+              });
+          }
 
           if (this.config.humanSimulation) {
             await this.simulateHumanBehavior(page, url);
@@ -248,7 +427,17 @@ class CrawlerEngine {
             `Page fully loaded and simulated, extracting links from: ${url}`
           );
 
-          links = await this.linkDiscovery.extractLinks(page, url);
+          const rawHtml = this.linkDiscovery.isExtended()
+            ? await response.text().catch(() => null)
+            : null;
+          links = await this.linkDiscovery.extractLinks(page, url, {
+            rawHtml,
+            static: this.isStatic(),
+          });
+          const canonical = await this.linkDiscovery.extractCanonical(page);
+          this.updateUrlRecord(url, {
+            canonical: canonical ? this.urlResolver.normalize(canonical) : null,
+          });
 
           this.logger.info(
             `Successfully extracted ${
@@ -256,7 +445,11 @@ class CrawlerEngine {
             } links from ${url} (total time: ${Date.now() - crawlStartTime}ms)`
           );
 
-          this.cache.set(cacheKey, links);
+          this.cache.set(cacheKey, {
+            links,
+            statusCode: status,
+            canonical: this.urlRecords.get(url)?.canonical || null,
+          });
 
           if (this.config.keepWindowsOpen) {
             this.activePages.set(url, { page, context, timestamp: Date.now() });
@@ -307,23 +500,19 @@ class CrawlerEngine {
 
           throw error;
         }
-      } else {
-        this.logger.info(`Using cached links for: ${url}`);
       }
 
-      for (const link of links) {
-        const resolvedUrl = this.urlResolver.resolve(link.href, url);
-
-        if (this.shouldIncludeUrl(resolvedUrl, baseDomain, options)) {
-          if (!this.discoveredUrls.has(resolvedUrl)) {
-            this.discoveredUrls.add(resolvedUrl);
+      const enqueued = await this.enqueueLinks(
+        links,
+        url,
+        depth,
+        baseDomain,
+        options
+      );
 
-            if (depth < this.config.maxDepth) {
-              this.crawlQueue.add(resolvedUrl, depth + 1);
-            }
-          }
-        }
-      }
+      this.logger.info(
+        `Enqueued ${enqueued} new URLs from ${url} (discovered: ${this.discoveredUrls.size})`
+      );
 
       this.logger.success(
         `Successfully completed crawl for ${url} - Found ${
@@ -345,6 +534,7 @@ class CrawlerEngine {
 
       this.logger.error(`Comprehensive error details for ${url}`, errorDetails);
       this.failedUrls.add(url);
+      this.updateUrlRecord(url, { error: error.message });
     } finally {
       if (!this.config.keepWindowsOpen) {
         if (page) {
@@ -361,6 +551,465 @@ class CrawlerEngine {
     }
   }
 
+  async enqueueLinks(links, parentUrl, depth, baseDomain, options) {
+    let enqueued = 0;
+
+    for (const link of links) {
+      const resolvedUrl = this.urlResolver.resolve(link.href, parentUrl);
+      if (!resolvedUrl) continue;
+
+      const normalizedUrl = this.urlResolver.normalize(resolvedUrl);
+      this.trackUrlVariant(resolvedUrl, normalizedUrl, parentUrl);
+      this.crawlQueue.recordInboundLink(normalizedUrl);
+
+      if (this.crawlScope.isInScope(normalizedUrl)) {
+        this.linkGraph.addEdge(parentUrl, normalizedUrl, link);
+      } else {
+        this.linkGraph.recordExternalLink(parentUrl);
+      }
+
+      if (this.discoveredUrls.has(normalizedUrl)) {
+        this.addUrlSource(normalizedUrl, "link");
+        this.addDiscoveryMethod(normalizedUrl, link.method);
+        this.crawlQueue.markLinked(normalizedUrl);
+        continue;
+      }
+
+      const admitted = await this.admitUrl(
+        normalizedUrl,
+        {
+          depth: depth + 1,
+          parentUrl,
+          linkText: link.text,
+          source: "link",
+          discoveryMethod: link.method,
+        },
+        baseDomain,
+        options
+      );
+
+      if (admitted) enqueued++;
+    }
+
+    return enqueued;
+  }
+
+  async admitUrl(url, data, baseDomain, options) {
+    if (
+      !this.shouldIncludeUrl(url, baseDomain, options) ||
+      this.discoveredUrls.has(url) ||
+      this.blockedUrls.has(url)
+    ) {
+      return false;
+    }
+
+    if (options.respectRobots) {
+      const robotsCheck = await this.robotsTxt.check(url);
+
+      if (!robotsCheck.allowed) {
+        this.blockedUrls.set(url, {
+          url,
+          parentUrl: data.parentUrl,
+          depth: data.depth,
+          source: data.source,
+          rule: robotsCheck.rule,
+          agent: robotsCheck.agent,
+          robotsUrl: robotsCheck.robotsUrl,
+          reason: "blocked by robots.txt",
+        });
+        this.logger.info(
+          `Skipping ${url} - blocked by robots.txt (${robotsCheck.rule})`
+        );
+        return false;
+      }
+
+      await this.applyRobotsCrawlDelay(url);
+    }
+
+    const admission = this.crawlBudget.admit(url);
+    if (!admission.allowed) {
+      this.logger.debug(
+        `Skipping ${url} - ${admission.budget} budget reached`,
+        {
+          budget: admission.key,
+        }
+      );
+      return false;
+    }
+
+    this.discoveredUrls.add(url);
+    this.recordUrl(url, data);
+    this.crawlQueue.add(url, data.depth, data.parentUrl, {
+      sitemapPriority: data.sitemapPriority,
+      seeded: data.source === "sitemap",
+    });
+    return true;
+  }
+
+  async seedFromSitemaps(startUrl, baseDomain, options) {
+    const origin = new URL(startUrl).origin;
+    const robotsSitemaps = await this.robotsTxt.getSitemaps(startUrl);
+    const sitemapUrls = [...robotsSitemaps, `${origin}/sitemap.xml`];
+
+    this.logger.info("Seeding discovery from sitemaps", {
+      sitemaps: sitemapUrls,
+    });
+
+    const { sitemaps, entries } =
+      await this.sitemapParser.discover(sitemapUrls);
+    this.sitemaps = sitemaps;
+
+    let seeded = 0;
+
+    const rankedEntries = entries
+      .map((entry) => ({
+        entry,
+        score: this.crawlQueue.score({
+          url: entry.url,
+          depth: 1,
+          sitemapPriority: entry.priority,
+        }),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ entry }) => entry);
+
+    for (const entry of rankedEntries) {
+      const normalizedUrl = this.urlResolver.normalize(entry.url);
+      this.trackUrlVariant(entry.url, normalizedUrl, entry.sitemap);
+      if (this.sitemapEntries.has(normalizedUrl)) continue;
+
+      this.sitemapEntries.set(normalizedUrl, { ...entry, url: normalizedUrl });
+
+      if (this.discoveredUrls.has(normalizedUrl)) {
+        this.addUrlSource(normalizedUrl, "sitemap");
+        continue;
+      }
+
+      const admitted = await this.admitUrl(
+        normalizedUrl,
+        {
+          depth: 1,
+          parentUrl: null,
+          source: "sitemap",
+          discoveryMethod: "sitemap",
+          sitemap: entry.sitemap,
+          sitemapPriority: entry.priority,
+        },
+        baseDomain,
+        options
+      );
+
+      if (admitted) seeded++;
+    }
+
+    this.logger.info(
+      `Seeded ${seeded} URLs from ${sitemaps.length} sitemaps (${this.sitemapEntries.size} sitemap URLs)`
+    );
+  }
+
+  async analyzeSitemapCoverage(startUrl) {
+    const coverage = {
+      sitemaps: this.sitemaps,
+      totalSitemapUrls: this.sitemapEntries.size,
+      missingFromSitemap: [],
+      orphaned: [],
+      unverifiedOrphans: [],
+      redirecting: [],
+      notFound: [],
+      erroring: [],
+      nonCanonical: [],
+      unchecked: [],
+    };
+
+    for (const url of this.discoveredUrls) {
+      const record = this.urlRecords.get(url) || {};
+
+      if (
+        !this.sitemapEntries.has(url) &&
+        this.visitedUrls.has(url) &&
+        !this.failedUrls.has(url)
+      ) {
+        coverage.missingFromSitemap.push({
+          url,
+          parentUrl: record.parentUrl,
+          statusCode: record.statusCode,
+        });
+      }
+    }
+
+    const uncheckedUrls = [];
+    const crawlComplete = this.isCrawlComplete();
+    coverage.orphansVerified = crawlComplete;
+
+    for (const [url, entry] of this.sitemapEntries) {
+      const record = this.urlRecords.get(url);
+
+      if (url !== startUrl && !record?.sources?.has("link")) {
+        coverage[crawlComplete ? "orphaned" : "unverifiedOrphans"].push({
+          url,
+          sitemap: entry.sitemap,
+        });
+      }
+
+      if (record && this.visitedUrls.has(url)) {
+        this.classifySitemapUrl(coverage, url, entry, record);
+      } else if (!this.blockedUrls.has(url)) {
+        uncheckedUrls.push({ url, entry });
+      }
+    }
+
+    const statusCheckLimit = this.config.sitemapStatusCheckLimit ?? 200;
+
+    for (const { url, entry } of uncheckedUrls.slice(0, statusCheckLimit)) {
+      const status = await this.checkUrlStatus(url);
+      this.classifySitemapUrl(coverage, url, entry, status);
+    }
+
+    uncheckedUrls.slice(statusCheckLimit).forEach(({ url, entry }) => {
+      coverage.unchecked.push({ url, sitemap: entry.sitemap });
+    });
+
+    this.sitemapCoverage = coverage;
+
+    this.logger.info("Sitemap coverage analysis completed", {
+      sitemapUrls: coverage.totalSitemapUrls,
+      missingFromSitemap: coverage.missingFromSitemap.length,
+      orphaned: coverage.orphaned.length,
+      unverifiedOrphans: coverage.unverifiedOrphans.length,
+      redirecting: coverage.redirecting.length,
+      notFound: coverage.notFound.length,
+      nonCanonical: coverage.nonCanonical.length,
+    });
+
+    return coverage;
+  }
+
+  isCrawlComplete() {
+    return (
+      this.crawlBudget.getReport().hits.length === 0 &&
+      Array.from(this.discoveredUrls).every((url) => this.visitedUrls.has(url))
+    );
+  }
+
+  classifySitemapUrl(coverage, url, entry, status) {
+    const item = {
+      url,
+      sitemap: entry.sitemap,
+      statusCode: status.statusCode,
+    };
+    const finalUrl = status.finalUrl
+      ? this.urlResolver.normalize(status.finalUrl)
+      : null;
+
+    if (status.statusCode === 404 || status.statusCode === 410) {
+      coverage.notFound.push(item);
+    } else if (status.statusCode >= 400 || status.error) {
+      coverage.erroring.push({ ...item, error: status.error });
+    } else if (
+      (status.statusCode >= 300 && status.statusCode < 400) ||
+      (finalUrl && finalUrl !== url)
+    ) {
+      coverage.redirecting.push({ ...item, finalUrl });
+    }
+
+    if (status.canonical && status.canonical !== url) {
+      coverage.nonCanonical.push({ ...item, canonical: status.canonical });
+    }
+  }
+
+  async checkUrlStatus(url) {
+    const requestConfig = {
+      timeout: this.config.sitemapTimeout || 30000,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        "User-Agent": this.config.userAgent,
+      },
+    };
+
+    const request = (method, extra = {}) =>
+      this.rateLimiter.schedule(url, () =>
+        axios.request({
+          ...(this.config.authManager?.applyToRequest(url, {
+            ...requestConfig,
+            ...extra,
+          }) ?? { ...requestConfig, ...extra }),
+          method,
+          url,
+        })
+      );
+
+    try {
+      let response = await request("head");
+
+      if (CrawlerEngine.HEAD_UNSUPPORTED.includes(response.status)) {
+        response = await request("get", { responseType: "stream" });
+        response.data?.destroy?.();
+      }
+
+      return {
+        statusCode: response.status,
+        finalUrl: response.headers.location
+          ? new URL(response.headers.location, url).href
+          : null,
+      };
+    } catch (error) {
+      return { statusCode: null, error: error.message };
+    }
+  }
+
+  async applyRobotsCrawlDelay(url) {
+    const crawlDelay = await this.robotsTxt.getCrawlDelay(url);
+
+    if (crawlDelay > this.rateLimiter.getMinInterval(url)) {
+      this.logger.info(
+        `Applying robots.txt Crawl-delay of ${crawlDelay}ms for ${new URL(url).origin}`
+      );
+      this.rateLimiter.setMinInterval(url, crawlDelay);
+    }
+  }
+
+  shouldRetryThrottled(url) {
+    const statusCode = this.urlRecords.get(url)?.statusCode;
+    if (!this.rateLimiter.isThrottled(statusCode)) return false;
+
+    const attempts = this.throttleRetries.get(url) || 0;
+    if (attempts >= this.rateLimiter.maxRetries) return false;
+
+    this.throttleRetries.set(url, attempts + 1);
+    this.visitedUrls.delete(url);
+    this.failedUrls.delete(url);
+    this.cache.delete(`crawl:${url}`);
+    this.logger.warning(
+      `Requeueing ${url} after HTTP ${statusCode} (retry ${attempts + 1}/${
+        this.rateLimiter.maxRetries
+      })`
+    );
+    return true;
+  }
+
+  createSnapshot() {
+    return {
+      discovered: Array.from(this.discoveredUrls),
+      selected: Array.from(this.selectedUrls),
+      visited: Array.from(this.visitedUrls),
+      failed: Array.from(this.failedUrls),
+      records: Array.from(this.urlRecords, ([url, record]) => ({
+        ...record,
+        url,
+        sources: Array.from(record.sources),
+        discoveryMethods: Array.from(record.discoveryMethods),
+      })),
+      blocked: Array.from(this.blockedUrls.values()),
+      variants: this.getDuplicateVariants({ includeSingle: true }),
+      sitemapEntries: Array.from(this.sitemapEntries.values()),
+      sitemaps: this.sitemaps,
+      linkGraph: this.linkGraph.createSnapshot(),
+      budget: this.crawlBudget.createSnapshot(),
+    };
+  }
+
+  restoreSnapshot(snapshot) {
+    this.discoveredUrls = new Set(snapshot.discovered || []);
+    this.selectedUrls = new Set(snapshot.selected || []);
+    this.visitedUrls = new Set(snapshot.visited || []);
+    this.failedUrls = new Set(snapshot.failed || []);
+    this.urlRecords = new Map(
+      (snapshot.records || []).map(({ url, ...record }) => [
+        url,
+        {
+          ...record,
+          sources: new Set(record.sources || []),
+          discoveryMethods: new Set(record.discoveryMethods || []),
+        },
+      ])
+    );
+    this.blockedUrls = new Map(
+      (snapshot.blocked || []).map((blocked) => [blocked.url, blocked])
+    );
+    this.urlVariants = new Map(
+      (snapshot.variants || []).map(({ url, variants }) => [
+        url,
+        new Map(variants.map((variant) => [variant.url, variant])),
+      ])
+    );
+    this.sitemapEntries = new Map(
+      (snapshot.sitemapEntries || []).map((entry) => [entry.url, entry])
+    );
+    this.sitemaps = snapshot.sitemaps || [];
+    this.linkGraph.restoreSnapshot(snapshot.linkGraph);
+    this.crawlBudget.restoreSnapshot(snapshot.budget);
+  }
+
+  recordUrl(url, data = {}) {
+    if (this.urlRecords.has(url)) {
+      this.addUrlSource(url, data.source);
+      this.addDiscoveryMethod(url, data.discoveryMethod);
+      return;
+    }
+
+    this.linkGraph.addNode(url);
+    this.urlRecords.set(url, {
+      depth: data.depth || 0,
+      parentUrl: data.parentUrl || null,
+      linkText: data.linkText || "",
+      sources: new Set(data.source ? [data.source] : []),
+      discoveryMethods: new Set(
+        data.discoveryMethod ? [data.discoveryMethod] : []
+      ),
+      sitemap: data.sitemap || null,
+      sitemapPriority: data.sitemapPriority ?? null,
+      statusCode: null,
+      finalUrl: null,
+      canonical: null,
+      error: null,
+    });
+  }
+
+  addUrlSource(url, source) {
+    const record = this.urlRecords.get(url);
+    if (record && source) {
+      record.sources.add(source);
+    }
+  }
+
+  addDiscoveryMethod(url, method) {
+    const record = this.urlRecords.get(url);
+    if (record && method) {
+      record.discoveryMethods.add(method);
+    }
+  }
+
+  updateUrlRecord(url, data = {}) {
+    const record = this.urlRecords.get(url);
+    if (record) {
+      Object.assign(record, data);
+    }
+  }
+
+  createCrawlResult(url, startUrl) {
+    const record = this.urlRecords.get(url) || {};
+    const { host, scope } = this.crawlScope.classify(url);
+
+    return new CrawlResult({
+      url,
+      discovered: true,
+      depth: record.depth ?? this.getUrlDepth(url, startUrl),
+      source: this.getUrlSource(url, startUrl),
+      parentUrl: record.parentUrl,
+      linkText: record.linkText,
+      statusCode: record.statusCode,
+      finalUrl: record.finalUrl,
+      visited: this.visitedUrls.has(url),
+      failed: this.failedUrls.has(url),
+      error: record.error,
+      host,
+      scope,
+      discoveryMethods: Array.from(record.discoveryMethods || []),
+      sitemapAlternates: this.sitemapEntries.get(url)?.alternates || [],
+    });
+  }
+
   async setupPageForHumanSimulation(page) {
     await page.addInitScript(() => {
       Object.defineProperty(navigator, "webdriver", {
@@ -441,7 +1090,7 @@ class CrawlerEngine {
 
       if (
         options.followExternalLinks !== true &&
-        urlObj.hostname !== baseDomain
+        !this.crawlScope.isInScope(urlObj.href)
       ) {
         return false;
       }
@@ -493,6 +1142,12 @@ class CrawlerEngine {
 
   getUrlSource(url, startUrl) {
     if (url === startUrl) return "landing-page";
+
+    const sources = this.urlRecords.get(url)?.sources;
+    if (sources && sources.has("sitemap") && !sources.has("link")) {
+      return "sitemap";
+    }
+
     return "discovered";
   }
 
@@ -513,13 +1168,19 @@ class CrawlerEngine {
         this.activePages.clear();
       }
 
-      if (this.browser) {
-        await this.browser.close();
-        this.browser = null;
+      if (this.ownsBrowserPool) {
+        await this.browserPool.close();
       }
 
       await this.crawlQueue.cleanup();
       this.cache.clear();
+      this.urlRecords.clear();
+      this.blockedUrls.clear();
+      this.urlVariants.clear();
+      this.throttleRetries.clear();
+      this.sitemapEntries.clear();
+      this.linkGraph.clear();
+      this.robotsTxt.clear();
 
       this.logger.success("Crawler Engine cleanup completed");
     } catch (error) {
@@ -532,11 +1193,20 @@ class CrawlerEngine {
 
   async healthCheck() {
     try {
-      if (!this.browser) {
-        throw new Error("Browser not initialized");
+      if (this.isStatic()) {
+        const page = this.createStaticPage();
+        await page.setContent("<html><body>Health Check</body></html>");
+        await page.evaluate(() => document.body.textContent);
+        await page.close();
+
+        return {
+          status: "healthy",
+          mode: "static",
+          timestamp: new Date().toISOString(),
+        };
       }
 
-      const context = await this.browser.newContext();
+      const context = await this.browserPool.newContext();
       const page = await context.newPage();
       await page.goto("data:text/html,<html><body>Health Check</body></html>");
       await page.close();
@@ -560,11 +1230,67 @@ class CrawlerEngine {
     return Array.from(this.failedUrls);
   }
 
+  trackUrlVariant(rawUrl, normalizedUrl, foundOn) {
+    if (!this.urlVariants.has(normalizedUrl)) {
+      this.urlVariants.set(normalizedUrl, new Map());
+    }
+
+    const variants = this.urlVariants.get(normalizedUrl);
+    const variant = variants.get(rawUrl);
+
+    if (variant) {
+      variant.occurrences++;
+    } else {
+      variants.set(rawUrl, { url: rawUrl, foundOn, occurrences: 1 });
+    }
+  }
+
+  getDuplicateVariants({ includeSingle = false } = {}) {
+    return Array.from(this.urlVariants, ([url, variants]) => ({
+      url,
+      variants: Array.from(variants.values()),
+    })).filter(
+      ({ url, variants }) =>
+        includeSingle || (this.discoveredUrls.has(url) && variants.length > 1)
+    );
+  }
+
+  countDiscoveryMethods() {
+    const counts = {};
+
+    this.urlRecords.forEach((record) => {
+      record.discoveryMethods.forEach((method) => {
+        counts[method] = (counts[method] || 0) + 1;
+      });
+    });
+
+    return counts;
+  }
+
+  getBlockedUrls() {
+    return Array.from(this.blockedUrls.values());
+  }
+
+  getCrawlReport() {
+    return {
+      mode: this.config.mode,
+      stats: this.getStats(),
+      blockedByRobots: this.getBlockedUrls(),
+      duplicateVariants: this.getDuplicateVariants(),
+      discoveryMethods: this.countDiscoveryMethods(),
+      sitemapCoverage: this.sitemapCoverage,
+      linkGraph: this.linkGraph.toJSON(),
+      budget: this.crawlBudget.getReport(),
+    };
+  }
+
   getStats() {
     return {
       discovered: this.discoveredUrls.size,
+      selected: this.selectedUrls.size,
       visited: this.visitedUrls.size,
       failed: this.failedUrls.size,
+      blockedByRobots: this.blockedUrls.size,
       queued: this.crawlQueue.size(),
       activePages: this.activePages.size,
     };
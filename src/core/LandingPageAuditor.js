@@ -5,18 +5,65 @@ import ProgressTracker from "../utils/ProgressTracker.js";
 import MetricsCollector from "../utils/MetricsCollector.js";
 import ExcelReporter from "../reporters/ExcelReporter.js";
 import HTMLReporter from "../reporters/HTMLReporter.js";
+import LinkGraphReporter from "../reporters/LinkGraphReporter.js";
 import EmailNotifier from "../notifications/EmailNotifier.js";
 import config from "../../config/index.js";
 import AuditSummary from "../models/AuditSummary.js";
+import AuditResult from "../models/AuditResult.js";
+import CrawlResult from "../models/CrawlResult.js";
+import StateStore from "../utils/StateStore.js";
+import HostRateLimiter from "../utils/HostRateLimiter.js";
+import BrowserPool from "../utils/BrowserPool.js";
+import AuthManager from "../utils/AuthManager.js";
+import UrlListLoader from "../crawlers/UrlListLoader.js";
+import CrawlBudget from "../crawlers/CrawlBudget.js";
+import CanonicalClusterAnalyzer from "../utils/CanonicalClusterAnalyzer.js";
+import HreflangAnalyzer from "../utils/HreflangAnalyzer.js";
 import colors from "colors";
+import path from "path";
 
 class LandingPageAuditor {
   constructor(options = {}) {
     this.config = { ...config, ...options };
     this.logger = new Logger("LandingPageAuditor");
-    this.crawlerEngine = new CrawlerEngine(this.config.crawler);
+    this.resumeId = options.resume || null;
+    this.auditId = this.resumeId || this.generateAuditId();
+    this.stateStore = new StateStore({
+      dir: path.join(this.config.state?.dir || "./state", this.auditId),
+    });
+    this.rateLimiter = new HostRateLimiter(this.config.rateLimit);
+    this.crawlBudget = new CrawlBudget(this.config.crawler?.budget);
+    this.browserPool = new BrowserPool({
+      headless: this.config.crawler?.headless,
+      slowMo: this.getSlowMo(),
+      ...this.config.browserPool,
+      devtools:
+        this.config.crawler?.keepWindowsOpen ||
+        this.config.audit?.keepWindowsOpen,
+    });
+    this.authManager = new AuthManager({
+      ...this.config.auth,
+      headless: this.config.crawler?.headless,
+      userAgent: this.config.crawler?.userAgent,
+      browserPool: this.browserPool,
+    });
+    this.crawlerEngine = new CrawlerEngine({
+      ...this.config.crawler,
+      browserPool: this.browserPool,
+      stateStore: this.stateStore,
+      rateLimiter: this.rateLimiter,
+      authManager: this.authManager,
+      crawlBudget: this.crawlBudget,
+    });
     this.auditEngine = new AuditEngine({
       ...this.config.audit,
+      mode: this.config.audit?.mode || this.config.crawler?.mode,
+      normalization: this.config.crawler?.normalization,
+      plugins: this.config.plugins,
+      browserPool: this.browserPool,
+      rateLimiter: this.rateLimiter,
+      authManager: this.authManager,
+      crawlBudget: this.crawlBudget,
       includeVisualRegression: options.includeVisualRegression || true,
       includeStructureComparison: options.includeStructureComparison || true,
       visualRegression: options.visualRegression || {},
@@ -25,7 +72,13 @@ class LandingPageAuditor {
     this.progressTracker = new ProgressTracker();
     this.metricsCollector = new MetricsCollector();
     this.startTime = null;
-    this.auditId = this.generateAuditId();
+    this.crawlReport = null;
+  }
+
+  getSlowMo() {
+    if (this.config.audit?.humanSimulation !== false) return 150;
+    if (this.config.crawler?.humanSimulation !== false) return 100;
+    return 0;
   }
 
   generateAuditId() {
@@ -54,28 +107,86 @@ class LandingPageAuditor {
 
   async auditLandingPage(landingUrl, options = {}) {
     this.startTime = Date.now();
+    this.crawlBudget.start();
     let crawlResults = [];
     let auditResults = [];
     let summary = null;
 
     try {
+      const savedState = await this.loadSavedState();
+
+      if (savedState) {
+        landingUrl = landingUrl || savedState.landingUrl;
+        options = { ...savedState.options, resume: true };
+      }
+
       this.logger.info("Starting landing page audit", {
         landingUrl,
         auditId: this.auditId,
+        resumed: !!savedState,
         options,
       });
 
+      let listResults = null;
+      if (
+        !savedState?.crawlResults &&
+        (options.urlsFile || options.fromReport)
+      ) {
+        listResults = await this.loadUrlList(landingUrl, options);
+        landingUrl = landingUrl || listResults[0]?.url;
+      }
+
       this.displayHeader(landingUrl);
+      await this.authManager.initialize(landingUrl);
+
+      if (savedState?.crawlResults) {
+        this.logger.info(
+          "Phase 1: Skipping URL discovery, restored from saved state"
+        );
+        crawlResults = savedState.crawlResults.map(
+          (data) => new CrawlResult(data)
+        );
+        this.crawlReport = savedState.crawlReport || null;
+      } else if (listResults) {
+        this.logger.info(
+          "Phase 1: Skipping URL discovery, using the supplied URL list"
+        );
+        crawlResults = listResults;
+        this.crawlReport = { urlList: this.urlListLoader.getStats() };
+      } else {
+        await this.stateStore.write("audit-state", {
+          landingUrl,
+          options,
+          phase: "discovery",
+        });
 
-      this.logger.info("Phase 1: Discovering URLs from landing page");
-      crawlResults = await this.discoverUrls(landingUrl, options);
+        this.logger.info("Phase 1: Discovering URLs from landing page");
+        crawlResults = await this.discoverUrls(landingUrl, options);
+        this.crawlReport = this.crawlerEngine.getCrawlReport();
+      }
 
       if (crawlResults.length === 0) {
         throw new Error("No URLs discovered from landing page");
       }
 
+      const completedResults = (savedState?.auditResults || []).map(
+        (data) => new AuditResult(data)
+      );
+
+      await this.stateStore.write("audit-state", {
+        landingUrl,
+        options,
+        phase: "audit",
+        crawlResults,
+        crawlReport: this.crawlReport,
+        auditResults: completedResults,
+      });
+
       this.logger.info("Phase 2: Performing comprehensive SEO analysis");
-      auditResults = await this.auditUrls(crawlResults, options);
+      auditResults = await this.auditUrls(crawlResults, options, {
+        landingUrl,
+        completedResults,
+      });
 
       this.logger.info("Phase 3: Generating analysis and reports");
       summary = await this.generateSummary(auditResults, landingUrl);
@@ -90,6 +201,8 @@ class LandingPageAuditor {
         await this.sendNotifications(summary, reports, options);
       }
 
+      await this.stateStore.clear();
+
       const duration = Date.now() - this.startTime;
       this.logger.success("Landing page audit completed successfully", {
         duration: `${duration}ms`,
@@ -128,12 +241,32 @@ class LandingPageAuditor {
     }
   }
 
+  async loadSavedState() {
+    if (!this.resumeId) return null;
+
+    const savedState = await this.stateStore.read("audit-state");
+
+    if (!savedState) {
+      throw new Error(`No saved state found for audit ${this.resumeId}`);
+    }
+
+    this.logger.info(`Resuming audit ${this.resumeId}`, {
+      phase: savedState.phase,
+      landingUrl: savedState.landingUrl,
+      completedAudits: savedState.auditResults?.length || 0,
+    });
+
+    return savedState;
+  }
+
   async discoverUrls(landingUrl, options) {
     const discoveryOptions = {
-      maxDepth: options.maxDepth || this.config.crawler.maxDepth,
+      maxDepth: options.maxDepth ?? this.config.crawler.maxDepth,
       maxUrls: options.maxUrls || this.config.crawler.maxUrls,
       followExternalLinks: options.followExternalLinks || false,
       respectRobots: options.respectRobots !== false,
+      useSitemaps: options.useSitemaps !== false,
+      resume: options.resume || false,
       userAgent: options.userAgent || this.config.crawler.userAgent,
     };
 
@@ -155,35 +288,94 @@ class LandingPageAuditor {
     return results;
   }
 
-  async auditUrls(crawlResults, options) {
+  async loadUrlList(landingUrl, options) {
+    this.urlListLoader = new UrlListLoader({
+      ...this.config.crawler,
+      authManager: this.authManager,
+    });
+
+    const results = options.fromReport
+      ? await this.urlListLoader.loadReport(options.fromReport, {
+          filter: options.reportFilter,
+          minScore: options.minScore,
+        })
+      : await this.urlListLoader.loadFile(options.urlsFile, landingUrl);
+
+    const sampled = results.filter(
+      (result) => this.crawlBudget.admit(result.url).allowed
+    );
+
+    if (sampled.length < results.length) {
+      this.logger.info(
+        `Budgets kept ${sampled.length} of ${results.length} listed URLs`
+      );
+    }
+
+    if (sampled.length === 0) {
+      throw new Error(
+        `No URLs to audit in ${options.fromReport || options.urlsFile}`
+      );
+    }
+
+    return sampled;
+  }
+
+  async auditUrls(crawlResults, options, state = {}) {
     const auditOptions = {
       includePerformance: options.includePerformance || false,
       includeAccessibility: options.includeAccessibility || false,
       includeSecurity: options.includeSecurity || false,
       includeVisualRegression: options.includeVisualRegression || false,
       includeStructureComparison: options.includeStructureComparison || false,
+      includeRenderDiff: options.includeRenderDiff || false,
       timeout: options.timeout || this.config.audit.timeout,
       concurrent: options.concurrent || this.config.audit.concurrent,
     };
 
+    const completedResults = state.completedResults || [];
+    const completedUrls = new Set(completedResults.map((r) => r.url));
+    const pendingResults = crawlResults.filter(
+      (crawlResult) => !completedUrls.has(crawlResult.url)
+    );
+    const results = [...completedResults];
+
+    if (completedResults.length > 0) {
+      this.logger.info(
+        `Skipping ${completedResults.length} URLs already audited before resume`
+      );
+    }
+
     this.progressTracker.startPhase("SEO Auditing");
-    this.progressTracker.setTotal(crawlResults.length);
+    this.progressTracker.setTotal(pendingResults.length);
 
-    const results = await this.auditEngine.auditUrls(
-      crawlResults,
+    const newResults = await this.auditEngine.auditUrls(
+      pendingResults,
       auditOptions,
-      (progress) => this.progressTracker.updateProgress(progress)
+      (progress) => {
+        this.progressTracker.updateProgress(progress);
+        results.push(progress.result);
+        this.stateStore.write("audit-state", {
+          landingUrl: state.landingUrl,
+          options,
+          phase: "audit",
+          crawlResults,
+          crawlReport: this.crawlReport,
+          auditResults: results,
+        });
+      }
     );
 
-    this.progressTracker.completePhase("SEO Auditing", results.length);
+    const allResults = [...completedResults, ...newResults];
+
+    this.progressTracker.completePhase("SEO Auditing", allResults.length);
 
     this.logger.info("SEO auditing completed", {
-      totalAudited: results.length,
-      successfulAudits: results.filter((r) => r.success).length,
-      failedAudits: results.filter((r) => !r.success).length,
+      totalAudited: allResults.length,
+      successfulAudits: allResults.filter((r) => r.success).length,
+      failedAudits: allResults.filter((r) => !r.success).length,
     });
 
-    return results;
+    return allResults;
   }
 
   async generateSummary(auditResults, landingUrl, isFailure = false) {
@@ -197,6 +389,22 @@ class LandingPageAuditor {
       totalUrls: auditResults.length,
       isFailure,
       results: auditResults,
+      crawlReport: this.crawlReport || this.crawlerEngine.getCrawlReport(),
+      rateLimitStats: this.rateLimiter.getStats(),
+      budget: this.crawlBudget.getReport(),
+      browserPool: this.browserPool.getStats(),
+      canonicalClusters: new CanonicalClusterAnalyzer({
+        ...this.config.audit?.canonical,
+        normalization: this.config.crawler?.normalization,
+      }).analyze(auditResults),
+      hreflang: new HreflangAnalyzer(this.config.crawler).analyze(auditResults),
+    });
+
+    summary.budgetHits.forEach((hit) => {
+      this.logger.warning(
+        `Budget hit during ${hit.phase}: ${hit.description}`,
+        { skipped: hit.skipped }
+      );
     });
 
     this.logger.info("Summary generated", {
@@ -204,6 +412,16 @@ class LandingPageAuditor {
       successRate: summary.successRate,
       criticalIssues: summary.criticalIssues,
       auditScore: summary.auditScore,
+      blockedByRobots: summary.blockedByRobotsCount,
+      throttledResponses: summary.throttledResponsesCount,
+      browserLaunches: summary.browserPool.launches,
+      browserRecycles: summary.browserPool.recycles,
+      browserCrashes: summary.browserPool.crashes,
+      peakNodeRssMB: summary.browserPool.memory.peakNodeRssMB,
+      peakBrowserRssMB: summary.browserPool.memory.peakBrowserRssMB,
+      canonicalClusters: summary.canonicalClusters.stats.clusters,
+      canonicalClusterFindings: summary.canonicalClusterFindingsCount,
+      hreflangFindings: summary.hreflangFindingsCount,
     });
 
     return summary;
@@ -234,7 +452,7 @@ class LandingPageAuditor {
           const { default: JSONReporter } = await import(
             "../reporters/JSONReporter.js"
           );
-          const jsonReporter = new JSONReporter();
+          const jsonReporter = new JSONReporter(this.config.reports.json);
           reports.json = await jsonReporter.generate(auditResults, summary);
           this.logger.info("JSON report generated", {
             path: reports.json.filePath,
@@ -246,6 +464,16 @@ class LandingPageAuditor {
         }
       }
 
+      if (options.includeGraph && summary.linkGraph) {
+        const linkGraphReporter = new LinkGraphReporter(
+          this.config.reports.graph
+        );
+        reports.graph = await linkGraphReporter.generate(summary);
+        this.logger.info("Link graph exported", {
+          files: reports.graph.files,
+        });
+      }
+
       if (options.includeCSV) {
         try {
           const { default: CSVReporter } = await import(
@@ -347,6 +575,7 @@ class LandingPageAuditor {
         this.auditEngine.cleanup(),
         this.progressTracker.cleanup(),
       ]);
+      await this.browserPool.close();
 
       this.logger.success("Cleanup completed successfully");
     } catch (error) {
@@ -354,6 +583,13 @@ class LandingPageAuditor {
     }
   }
 
+  async createBaselines(landingUrl, options = {}) {
+    return await this.auditEngine.createBaselines(landingUrl, {
+      ...options,
+      crawlerEngine: this.crawlerEngine,
+    });
+  }
+
   static async auditLandingPage(landingUrl, options = {}) {
     const auditor = new LandingPageAuditor(options);
     await auditor.initialize();
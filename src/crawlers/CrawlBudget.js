@@ -0,0 +1,226 @@
+import Logger from "../utils/Logger.js";
+
+class CrawlBudget {
+  static TYPES = ["time", "max-urls", "path-prefix", "template"];
+
+  constructor(config = {}) {
+    this.config = config;
+    this.maxDuration = config.maxDuration || null;
+    this.auditReserve = Math.min(Math.max(config.auditReserve ?? 0.3, 0), 0.9);
+    this.pathCaps = this.compileLimits(config.pathCaps || [], "path-prefix");
+    this.templates = this.compileLimits(config.templates || [], "template");
+    this.startedAt = null;
+    this.hits = new Map();
+    this.logger = new Logger("CrawlBudget");
+  }
+
+  compileLimits(limits, type) {
+    const entries = Array.isArray(limits)
+      ? limits
+      : Object.entries(limits).map(([key, limit]) => ({ key, limit }));
+
+    return entries.map((entry) => {
+      if (typeof entry === "string") {
+        const separator = entry.lastIndexOf("=");
+        if (separator === -1) {
+          throw new Error(
+            `Invalid ${type} budget "${entry}", expected <${
+              type === "template" ? "pattern" : "prefix"
+            }>=<count>`
+          );
+        }
+        entry = {
+          key: entry.slice(0, separator),
+          limit: entry.slice(separator + 1),
+        };
+      }
+
+      const key = entry.key ?? entry.prefix ?? entry.pattern;
+      const limit = parseInt(entry.limit);
+      if (isNaN(limit) || limit < 0) {
+        throw new Error(`Invalid count for ${type} budget "${key}"`);
+      }
+
+      return {
+        type,
+        key: String(key),
+        limit,
+        used: 0,
+        skipped: 0,
+        matches:
+          type === "template"
+            ? this.createPatternMatcher(key)
+            : this.createPrefixMatcher(String(key)),
+      };
+    });
+  }
+
+  createPatternMatcher(pattern) {
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+    return (url) => regex.test(url);
+  }
+
+  createPrefixMatcher(prefix) {
+    if (/^https?:\/\//i.test(prefix)) {
+      return (url) => url.startsWith(prefix);
+    }
+
+    return (url) => {
+      try {
+        return new URL(url).pathname.startsWith(prefix);
+      } catch (error) {
+        return false;
+      }
+    };
+  }
+
+  start() {
+    if (!this.startedAt) {
+      this.startedAt = Date.now();
+    }
+  }
+
+  getElapsed() {
+    return this.startedAt ? Date.now() - this.startedAt : 0;
+  }
+
+  getDeadline(phase) {
+    if (!this.maxDuration) return null;
+
+    return phase === "crawl"
+      ? Math.round(this.maxDuration * (1 - this.auditReserve))
+      : this.maxDuration;
+  }
+
+  isExpired(phase = "audit") {
+    const deadline = this.getDeadline(phase);
+    return deadline !== null && this.getElapsed() >= deadline;
+  }
+
+  checkTime(phase, remaining = 0) {
+    if (!this.isExpired(phase)) return false;
+
+    this.recordHit("time", phase, this.getDeadline(phase), {
+      phase,
+      skipped: remaining,
+    });
+    return true;
+  }
+
+  admit(url) {
+    const matching = [...this.pathCaps, ...this.templates].filter((limit) =>
+      limit.matches(url)
+    );
+    const exhausted = matching.find((limit) => limit.used >= limit.limit);
+
+    if (exhausted) {
+      exhausted.skipped++;
+      this.recordHit(exhausted.type, exhausted.key, exhausted.limit, {
+        skipped: 1,
+      });
+      return { allowed: false, budget: exhausted.type, key: exhausted.key };
+    }
+
+    matching.forEach((limit) => limit.used++);
+    return { allowed: true };
+  }
+
+  recordHit(type, key, limit, details = {}) {
+    const id = `${type}:${key}`;
+    const hit = this.hits.get(id);
+
+    if (hit) {
+      hit.skipped += details.skipped || 0;
+      return hit;
+    }
+
+    const created = {
+      type,
+      key,
+      limit,
+      phase: details.phase || "crawl",
+      skipped: details.skipped || 0,
+      hitAt: new Date().toISOString(),
+      elapsedMs: this.getElapsed(),
+    };
+    this.hits.set(id, created);
+
+    this.logger.warning(`Budget reached: ${this.describe(created)}`, {
+      phase: created.phase,
+    });
+
+    return created;
+  }
+
+  describe(hit) {
+    switch (hit.type) {
+      case "time":
+        return hit.limit >= 60000
+          ? `${hit.key} time budget of ${Math.round(hit.limit / 60000)}m`
+          : `${hit.key} time budget of ${Math.round(hit.limit / 1000)}s`;
+      case "max-urls":
+        return `max URLs (${hit.limit})`;
+      case "path-prefix":
+        return `${hit.limit} URLs under ${hit.key}`;
+      case "template":
+        return `${hit.limit} URLs matching "${hit.key}"`;
+      default:
+        return `${hit.type} ${hit.key}`;
+    }
+  }
+
+  getReport() {
+    const hits = Array.from(this.hits.values()).map((hit) => ({
+      ...hit,
+      description: this.describe(hit),
+    }));
+
+    return {
+      maxDuration: this.maxDuration,
+      auditReserve: this.auditReserve,
+      deadlines: {
+        crawl: this.getDeadline("crawl"),
+        audit: this.getDeadline("audit"),
+      },
+      elapsedMs: this.getElapsed(),
+      stoppedEarly: hits.some((hit) => hit.type === "time"),
+      hits,
+      limits: [...this.pathCaps, ...this.templates].map(
+        ({ type, key, limit, used, skipped }) => ({
+          type,
+          key,
+          limit,
+          used,
+          skipped,
+        })
+      ),
+    };
+  }
+
+  createSnapshot() {
+    return {
+      limits: [...this.pathCaps, ...this.templates].map(
+        ({ type, key, used, skipped }) => ({ type, key, used, skipped })
+      ),
+      hits: Array.from(this.hits.values()),
+    };
+  }
+
+  restoreSnapshot(snapshot = {}) {
+    (snapshot.limits || []).forEach((saved) => {
+      const limit = [...this.pathCaps, ...this.templates].find(
+        ({ type, key }) => type === saved.type && key === saved.key
+      );
+      if (limit) {
+        limit.used = saved.used;
+        limit.skipped = saved.skipped;
+      }
+    });
+
+    (snapshot.hits || [])
+      .filter((hit) => hit.type !== "time")
+      .forEach((hit) => this.hits.set(`${hit.type}:${hit.key}`, hit));
+  }
+}
+
+export default CrawlBudget;
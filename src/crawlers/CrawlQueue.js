@@ -1,20 +1,176 @@
 class CrawlQueue {
-  constructor() {
+  constructor(config = {}) {
     this.queue = [];
-    this.processing = new Set();
+    this.processing = new Map();
+    this.visited = new Map();
+    this.inboundLinks = new Map();
+    this.sequence = 0;
+    this.stateStore = config.stateStore || null;
+    this.stateName = config.stateName || "crawl-state";
+    this.strategy = this.resolveStrategy(config.strategy || "bfs");
+    this.priorityRules = this.compileRules(config.priorityRules || []);
+  }
+
+  static STRATEGIES = {
+    bfs: { order: "fifo", score: () => 0 },
+    dfs: { order: "lifo", score: () => 0 },
+    "sitemap-priority": {
+      order: "fifo",
+      seedsFirst: true,
+      score: (item) => item.sitemapPriority ?? 0.5,
+    },
+    "inbound-links": {
+      order: "fifo",
+      score: (item, queue) => queue.getInboundCount(item.url),
+    },
+  };
+
+  resolveStrategy(strategy) {
+    if (typeof strategy === "function") {
+      return { name: "custom", order: "fifo", score: strategy };
+    }
+
+    if (typeof strategy === "object" && typeof strategy.score === "function") {
+      return { name: "custom", order: "fifo", ...strategy };
+    }
+
+    const builtIn = CrawlQueue.STRATEGIES[strategy];
+    if (!builtIn) {
+      throw new Error(
+        `Unknown crawl strategy "${strategy}". Available: ${Object.keys(
+          CrawlQueue.STRATEGIES
+        ).join(", ")}`
+      );
+    }
+
+    return { name: strategy, ...builtIn };
+  }
+
+  compileRules(rules) {
+    return rules.map((rule) => {
+      if (typeof rule === "string") {
+        const separator = rule.lastIndexOf("=");
+        if (separator === -1) {
+          throw new Error(
+            `Invalid priority rule "${rule}", expected <pattern>=<weight>`
+          );
+        }
+        rule = {
+          pattern: rule.slice(0, separator),
+          weight: rule.slice(separator + 1),
+        };
+      }
+
+      const weight = parseFloat(rule.weight);
+      if (isNaN(weight)) {
+        throw new Error(`Invalid weight for priority rule "${rule.pattern}"`);
+      }
+
+      return {
+        pattern: rule.pattern,
+        regex:
+          rule.pattern instanceof RegExp
+            ? rule.pattern
+            : new RegExp(rule.pattern),
+        weight,
+      };
+    });
   }
 
   async initialize() {
     this.queue = [];
     this.processing.clear();
+    this.visited.clear();
+    this.inboundLinks.clear();
+    this.sequence = 0;
   }
 
-  add(url, depth) {
-    this.queue.push({ url, depth, added: Date.now() });
+  add(url, depth, parentUrl = null, meta = {}) {
+    this.queue.push({
+      url,
+      depth,
+      parentUrl,
+      sitemapPriority: meta.sitemapPriority ?? null,
+      seeded: meta.seeded || false,
+      added: Date.now(),
+      sequence: this.sequence++,
+    });
+  }
+
+  markLinked(url) {
+    this.queue
+      .filter((item) => item.url === url)
+      .forEach((item) => {
+        item.seeded = false;
+      });
+  }
+
+  rank(item) {
+    return item.seeded && !this.strategy.seedsFirst ? -1 : 0;
+  }
+
+  recordInboundLink(url) {
+    this.inboundLinks.set(url, (this.inboundLinks.get(url) || 0) + 1);
+  }
+
+  getInboundCount(url) {
+    return this.inboundLinks.get(url) || 0;
+  }
+
+  score(item) {
+    const ruleWeight = this.priorityRules.reduce(
+      (total, rule) =>
+        rule.regex.test(item.url) ? total + rule.weight : total,
+      0
+    );
+
+    return this.strategy.score(item, this) + ruleWeight;
   }
 
   next() {
-    return this.queue.shift();
+    if (this.queue.length === 0) return undefined;
+
+    const lifo = this.strategy.order === "lifo";
+    let bestIndex = 0;
+    let bestRank = this.rank(this.queue[0]);
+    let bestScore = this.score(this.queue[0]);
+
+    for (let i = 1; i < this.queue.length; i++) {
+      const rank = this.rank(this.queue[i]);
+      if (rank < bestRank) continue;
+
+      const score = this.score(this.queue[i]);
+
+      if (
+        rank > bestRank ||
+        score > bestScore ||
+        (score === bestScore && lifo)
+      ) {
+        bestIndex = i;
+        bestRank = rank;
+        bestScore = score;
+      }
+    }
+
+    const [item] = this.queue.splice(bestIndex, 1);
+    this.processing.set(item.url, item);
+    return item;
+  }
+
+  complete(url, data = {}) {
+    const item = this.processing.get(url) || { url };
+    this.processing.delete(url);
+    this.visited.set(url, { ...item, ...data, completed: Date.now() });
+  }
+
+  getPendingUrls(maxDepth = Infinity) {
+    return Array.from(
+      new Set(
+        this.queue
+          .filter((item) => item.depth <= maxDepth)
+          .map((item) => item.url)
+      )
+    );
   }
 
   isEmpty() {
@@ -25,9 +181,47 @@ class CrawlQueue {
     return this.queue.length;
   }
 
+  isPersistent() {
+    return this.stateStore !== null;
+  }
+
+  async checkpoint(snapshot = {}) {
+    if (!this.stateStore) return;
+
+    await this.stateStore.write(this.stateName, {
+      updated: new Date().toISOString(),
+      pending: this.queue,
+      processing: Array.from(this.processing.values()),
+      visited: Array.from(this.visited.values()),
+      inboundLinks: Array.from(this.inboundLinks.entries()),
+      crawler: snapshot,
+    });
+  }
+
+  async restore() {
+    if (!this.stateStore) return null;
+
+    const state = await this.stateStore.read(this.stateName);
+    if (!state) return null;
+
+    this.queue = [...(state.processing || []), ...(state.pending || [])];
+    this.processing.clear();
+    this.visited = new Map(
+      (state.visited || []).map((item) => [item.url, item])
+    );
+    this.inboundLinks = new Map(state.inboundLinks || []);
+    this.sequence =
+      this.queue.reduce((max, item) => Math.max(max, item.sequence ?? -1), -1) +
+      1;
+
+    return state.crawler || {};
+  }
+
   async cleanup() {
     this.queue = [];
     this.processing.clear();
+    this.visited.clear();
+    this.inboundLinks.clear();
   }
 }
 
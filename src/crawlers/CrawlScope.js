@@ -0,0 +1,80 @@
+import psl from "psl";
+
+class CrawlScope {
+  static MODES = ["host", "domain", "allowlist"];
+
+  constructor(config = {}) {
+    this.mode = config.scopeMode || "host";
+    this.allowedHosts = (config.allowedHosts || []).map((host) =>
+      host.toLowerCase()
+    );
+    this.startHost = null;
+    this.startDomain = null;
+
+    if (!CrawlScope.MODES.includes(this.mode)) {
+      throw new Error(
+        `Unknown crawl scope "${this.mode}". Available: ${CrawlScope.MODES.join(
+          ", "
+        )}`
+      );
+    }
+  }
+
+  setStartUrl(url) {
+    this.startHost = new URL(url).hostname.toLowerCase();
+    this.startDomain = this.getRegistrableDomain(this.startHost);
+  }
+
+  getRegistrableDomain(host) {
+    return psl.get(host) || host;
+  }
+
+  matchesAllowlist(host) {
+    return this.allowedHosts.some((allowed) =>
+      allowed.startsWith("*.")
+        ? host === allowed.slice(2) || host.endsWith(allowed.slice(1))
+        : host === allowed
+    );
+  }
+
+  classify(url) {
+    let host;
+
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return { host: null, scope: "invalid", inScope: false };
+    }
+
+    let scope = "external";
+
+    if (host === this.startHost) {
+      scope = "start-host";
+    } else if (this.getRegistrableDomain(host) === this.startDomain) {
+      scope = "same-domain";
+    } else if (this.matchesAllowlist(host)) {
+      scope = "allowlisted";
+    }
+
+    return { host, scope, inScope: this.isScopeIncluded(scope, host) };
+  }
+
+  isScopeIncluded(scope, host) {
+    if (scope === "start-host") return true;
+
+    switch (this.mode) {
+      case "domain":
+        return scope === "same-domain";
+      case "allowlist":
+        return this.matchesAllowlist(host);
+      default:
+        return false;
+    }
+  }
+
+  isInScope(url) {
+    return this.classify(url).inScope;
+  }
+}
+
+export default CrawlScope;
@@ -1,16 +1,121 @@
+import * as cheerio from "cheerio";
 import Logger from "../utils/Logger.js";
 
 class LinkDiscovery {
+  static MODES = ["standard", "extended"];
+  static CLICK_CANDIDATES =
+    "[onclick], [data-href], [data-url], [data-link], [role='link'], router-link, [routerlink]";
+
   constructor(config = {}) {
     this.config = config;
+    this.mode = config.discoveryMode || "standard";
+    this.scrollSteps = config.discoveryScrollSteps || 8;
+    this.interactionDelay = config.discoveryInteractionDelay || 500;
+    this.maxClicks = config.discoveryMaxClicks ?? 25;
     this.logger = new Logger("LinkDiscovery");
+
+    if (!LinkDiscovery.MODES.includes(this.mode)) {
+      throw new Error(
+        `Unknown discovery mode "${this.mode}". Available: ${LinkDiscovery.MODES.join(
+          ", "
+        )}`
+      );
+    }
   }
 
   async initialize() {
-    this.logger.info("LinkDiscovery initialized");
+    this.logger.info("LinkDiscovery initialized", { mode: this.mode });
+  }
+
+  isExtended() {
+    return this.mode === "extended";
+  }
+
+  async prepare(page) {
+    if (!this.isExtended()) return;
+
+    await page.addInitScript(() => {
+      window.__seoAuditNavigations = [];
+
+      ["pushState", "replaceState"].forEach((method) => {
+        const original = history[method];
+        history[method] = function (state, title, url) {
+          if (url !== undefined && url !== null) {
+            window.__seoAuditNavigations.push({
+              href: new URL(String(url), document.baseURI).href,
+              method,
+            });
+          }
+          if (window.__seoAuditIntercepting) return undefined;
+          return original.apply(this, arguments);
+        };
+      });
+    });
+  }
+
+  async extractLinks(page, url, options = {}) {
+    if (!this.isExtended()) {
+      const links = await this.collectAnchors(page);
+      return links.map((link) => ({ ...link, method: "anchor" }));
+    }
+
+    if (options.static) {
+      const links = await this.collectExtendedLinks(page);
+      return links.map((link) =>
+        link.method === "anchor" ? { ...link, method: "static-anchor" } : link
+      );
+    }
+
+    const found = new Map();
+    const addLinks = (links, injectedMethod = null) => {
+      links.forEach((link) => {
+        const key = `${link.method}|${link.href}`;
+        if (found.has(key)) return;
+
+        found.set(key, {
+          ...link,
+          method:
+            injectedMethod && link.method === "anchor"
+              ? injectedMethod
+              : link.method,
+        });
+      });
+    };
+
+    addLinks(await this.collectExtendedLinks(page));
+
+    await this.scrollThroughPage(page);
+    addLinks(await this.collectExtendedLinks(page), "scroll-injected");
+
+    const clicked = await this.triggerInteractions(page);
+    addLinks(await this.collectExtendedLinks(page), "interaction-injected");
+    addLinks(clicked);
+
+    addLinks(await this.collectNavigations(page));
+
+    const staticHrefs = this.extractStaticHrefs(options.rawHtml);
+
+    const links = Array.from(found.values()).map((link) => {
+      if (link.method !== "anchor") return link;
+
+      return {
+        ...link,
+        method:
+          staticHrefs && !staticHrefs.has(link.href)
+            ? "rendered-anchor"
+            : "static-anchor",
+      };
+    });
+
+    this.logger.debug(`Extended discovery found ${links.length} links`, {
+      url,
+      methods: this.countMethods(links),
+    });
+
+    return links;
   }
 
-  async extractLinks(page) {
+  async collectAnchors(page) {
     return await page.evaluate(() => {
       const links = [];
       const anchors = document.querySelectorAll("a[href]");
@@ -19,6 +124,7 @@ class LinkDiscovery {
         const href = anchor.getAttribute("href");
         const text = anchor.textContent?.trim() || "";
         const title = anchor.getAttribute("title") || "";
+        const rel = (anchor.getAttribute("rel") || "").toLowerCase();
 
         if (href) {
           links.push({
@@ -26,6 +132,14 @@ class LinkDiscovery {
             text,
             title,
             element: anchor.tagName.toLowerCase(),
+            nofollow: rel.split(/\s+/).includes("nofollow"),
+            position: anchor.closest("footer, [role='contentinfo']")
+              ? "footer"
+              : anchor.closest(
+                    "nav, header, [role='navigation'], [role='banner']"
+                  )
+                ? "nav"
+                : "body",
           });
         }
       });
@@ -33,6 +147,255 @@ class LinkDiscovery {
       return links;
     });
   }
+
+  async collectExtendedLinks(page) {
+    return await page.evaluate(() => {
+      const links = [];
+      const resolve = (href) => {
+        try {
+          return new URL(href, document.baseURI).href;
+        } catch (error) {
+          return href;
+        }
+      };
+      const add = (element, href, method) => {
+        if (!href || /^(javascript:|mailto:|tel:|#$)/i.test(href.trim())) {
+          return;
+        }
+
+        const rel = (element.getAttribute("rel") || "").toLowerCase();
+
+        links.push({
+          href: method === "anchor" ? href.trim() : resolve(href.trim()),
+          text: element.textContent?.trim().slice(0, 200) || "",
+          title: element.getAttribute("title") || "",
+          element: element.tagName.toLowerCase(),
+          method,
+          nofollow: rel.split(/\s+/).includes("nofollow"),
+          position: element.closest("footer, [role='contentinfo']")
+            ? "footer"
+            : element.closest(
+                  "nav, header, [role='navigation'], [role='banner']"
+                )
+              ? "nav"
+              : "body",
+        });
+      };
+
+      document.querySelectorAll("a[href]").forEach((anchor) => {
+        add(anchor, anchor.getAttribute("href"), "anchor");
+      });
+
+      document.querySelectorAll("area[href]").forEach((area) => {
+        add(area, area.getAttribute("href"), "image-map");
+      });
+
+      document
+        .querySelectorAll("link[rel~='next'], link[rel~='prev']")
+        .forEach((link) => {
+          add(link, link.getAttribute("href"), "pagination-link");
+        });
+
+      document
+        .querySelectorAll("[data-href], [data-url], [data-link]")
+        .forEach((element) => {
+          add(
+            element,
+            element.getAttribute("data-href") ||
+              element.getAttribute("data-url") ||
+              element.getAttribute("data-link"),
+            "data-attribute"
+          );
+        });
+
+      document
+        .querySelectorAll(
+          "router-link[to], [routerlink], [ng-reflect-router-link]"
+        )
+        .forEach((element) => {
+          add(
+            element,
+            element.getAttribute("to") ||
+              element.getAttribute("routerlink") ||
+              element.getAttribute("ng-reflect-router-link"),
+            "router-link"
+          );
+        });
+
+      const navigationPattern =
+        /(?:location(?:\.href)?\s*=|location\.(?:assign|replace)\s*\(|window\.open\s*\(|navigate(?:To)?\s*\(|router\.push\s*\()\s*['"`]([^'"`]+)['"`]/g;
+
+      document.querySelectorAll("[onclick]").forEach((element) => {
+        const handler = element.getAttribute("onclick") || "";
+        for (const match of handler.matchAll(navigationPattern)) {
+          add(element, match[1], "js-navigation");
+        }
+      });
+
+      return links;
+    });
+  }
+
+  async collectNavigations(page) {
+    const navigations = await page
+      .evaluate(() => window.__seoAuditNavigations || [])
+      .catch(() => []);
+
+    return navigations.map((navigation) => ({
+      href: navigation.href,
+      text: "",
+      title: "",
+      element: navigation.method === "open" ? "window-open" : "history",
+      method:
+        navigation.method === "open"
+          ? "click-navigation"
+          : "history-push-state",
+      nofollow: false,
+      position: "body",
+    }));
+  }
+
+  async scrollThroughPage(page) {
+    try {
+      for (let i = 0; i < this.scrollSteps; i++) {
+        const atBottom = await page.evaluate(() => {
+          window.scrollBy(0, window.innerHeight);
+          return (
+            window.innerHeight + window.scrollY >=
+            document.documentElement.scrollHeight - 2
+          );
+        });
+
+        await this.sleep(this.interactionDelay);
+        if (atBottom) break;
+      }
+
+      await page.evaluate(() => window.scrollTo(0, 0));
+    } catch (error) {
+      this.logger.debug("Scrolling for lazy links failed", {
+        error: error.message,
+      });
+    }
+  }
+
+  async triggerInteractions(page) {
+    try {
+      await page.evaluate(() => {
+        const targets = document.querySelectorAll(
+          "nav li, [aria-haspopup='true'], [aria-expanded='false'], [data-toggle], [data-bs-toggle]"
+        );
+
+        targets.forEach((target) => {
+          ["mouseover", "mouseenter", "focusin"].forEach((type) => {
+            target.dispatchEvent(
+              new Event(type, { bubbles: type !== "mouseenter" })
+            );
+          });
+        });
+      });
+
+      await this.sleep(this.interactionDelay);
+      return await this.clickCandidates(page);
+    } catch (error) {
+      this.logger.debug("Interaction triggers failed", {
+        error: error.message,
+      });
+      return [];
+    }
+  }
+
+  async clickCandidates(page) {
+    if (this.maxClicks <= 0) return [];
+
+    const navigations = [];
+    const interceptNavigation = (route, request) => {
+      if (request.method() !== "GET") {
+        return route.abort();
+      }
+      if (
+        request.isNavigationRequest() &&
+        request.frame() === page.mainFrame()
+      ) {
+        navigations.push(request.url());
+        return route.abort();
+      }
+      return route.fallback();
+    };
+
+    await page.route("**/*", interceptNavigation);
+
+    try {
+      await page.evaluate(
+        ({ selector, limit }) => {
+          window.__seoAuditNavigations = window.__seoAuditNavigations || [];
+          window.__seoAuditIntercepting = true;
+          window.open = (url) => {
+            if (url) {
+              window.__seoAuditNavigations.push({
+                href: new URL(String(url), document.baseURI).href,
+                method: "open",
+              });
+            }
+            return null;
+          };
+
+          Array.from(document.querySelectorAll(selector))
+            .filter((element) => !element.closest("a[href], form"))
+            .slice(0, limit)
+            .forEach((element) => element.isConnected && element.click());
+        },
+        { selector: LinkDiscovery.CLICK_CANDIDATES, limit: this.maxClicks }
+      );
+
+      await this.sleep(this.interactionDelay);
+
+      return navigations.map((href) => ({
+        href,
+        text: "",
+        title: "",
+        element: "click",
+        method: "click-navigation",
+        nofollow: false,
+        position: "body",
+      }));
+    } finally {
+      await page.unroute("**/*", interceptNavigation);
+      await page
+        .evaluate(() => {
+          window.__seoAuditIntercepting = false;
+        })
+        .catch(() => null);
+    }
+  }
+
+  extractStaticHrefs(rawHtml) {
+    if (!rawHtml) return null;
+
+    const $ = cheerio.load(rawHtml);
+    return new Set(
+      $("a[href]")
+        .map((index, anchor) => $(anchor).attr("href").trim())
+        .get()
+    );
+  }
+
+  countMethods(links) {
+    return links.reduce((counts, link) => {
+      counts[link.method] = (counts[link.method] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  async extractCanonical(page) {
+    return await page.evaluate(() => {
+      const canonical = document.querySelector("link[rel='canonical']");
+      return canonical ? canonical.href : null;
+    });
+  }
+
+  async sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
 }
 
 export default LinkDiscovery;
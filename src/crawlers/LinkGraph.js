@@ -0,0 +1,249 @@
+class LinkGraph {
+  static POSITIONS = ["nav", "body", "footer"];
+
+  constructor(config = {}) {
+    this.config = config;
+    this.nearOrphanThreshold = config.nearOrphanThreshold ?? 1;
+    this.damping = config.pageRankDamping ?? 0.85;
+    this.iterations = config.pageRankIterations || 40;
+    this.startUrl = null;
+    this.nodes = new Map();
+    this.edges = new Map();
+  }
+
+  setStartUrl(url) {
+    this.startUrl = url;
+    this.addNode(url);
+  }
+
+  addNode(url, data = {}) {
+    const node = this.nodes.get(url) || {
+      url,
+      crawled: false,
+      statusCode: null,
+      externalLinks: 0,
+    };
+
+    this.nodes.set(url, { ...node, ...data });
+    return this.nodes.get(url);
+  }
+
+  addEdge(source, target, link = {}) {
+    this.addNode(source);
+    this.addNode(target);
+
+    const position = LinkGraph.POSITIONS.includes(link.position)
+      ? link.position
+      : "body";
+    const anchor = (link.text || "").replace(/\s+/g, " ").trim().slice(0, 200);
+    const key = `${source}|${target}|${position}|${anchor}`;
+
+    const edge = this.edges.get(key);
+    if (edge) {
+      edge.count++;
+      edge.nofollow = edge.nofollow && !!link.nofollow;
+      return edge;
+    }
+
+    const created = {
+      source,
+      target,
+      anchor,
+      nofollow: !!link.nofollow,
+      position,
+      method: link.method || null,
+      count: 1,
+    };
+    this.edges.set(key, created);
+    return created;
+  }
+
+  recordExternalLink(source) {
+    this.addNode(source).externalLinks++;
+  }
+
+  getAdjacency() {
+    const outbound = new Map();
+    const inbound = new Map();
+
+    this.nodes.forEach((node, url) => {
+      outbound.set(url, new Map());
+      inbound.set(url, new Set());
+    });
+
+    this.edges.forEach((edge) => {
+      if (edge.source === edge.target) return;
+
+      const targets = outbound.get(edge.source);
+      const followed = targets.get(edge.target) || !edge.nofollow;
+      targets.set(edge.target, followed);
+      inbound.get(edge.target).add(edge.source);
+    });
+
+    return { outbound, inbound };
+  }
+
+  computeClickDepths(outbound) {
+    const depths = new Map();
+    if (!this.startUrl || !this.nodes.has(this.startUrl)) return depths;
+
+    const queue = [this.startUrl];
+    depths.set(this.startUrl, 0);
+
+    while (queue.length > 0) {
+      const url = queue.shift();
+      const depth = depths.get(url);
+
+      outbound.get(url).forEach((followed, target) => {
+        if (!depths.has(target)) {
+          depths.set(target, depth + 1);
+          queue.push(target);
+        }
+      });
+    }
+
+    return depths;
+  }
+
+  computePageRank(outbound) {
+    const urls = Array.from(this.nodes.keys());
+    const count = urls.length;
+    const ranks = new Map();
+    if (count === 0) return ranks;
+
+    urls.forEach((url) => ranks.set(url, 1 / count));
+
+    const followedLinks = new Map(
+      urls.map((url) => [
+        url,
+        Array.from(outbound.get(url))
+          .filter(([, followed]) => followed)
+          .map(([target]) => target),
+      ])
+    );
+
+    for (let i = 0; i < this.iterations; i++) {
+      const next = new Map(
+        urls.map((url) => [url, (1 - this.damping) / count])
+      );
+      let danglingRank = 0;
+
+      urls.forEach((url) => {
+        const targets = followedLinks.get(url);
+        const rank = ranks.get(url);
+
+        if (targets.length === 0) {
+          danglingRank += rank;
+          return;
+        }
+
+        targets.forEach((target) => {
+          next.set(
+            target,
+            next.get(target) + (this.damping * rank) / targets.length
+          );
+        });
+      });
+
+      let delta = 0;
+      urls.forEach((url) => {
+        const rank = next.get(url) + (this.damping * danglingRank) / count;
+        delta += Math.abs(rank - ranks.get(url));
+        ranks.set(url, rank);
+      });
+
+      if (delta < 1e-6) break;
+    }
+
+    return ranks;
+  }
+
+  getPageMetrics() {
+    const { outbound, inbound } = this.getAdjacency();
+    const depths = this.computeClickDepths(outbound);
+    const ranks = this.computePageRank(outbound);
+    const maxRank = Math.max(0, ...ranks.values());
+
+    return Array.from(this.nodes.values()).map((node) => {
+      const inboundCount = inbound.get(node.url).size;
+      const isStart = node.url === this.startUrl;
+
+      return {
+        url: node.url,
+        crawled: node.crawled,
+        statusCode: node.statusCode,
+        clickDepth: depths.has(node.url) ? depths.get(node.url) : null,
+        inboundLinks: inboundCount,
+        outboundLinks: outbound.get(node.url).size,
+        externalLinks: node.externalLinks,
+        pageRank: Number((ranks.get(node.url) || 0).toFixed(6)),
+        linkScore:
+          maxRank > 0
+            ? Math.round(((ranks.get(node.url) || 0) / maxRank) * 100)
+            : 0,
+        orphan: !isStart && inboundCount === 0,
+        nearOrphan:
+          !isStart &&
+          inboundCount > 0 &&
+          inboundCount <= this.nearOrphanThreshold,
+      };
+    });
+  }
+
+  toJSON() {
+    const pages = this.getPageMetrics();
+    const edges = Array.from(this.edges.values());
+
+    return {
+      startUrl: this.startUrl,
+      nodeCount: pages.length,
+      edgeCount: edges.length,
+      nearOrphanThreshold: this.nearOrphanThreshold,
+      positions: LinkGraph.POSITIONS.reduce(
+        (counts, position) => ({
+          ...counts,
+          [position]: edges.filter((edge) => edge.position === position).length,
+        }),
+        {}
+      ),
+      nofollowEdges: edges.filter((edge) => edge.nofollow).length,
+      orphans: pages.filter((page) => page.orphan).map((page) => page.url),
+      nearOrphans: pages
+        .filter((page) => page.nearOrphan)
+        .map((page) => page.url),
+      unreachable: pages
+        .filter((page) => page.clickDepth === null)
+        .map((page) => page.url),
+      pages,
+      edges,
+    };
+  }
+
+  createSnapshot() {
+    return {
+      startUrl: this.startUrl,
+      nodes: Array.from(this.nodes.values()),
+      edges: Array.from(this.edges.values()),
+    };
+  }
+
+  restoreSnapshot(snapshot = {}) {
+    this.startUrl = snapshot.startUrl || this.startUrl;
+    this.nodes = new Map(
+      (snapshot.nodes || []).map((node) => [node.url, node])
+    );
+    this.edges = new Map(
+      (snapshot.edges || []).map((edge) => [
+        `${edge.source}|${edge.target}|${edge.position}|${edge.anchor}`,
+        edge,
+      ])
+    );
+  }
+
+  clear() {
+    this.nodes.clear();
+    this.edges.clear();
+  }
+}
+
+export default LinkGraph;
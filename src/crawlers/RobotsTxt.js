@@ -0,0 +1,250 @@
+import axios from "axios";
+import Logger from "../utils/Logger.js";
+import Cache from "../utils/Cache.js";
+
+class RobotsTxt {
+  constructor(config = {}) {
+    this.config = config;
+    this.productTokens = this.getProductTokens(
+      config.robotsUserAgent || config.userAgent || ""
+    );
+    this.timeout = config.robotsTimeout || 10000;
+    this.cache = new Cache({ ttl: config.robotsCacheTTL || 3600000 });
+    this.pending = new Map();
+    this.logger = new Logger("RobotsTxt");
+  }
+
+  async fetch(url) {
+    const origin = new URL(url).origin;
+    const cached = this.cache.get(origin);
+    if (cached) return cached;
+
+    if (!this.pending.has(origin)) {
+      this.pending.set(
+        origin,
+        this.load(origin).finally(() => this.pending.delete(origin))
+      );
+    }
+
+    return await this.pending.get(origin);
+  }
+
+  async load(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    let robots;
+
+    try {
+      const requestConfig = {
+        timeout: this.timeout,
+        maxRedirects: 5,
+        responseType: "text",
+        validateStatus: () => true,
+        headers: {
+          "User-Agent": this.config.userAgent || "SEO-Landing-Page-Auditor/2.0",
+        },
+      };
+      const response = await axios.get(
+        robotsUrl,
+        this.config.authManager?.applyToRequest(robotsUrl, requestConfig) ??
+          requestConfig
+      );
+
+      if (response.status >= 200 && response.status < 300) {
+        robots = {
+          ...this.parse(String(response.data || "")),
+          url: robotsUrl,
+          status: response.status,
+          fetchError: null,
+        };
+        this.logger.info(`Loaded robots.txt for ${origin}`, {
+          groups: robots.groups.length,
+          sitemaps: robots.sitemaps.length,
+        });
+      } else if (response.status >= 400 && response.status < 500) {
+        this.logger.info(
+          `robots.txt returned HTTP ${response.status} for ${origin}, allowing all URLs`
+        );
+        robots = this.createEmpty(robotsUrl, response.status, null);
+      } else {
+        this.logger.warning(
+          `robots.txt returned HTTP ${response.status} for ${origin}, disallowing all URLs`
+        );
+        robots = this.createUnavailable(robotsUrl, response.status, null);
+      }
+    } catch (error) {
+      this.logger.warning(
+        `Failed to fetch robots.txt for ${origin}, disallowing all URLs`,
+        { error: error.message }
+      );
+      robots = this.createUnavailable(robotsUrl, null, error.message);
+    }
+
+    robots.group = this.selectGroup(robots.groups);
+    this.cache.set(origin, robots);
+    return robots;
+  }
+
+  createEmpty(url, status, fetchError) {
+    return { url, status, fetchError, groups: [], sitemaps: [] };
+  }
+
+  createUnavailable(url, status, fetchError) {
+    return {
+      ...this.createEmpty(url, status, fetchError),
+      groups: [
+        {
+          agents: ["*"],
+          rules: [{ type: "disallow", path: "/" }],
+          crawlDelay: null,
+        },
+      ],
+    };
+  }
+
+  parse(content) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    content.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.replace(/#.*$/, "").trim();
+      const separator = line.indexOf(":");
+      if (separator === -1) return;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      switch (field) {
+        case "user-agent":
+          if (!current || !lastWasAgent) {
+            current = { agents: [], rules: [], crawlDelay: null };
+            groups.push(current);
+          }
+          current.agents.push(value.toLowerCase());
+          lastWasAgent = true;
+          return;
+
+        case "allow":
+        case "disallow":
+          if (current && value) {
+            current.rules.push({ type: field, path: value });
+          }
+          break;
+
+        case "crawl-delay":
+          if (current && !isNaN(parseFloat(value))) {
+            current.crawlDelay = parseFloat(value);
+          }
+          break;
+
+        case "sitemap":
+          if (value) sitemaps.push(value);
+          break;
+
+        default:
+          break;
+      }
+
+      lastWasAgent = false;
+    });
+
+    return { groups, sitemaps };
+  }
+
+  getProductTokens(userAgent) {
+    const products = Array.from(
+      userAgent.matchAll(/(?:^|[\s(;])([a-z][a-z0-9_-]*)\/[^\s;)]*/gi),
+      (match) => match[1].toLowerCase()
+    );
+
+    return products.length > 0
+      ? products
+      : [userAgent.trim().toLowerCase()].filter(Boolean);
+  }
+
+  selectGroup(groups) {
+    const agents = groups.flatMap((group) => group.agents);
+    const bestMatch =
+      this.productTokens.find((token) => agents.includes(token)) ??
+      (agents.includes("*") ? "*" : null);
+
+    if (bestMatch === null) return null;
+
+    const matching = groups.filter((group) => group.agents.includes(bestMatch));
+
+    return {
+      agent: bestMatch,
+      rules: matching.flatMap((group) => group.rules),
+      crawlDelay:
+        matching.find((group) => group.crawlDelay !== null)?.crawlDelay ?? null,
+    };
+  }
+
+  async check(url) {
+    const robots = await this.fetch(url);
+    const urlObj = new URL(url);
+    const path = `${urlObj.pathname}${urlObj.search}`;
+
+    if (!robots.group) {
+      return { allowed: true, rule: null, robotsUrl: robots.url };
+    }
+
+    let matchedRule = null;
+
+    for (const rule of robots.group.rules) {
+      if (!this.matchRule(rule.path, path)) continue;
+
+      const ruleLength = rule.path.length;
+      const bestLength = matchedRule ? matchedRule.path.length : -1;
+
+      if (
+        ruleLength > bestLength ||
+        (ruleLength === bestLength && rule.type === "allow")
+      ) {
+        matchedRule = rule;
+      }
+    }
+
+    return {
+      allowed: !matchedRule || matchedRule.type === "allow",
+      rule: matchedRule ? `${matchedRule.type}: ${matchedRule.path}` : null,
+      agent: robots.group.agent,
+      robotsUrl: robots.url,
+    };
+  }
+
+  async isAllowed(url) {
+    const result = await this.check(url);
+    return result.allowed;
+  }
+
+  async getCrawlDelay(url) {
+    const robots = await this.fetch(url);
+    const delay = robots.group?.crawlDelay;
+    return delay ? Math.round(delay * 1000) : 0;
+  }
+
+  async getSitemaps(url) {
+    const robots = await this.fetch(url);
+    return robots.sitemaps;
+  }
+
+  matchRule(pattern, path) {
+    const anchored = pattern.endsWith("$");
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const regexSource = body
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+
+    return new RegExp(`^${regexSource}${anchored ? "$" : ""}`).test(path);
+  }
+
+  clear() {
+    this.cache.clear();
+    this.pending.clear();
+  }
+}
+
+export default RobotsTxt;
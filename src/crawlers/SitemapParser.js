@@ -0,0 +1,150 @@
+import axios from "axios";
+import zlib from "zlib";
+import { parseStringPromise, processors } from "xml2js";
+import Logger from "../utils/Logger.js";
+
+class SitemapParser {
+  constructor(config = {}) {
+    this.config = config;
+    this.timeout = config.sitemapTimeout || 30000;
+    this.maxSitemaps = config.maxSitemaps || 50;
+    this.logger = new Logger("SitemapParser");
+  }
+
+  async discover(sitemapUrls = []) {
+    const queue = [...new Set(sitemapUrls)];
+    const seen = new Set();
+    const sitemaps = [];
+    const entries = [];
+
+    while (queue.length > 0 && seen.size < this.maxSitemaps) {
+      const sitemapUrl = queue.shift();
+      if (seen.has(sitemapUrl)) continue;
+      seen.add(sitemapUrl);
+
+      try {
+        const parsed = await this.fetchSitemap(sitemapUrl);
+
+        if (parsed.type === "index") {
+          queue.push(...parsed.sitemaps);
+          sitemaps.push({
+            url: sitemapUrl,
+            type: "index",
+            count: parsed.sitemaps.length,
+            error: null,
+          });
+        } else {
+          entries.push(
+            ...parsed.urls.map((entry) => ({ ...entry, sitemap: sitemapUrl }))
+          );
+          sitemaps.push({
+            url: sitemapUrl,
+            type: "urlset",
+            count: parsed.urls.length,
+            error: null,
+          });
+        }
+
+        this.logger.info(
+          `Parsed ${parsed.type} sitemap ${sitemapUrl} (${
+            parsed.type === "index"
+              ? parsed.sitemaps.length
+              : parsed.urls.length
+          } entries)`
+        );
+      } catch (error) {
+        this.logger.info(`Could not read sitemap ${sitemapUrl}`, {
+          error: error.message,
+        });
+        sitemaps.push({
+          url: sitemapUrl,
+          type: "unknown",
+          count: 0,
+          error: error.message,
+        });
+      }
+    }
+
+    if (queue.length > 0) {
+      this.logger.warning(
+        `Sitemap limit reached (${this.maxSitemaps}), ${queue.length} sitemaps not read`
+      );
+    }
+
+    return { sitemaps, entries };
+  }
+
+  async fetchSitemap(url) {
+    const requestConfig = {
+      timeout: this.timeout,
+      maxRedirects: 5,
+      responseType: "arraybuffer",
+      decompress: true,
+      headers: {
+        "User-Agent": this.config.userAgent || "SEO-Landing-Page-Auditor/2.0",
+      },
+    };
+    const response = await axios.get(
+      url,
+      this.config.authManager?.applyToRequest(url, requestConfig) ??
+        requestConfig
+    );
+
+    let buffer = Buffer.from(response.data);
+
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      buffer = zlib.gunzipSync(buffer);
+    }
+
+    return await this.parse(buffer.toString("utf8"));
+  }
+
+  async parse(xml) {
+    const document = await parseStringPromise(xml, {
+      tagNameProcessors: [processors.stripPrefix],
+    });
+
+    if (document?.sitemapindex) {
+      return {
+        type: "index",
+        sitemaps: (document.sitemapindex.sitemap || [])
+          .map((sitemap) => this.readText(sitemap.loc))
+          .filter(Boolean),
+      };
+    }
+
+    if (document?.urlset) {
+      return {
+        type: "urlset",
+        urls: (document.urlset.url || [])
+          .map((entry) => ({
+            url: this.readText(entry.loc),
+            lastmod: this.readText(entry.lastmod),
+            changefreq: this.readText(entry.changefreq),
+            priority: parseFloat(this.readText(entry.priority)) || null,
+            alternates: (entry.link || [])
+              .map((link) => link.$ || {})
+              .filter(
+                (link) =>
+                  link.rel?.toLowerCase() === "alternate" &&
+                  link.hreflang &&
+                  link.href
+              )
+              .map((link) => ({ hreflang: link.hreflang, href: link.href })),
+          }))
+          .filter((entry) => entry.url),
+      };
+    }
+
+    throw new Error("Unrecognised sitemap format");
+  }
+
+  readText(node) {
+    const value = Array.isArray(node) ? node[0] : node;
+    if (value === undefined || value === null) return null;
+    const text = typeof value === "object" ? value._ : value;
+    return typeof text === "string" ? text.trim() : null;
+  }
+}
+
+export default SitemapParser;
@@ -0,0 +1,326 @@
+import fs from "fs-extra";
+import path from "path";
+import zlib from "zlib";
+import CrawlResult from "../models/CrawlResult.js";
+import SitemapParser from "./SitemapParser.js";
+import UrlResolver from "./UrlResolver.js";
+import Logger from "../utils/Logger.js";
+
+class UrlListLoader {
+  static REPORT_FILTERS = ["all", "failed", "low-score"];
+  static URL_COLUMNS = ["url", "urls", "address", "loc", "page", "link"];
+
+  constructor(config = {}) {
+    this.config = config;
+    this.minScore = config.reportMinScore ?? 60;
+    this.sitemapParser = new SitemapParser(config);
+    this.urlResolver = new UrlResolver(config);
+    this.logger = new Logger("UrlListLoader");
+    this.stats = null;
+  }
+
+  async loadFile(source, baseUrl = null) {
+    let entries;
+    let format;
+
+    if (/^https?:\/\//i.test(source)) {
+      format = "sitemap";
+      entries = await this.readRemoteSitemap(source);
+    } else {
+      if (!(await fs.pathExists(source))) {
+        throw new Error(`URL list file not found: ${source}`);
+      }
+
+      const content = await this.readContent(source);
+      format = this.detectFormat(source, content);
+
+      if (format === "sitemap") {
+        entries = await this.readSitemap(content);
+      } else if (format === "csv") {
+        entries = this.readCsv(content);
+      } else {
+        entries = this.readText(content);
+      }
+    }
+
+    return this.buildResults(entries, {
+      source: format === "sitemap" ? "sitemap-file" : "url-list",
+      file: source,
+      format,
+      baseUrl,
+    });
+  }
+
+  async loadReport(file, options = {}) {
+    const filter = options.filter || "all";
+    const minScore = options.minScore ?? this.minScore;
+
+    if (!UrlListLoader.REPORT_FILTERS.includes(filter)) {
+      throw new Error(
+        `Unknown report filter "${filter}". Use one of: ${UrlListLoader.REPORT_FILTERS.join(
+          ", "
+        )}`
+      );
+    }
+
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`Report file not found: ${file}`);
+    }
+
+    const report = await fs.readJson(file);
+    const results = Array.isArray(report)
+      ? report
+      : report.results || report.auditResults || [];
+
+    if (results.length === 0) {
+      throw new Error(`No audit results found in report: ${file}`);
+    }
+
+    const selected = results.filter((result) =>
+      this.matchesFilter(result, filter, minScore)
+    );
+
+    this.logger.info(
+      `Selected ${selected.length} of ${results.length} URLs from previous report`,
+      { file, filter, minScore: filter === "low-score" ? minScore : null }
+    );
+
+    return this.buildResults(
+      selected.map((result) => ({
+        url: result.url,
+        depth: result.crawlDepth,
+        statusCode: result.statusCode,
+      })),
+      {
+        source: "previous-report",
+        file,
+        format: "json",
+        filter,
+        reportedUrls: results.length,
+      }
+    );
+  }
+
+  matchesFilter(result, filter, minScore) {
+    const failed =
+      !result.success || (result.statusCode && result.statusCode >= 400);
+
+    if (filter === "failed") return failed;
+    if (filter === "low-score") return failed || result.auditScore < minScore;
+    return true;
+  }
+
+  async readContent(file) {
+    let buffer = await fs.readFile(file);
+
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      buffer = zlib.gunzipSync(buffer);
+    }
+
+    return buffer.toString("utf8").replace(/^\uFEFF/, "");
+  }
+
+  detectFormat(file, content) {
+    const extension = path.extname(file.replace(/\.gz$/i, "")).toLowerCase();
+    const start = content.trimStart();
+
+    if (
+      extension === ".xml" ||
+      start.startsWith("<?xml") ||
+      start.startsWith("<urlset") ||
+      start.startsWith("<sitemapindex")
+    ) {
+      return "sitemap";
+    }
+
+    if (extension === ".csv" || extension === ".tsv") return "csv";
+    return "text";
+  }
+
+  async readRemoteSitemap(sitemapUrl) {
+    const { entries } = await this.sitemapParser.discover([sitemapUrl]);
+    return entries.map((entry) => ({ url: entry.url }));
+  }
+
+  async readSitemap(content) {
+    const parsed = await this.sitemapParser.parse(content);
+
+    if (parsed.type === "index") {
+      const { entries } = await this.sitemapParser.discover(parsed.sitemaps);
+      return entries.map((entry) => ({ url: entry.url }));
+    }
+
+    return parsed.urls.map((entry) => ({ url: entry.url }));
+  }
+
+  readText(content) {
+    return content
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"))
+      .map((line) => ({ url: line.split(/\s+/)[0] }));
+  }
+
+  readCsv(content) {
+    const delimiter = this.detectDelimiter(content);
+    const rows = this.parseCsv(content, delimiter).filter((row) =>
+      row.some((cell) => cell.trim())
+    );
+
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map((cell) => cell.trim().toLowerCase());
+    let column = header.findIndex((cell) =>
+      UrlListLoader.URL_COLUMNS.includes(cell)
+    );
+    const hasHeader =
+      column !== -1 || !header.some((cell) => this.looksLikeUrl(cell));
+
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    if (column === -1) {
+      column = Math.max(
+        0,
+        (dataRows[0] || []).findIndex((cell) => this.looksLikeUrl(cell))
+      );
+    }
+
+    return dataRows
+      .map((row) => ({ url: (row[column] || "").trim() }))
+      .filter((entry) => entry.url);
+  }
+
+  detectDelimiter(content) {
+    const firstLine = content.split(/\r?\n/)[0] || "";
+    const candidates = [",", ";", "\t"];
+
+    return candidates.reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length
+        ? candidate
+        : best
+    );
+  }
+
+  parseCsv(content, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && content[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  looksLikeUrl(value) {
+    return /^https?:\/\//i.test((value || "").trim());
+  }
+
+  resolveUrl(url, baseUrl) {
+    try {
+      const resolved = baseUrl ? new URL(url, baseUrl) : new URL(url);
+      if (!["http:", "https:"].includes(resolved.protocol)) return null;
+      return resolved.href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  buildResults(entries, details) {
+    const seen = new Set();
+    const results = [];
+    const invalid = [];
+    let duplicates = 0;
+
+    for (const entry of entries) {
+      const url = this.resolveUrl(entry.url, details.baseUrl);
+
+      if (!url) {
+        invalid.push(entry.url);
+        continue;
+      }
+
+      const normalized = this.urlResolver.normalize(url);
+      if (seen.has(normalized)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(normalized);
+
+      results.push(
+        new CrawlResult({
+          url: normalized,
+          discovered: true,
+          depth: entry.depth || 0,
+          source: details.source,
+          statusCode: entry.statusCode || null,
+          host: new URL(normalized).hostname,
+          discoveryMethods: [details.source],
+        })
+      );
+    }
+
+    if (invalid.length > 0) {
+      this.logger.warning(
+        `Skipped ${invalid.length} invalid URLs from ${details.file}`,
+        { examples: invalid.slice(0, 5) }
+      );
+    }
+
+    this.stats = {
+      source: details.source,
+      file: details.file,
+      format: details.format,
+      filter: details.filter || null,
+      reportedUrls: details.reportedUrls ?? null,
+      totalEntries: entries.length,
+      loadedUrls: results.length,
+      duplicates,
+      invalid: invalid.length,
+    };
+
+    this.logger.info(
+      `Loaded ${results.length} URLs from ${details.file}`,
+      this.stats
+    );
+
+    return results;
+  }
+
+  getStats() {
+    return this.stats;
+  }
+}
+
+export default UrlListLoader;
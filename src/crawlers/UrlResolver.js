@@ -1,6 +1,36 @@
 class UrlResolver {
+  static DEFAULT_NORMALIZATION = {
+    dropFragments: true,
+    stripParams: ["utm_*", "gclid", "fbclid", "msclkid", "mc_cid", "mc_eid"],
+    allowParams: null,
+    sortParams: true,
+    lowercaseHost: true,
+    decodeSafe: true,
+    collapseIndex: false,
+    indexFiles: ["index.html", "index.htm"],
+    trailingSlash: false,
+  };
+
   constructor(config = {}) {
     this.config = config;
+    this.rules = {
+      ...UrlResolver.DEFAULT_NORMALIZATION,
+      ...(config.normalization || {}),
+    };
+    this.stripMatchers = (this.rules.stripParams || []).map((param) =>
+      this.createParamMatcher(param)
+    );
+    this.allowMatchers = this.rules.allowParams
+      ? this.rules.allowParams.map((param) => this.createParamMatcher(param))
+      : null;
+  }
+
+  createParamMatcher(param) {
+    const source = param
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${source}$`, "i");
   }
 
   normalize(url) {
@@ -14,18 +44,100 @@ class UrlResolver {
         urlObj.port = "";
       }
 
+      if (this.rules.lowercaseHost) {
+        urlObj.hostname = urlObj.hostname.toLowerCase();
+      }
+
+      if (this.rules.dropFragments) {
+        urlObj.hash = "";
+      }
+
       urlObj.pathname = urlObj.pathname.replace(/\/+/g, "/");
 
-      if (urlObj.pathname.endsWith("/") && urlObj.pathname.length > 1) {
+      if (this.rules.decodeSafe) {
+        urlObj.pathname = this.decodeUnreserved(urlObj.pathname);
+      }
+
+      if (this.rules.collapseIndex) {
+        const segments = urlObj.pathname.split("/");
+        if (this.rules.indexFiles.includes(segments[segments.length - 1])) {
+          segments[segments.length - 1] = "";
+          urlObj.pathname = segments.join("/");
+        }
+      }
+
+      if (
+        !this.rules.trailingSlash &&
+        urlObj.pathname.endsWith("/") &&
+        urlObj.pathname.length > 1
+      ) {
         urlObj.pathname = urlObj.pathname.slice(0, -1);
       }
 
+      urlObj.search = this.normalizeQuery(urlObj.search);
+
       return urlObj.toString();
     } catch (error) {
       return url;
     }
   }
 
+  normalizeQuery(search) {
+    if (!search || search === "?") return "";
+
+    let params = search
+      .slice(1)
+      .split("&")
+      .filter(Boolean)
+      .map((pair) => {
+        const separator = pair.indexOf("=");
+        const rawName = separator === -1 ? pair : pair.slice(0, separator);
+        const value = separator === -1 ? null : pair.slice(separator + 1);
+        return { name: this.safeDecodeComponent(rawName), rawName, value };
+      });
+
+    if (this.allowMatchers) {
+      params = params.filter((param) =>
+        this.allowMatchers.some((matcher) => matcher.test(param.name))
+      );
+    } else {
+      params = params.filter(
+        (param) =>
+          !this.stripMatchers.some((matcher) => matcher.test(param.name))
+      );
+    }
+
+    if (this.rules.sortParams) {
+      params.sort((a, b) => (a.name === b.name ? 0 : a.name < b.name ? -1 : 1));
+    }
+
+    if (params.length === 0) return "";
+
+    const encode = (part) =>
+      this.rules.decodeSafe ? this.decodeUnreserved(part) : part;
+
+    return `?${params
+      .map(({ rawName, value }) =>
+        value === null ? encode(rawName) : `${encode(rawName)}=${encode(value)}`
+      )
+      .join("&")}`;
+  }
+
+  decodeUnreserved(value) {
+    return value.replace(/%([0-9a-fA-F]{2})/g, (match, hex) => {
+      const char = String.fromCharCode(parseInt(hex, 16));
+      return /[A-Za-z0-9\-._~]/.test(char) ? char : `%${hex.toUpperCase()}`;
+    });
+  }
+
+  safeDecodeComponent(value) {
+    try {
+      return decodeURIComponent(value.replace(/\+/g, " "));
+    } catch (error) {
+      return value;
+    }
+  }
+
   resolve(href, baseUrl) {
     try {
       if (href.startsWith("http://") || href.startsWith("https://")) {
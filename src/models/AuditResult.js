@@ -2,11 +2,19 @@ class AuditResult {
   constructor(data = {}) {
     this.url = data.url || "";
     this.success = data.success || false;
+    this.profile = data.profile || null;
     this.error = data.error || null;
     this.loadTime = data.loadTime || 0;
     this.statusCode = data.statusCode || 0;
     this.crawlDepth = data.crawlDepth || 0;
     this.crawlSource = data.crawlSource || "unknown";
+    this.crawlHost = data.crawlHost || null;
+    this.crawlScope = data.crawlScope || null;
+    this.crawlDiscoveryMethod = data.crawlDiscoveryMethod || null;
+    this.crashRetries = data.crashRetries || 0;
+    this.retryReason =
+      data.retryReason ||
+      (this.crashRetries > 0 ? "retried after browser crash" : null);
     this.timestamp = data.timestamp || new Date().toISOString();
     this.canonical = data.canonical || null;
     this.metaTags = data.metaTags || null;
@@ -16,6 +24,16 @@ class AuditResult {
     this.structuredData = data.structuredData || [];
     this.performance = data.performance || null;
     this.accessibility = data.accessibility || null;
+    this.renderDiff = data.renderDiff || null;
+    this.hreflang = data.hreflang || null;
+    this.plugins = data.plugins || {};
+    this.profiles = data.profiles || {};
+    this.auditors = data.auditors || {
+      ran: [],
+      skipped: [],
+      timedOut: [],
+      failed: [],
+    };
     this.issues = data.issues || [];
     this.warnings = data.warnings || [];
     this.recommendations = data.recommendations || [];
@@ -7,6 +7,7 @@ class AuditSummary {
     this.totalUrls = data.totalUrls || 0;
     this.isFailure = data.isFailure || false;
     this.results = data.results || [];
+    this.crawlReport = data.crawlReport || {};
 
     this.successfulAudits = this.results.filter((r) => r.success).length;
     this.failedAudits = this.results.filter((r) => !r.success).length;
@@ -29,6 +30,47 @@ class AuditSummary {
     this.brokenLinksCount = this.countBrokenLinks() || 0;
     this.redirectsCount = this.countRedirects() || 0;
     this.avgLoadTime = this.calculateAvgLoadTime() || 0;
+    this.blockedByRobotsCount = this.crawlReport.blockedByRobots?.length || 0;
+    this.sitemapCoverage = this.crawlReport.sitemapCoverage || null;
+    this.sitemapUrlsCount = this.sitemapCoverage?.totalSitemapUrls || 0;
+    this.missingFromSitemapCount =
+      this.sitemapCoverage?.missingFromSitemap?.length || 0;
+    this.orphanedSitemapUrlsCount = this.sitemapCoverage?.orphaned?.length || 0;
+    this.unverifiedOrphanedSitemapUrlsCount =
+      this.sitemapCoverage?.unverifiedOrphans?.length || 0;
+    this.hostBreakdown = this.groupResultsByHost();
+    this.profileBreakdown = this.groupResultsByProfile();
+    this.rateLimitStats = data.rateLimitStats || [];
+    this.throttledResponsesCount = this.rateLimitStats.reduce(
+      (total, host) => total + (host.throttled || 0),
+      0
+    );
+    this.duplicateUrlVariantsCount =
+      this.crawlReport.duplicateVariants?.length || 0;
+    this.urlSource = this.crawlReport.urlList || null;
+    this.linkGraph = this.crawlReport.linkGraph || null;
+    this.orphanPagesCount = this.linkGraph?.orphans?.length || 0;
+    this.nearOrphanPagesCount = this.linkGraph?.nearOrphans?.length || 0;
+    this.budget = data.budget || this.crawlReport.budget || null;
+    this.browserPool = data.browserPool || null;
+    this.canonicalClusters = data.canonicalClusters || {
+      clusters: [],
+      findings: [],
+      stats: {},
+    };
+    this.canonicalClusterFindingsCount = this.canonicalClusters.findings.length;
+    this.hreflang = data.hreflang || { pages: [], findings: [], stats: {} };
+    this.hreflangFindingsCount = this.hreflang.findings.length;
+    this.crashRetriedCount = this.results.filter(
+      (result) => result.crashRetries > 0
+    ).length;
+    this.budgetHits = this.budget?.hits || [];
+    this.stoppedByBudget = this.budget?.stoppedEarly || false;
+    this.auditorRuns = this.summarizeAuditorRuns();
+    this.timedOutAuditorsCount = this.auditorRuns.reduce(
+      (total, auditor) => total + auditor.timedOut,
+      0
+    );
 
     this.duration = this.endTime - this.startTime;
   }
@@ -181,6 +223,54 @@ class AuditSummary {
     }, 0);
   }
 
+  summarizeAuditorRuns() {
+    if (!this.results || !Array.isArray(this.results)) return [];
+
+    const auditors = new Map();
+    const get = (name) => {
+      if (!auditors.has(name)) {
+        auditors.set(name, {
+          name,
+          ran: 0,
+          timedOut: 0,
+          failed: 0,
+          skipped: 0,
+          skipReasons: [],
+          timedOutUrls: [],
+        });
+      }
+      return auditors.get(name);
+    };
+
+    this.results
+      .filter((result) => result.auditors)
+      .forEach((result) => {
+        const {
+          ran = [],
+          timedOut = [],
+          failed = [],
+          skipped = [],
+        } = result.auditors;
+
+        ran.forEach((name) => get(name).ran++);
+        timedOut.forEach(({ name }) => {
+          const auditor = get(name);
+          auditor.timedOut++;
+          auditor.timedOutUrls.push(result.url);
+        });
+        failed.forEach(({ name }) => get(name).failed++);
+        skipped.forEach(({ name, reason }) => {
+          const auditor = get(name);
+          auditor.skipped++;
+          if (!auditor.skipReasons.includes(reason)) {
+            auditor.skipReasons.push(reason);
+          }
+        });
+      });
+
+    return Array.from(auditors.values());
+  }
+
   calculateAvgLoadTime() {
     if (!this.results || !Array.isArray(this.results)) return 0;
 
@@ -196,6 +286,120 @@ class AuditSummary {
     return Math.round(totalTime / successfulResults.length);
   }
 
+  groupResultsByHost() {
+    if (!this.results || !Array.isArray(this.results)) return [];
+
+    const hosts = new Map();
+
+    this.results.forEach((result) => {
+      let host = result.crawlHost;
+      if (!host) {
+        try {
+          host = new URL(result.url).hostname;
+        } catch (error) {
+          host = "unknown";
+        }
+      }
+
+      if (!hosts.has(host)) {
+        hosts.set(host, {
+          host,
+          scope: result.crawlScope || "unknown",
+          urls: 0,
+          successful: 0,
+          failed: 0,
+          criticalIssues: 0,
+          warnings: 0,
+          totalScore: 0,
+        });
+      }
+
+      const group = hosts.get(host);
+      group.urls++;
+      group.criticalIssues +=
+        result.issues?.filter((i) => i.severity === "error").length || 0;
+      group.warnings += result.warnings?.length || 0;
+
+      if (result.success) {
+        group.successful++;
+        group.totalScore += result.auditScore || 0;
+      } else {
+        group.failed++;
+      }
+    });
+
+    return Array.from(hosts.values())
+      .map(({ totalScore, ...group }) => ({
+        ...group,
+        averageScore:
+          group.successful > 0 ? Math.round(totalScore / group.successful) : 0,
+      }))
+      .sort((a, b) => b.urls - a.urls);
+  }
+
+  groupResultsByProfile() {
+    if (!this.results || !Array.isArray(this.results)) return [];
+
+    const profiles = new Map();
+
+    this.results
+      .flatMap((result) => [result, ...Object.values(result.profiles || {})])
+      .forEach((result) => {
+        const name = result.profile || "default";
+
+        if (!profiles.has(name)) {
+          profiles.set(name, {
+            profile: name,
+            urls: 0,
+            successful: 0,
+            failed: 0,
+            criticalIssues: 0,
+            warnings: 0,
+            totalScore: 0,
+            totalLoadTime: 0,
+            lcpValues: [],
+          });
+        }
+
+        const group = profiles.get(name);
+        group.urls++;
+        group.criticalIssues +=
+          result.issues?.filter((i) => i.severity === "error").length || 0;
+        group.warnings += result.warnings?.length || 0;
+
+        if (result.success) {
+          group.successful++;
+          group.totalScore += result.auditScore || 0;
+          group.totalLoadTime += result.loadTime || 0;
+        } else {
+          group.failed++;
+        }
+
+        if (result.performance?.coreWebVitals?.lcp) {
+          group.lcpValues.push(result.performance.coreWebVitals.lcp);
+        }
+      });
+
+    return Array.from(profiles.values()).map(
+      ({ totalScore, totalLoadTime, lcpValues, ...group }) => ({
+        ...group,
+        averageScore:
+          group.successful > 0 ? Math.round(totalScore / group.successful) : 0,
+        avgLoadTime:
+          group.successful > 0
+            ? Math.round(totalLoadTime / group.successful)
+            : 0,
+        avgLcp:
+          lcpValues.length > 0
+            ? Math.round(
+                lcpValues.reduce((sum, value) => sum + value, 0) /
+                  lcpValues.length
+              )
+            : null,
+      })
+    );
+  }
+
   getVisualRegressionSummary() {
     return {
       totalChanges: this.visualChanges || 0,
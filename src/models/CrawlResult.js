@@ -7,6 +7,16 @@ class CrawlResult {
     this.timestamp = data.timestamp || new Date().toISOString();
     this.parentUrl = data.parentUrl || null;
     this.linkText = data.linkText || "";
+    this.statusCode = data.statusCode || null;
+    this.finalUrl = data.finalUrl || null;
+    this.visited = data.visited || false;
+    this.failed = data.failed || false;
+    this.error = data.error || null;
+    this.host = data.host || null;
+    this.scope = data.scope || null;
+    this.discoveryMethods = data.discoveryMethods || [];
+    this.sitemapAlternates = data.sitemapAlternates || [];
+    this.discoveryMethod = this.discoveryMethods[0] || null;
   }
 }
 
@@ -29,12 +29,47 @@ class ExcelReporter {
   static CATEGORIES = {
     missing_canonical: "Canonical",
     invalid_canonical: "Canonical",
+    conflicting_canonicals: "Canonical",
+    multiple_canonicals: "Canonical",
+    canonical_outside_head: "Canonical",
+    relative_canonical: "Canonical",
+    canonical_with_query: "Canonical",
+    canonical_with_fragment: "Canonical",
+    canonical_target_redirect: "Canonical",
+    canonical_target_not_found: "Canonical",
+    canonical_target_server_error: "Canonical",
+    canonical_target_unreachable: "Canonical",
+    canonical_target_noindex: "Canonical",
+    canonical_chain: "Canonical",
+    canonical_loop: "Canonical",
+    canonical_cluster_chain: "Canonical",
+    canonical_cluster_loop: "Canonical",
+    canonical_outside_crawl: "Canonical",
+    canonical_target_not_self_referencing: "Canonical",
+    canonical_pagination_to_first: "Canonical",
+    canonical_inconsistent_variants: "Canonical",
+    invalid_hreflang_code: "Hreflang",
+    invalid_hreflang_language: "Hreflang",
+    invalid_hreflang_region: "Hreflang",
+    duplicate_hreflang: "Hreflang",
+    missing_x_default: "Hreflang",
+    missing_self_hreflang: "Hreflang",
+    hreflang_relative_url: "Hreflang",
+    hreflang_target_error: "Hreflang",
+    hreflang_target_unreachable: "Hreflang",
+    hreflang_target_noindex: "Hreflang",
+    hreflang_target_not_canonical: "Hreflang",
+    missing_return_link: "Hreflang",
     missing_title: "Meta Tags",
     missing_description: "Meta Tags",
     title_too_short: "Meta Tags",
     title_too_long: "Meta Tags",
     description_too_short: "Meta Tags",
     description_too_long: "Meta Tags",
+    title_truncated_desktop: "Meta Tags",
+    title_truncated_mobile: "Meta Tags",
+    description_truncated_desktop: "Meta Tags",
+    description_truncated_mobile: "Meta Tags",
     missing_h1: "Headings",
     multiple_h1: "Headings",
     empty_heading: "Headings",
@@ -45,6 +80,12 @@ class ExcelReporter {
     poor_fcp: "Performance",
     poor_lcp: "Performance",
     poor_cls: "Performance",
+    render_only_element: "Rendering",
+    render_removed_element: "Rendering",
+    render_changed_element: "Rendering",
+    render_link_count_mismatch: "Rendering",
+    audit_failure: "Auditors",
+    audit_timeout: "Auditors",
   };
 
   constructor(config = {}) {
@@ -90,6 +131,10 @@ class ExcelReporter {
           condition: auditResults.some((r) => r.accessibility),
           method: this.createAccessibilitySheet,
         },
+        {
+          condition: auditResults.some((r) => r.renderDiff),
+          method: this.createRenderDiffSheet,
+        },
       ];
 
       await Promise.all(
@@ -103,6 +148,53 @@ class ExcelReporter {
         this.createH1ManipulationSheet(workbook, auditResults),
       ]);
 
+      if (summary.blockedByRobotsCount > 0) {
+        await this.createRobotsBlockedSheet(workbook, summary);
+      }
+
+      if (summary.sitemapCoverage) {
+        await this.createSitemapCoverageSheet(workbook, summary);
+      }
+
+      if (summary.hostBreakdown?.length > 1) {
+        await this.createHostsSheet(workbook, summary);
+      }
+
+      if (summary.rateLimitStats?.length > 0) {
+        await this.createHostThrottlingSheet(workbook, summary);
+      }
+
+      if (summary.duplicateUrlVariantsCount > 0) {
+        await this.createDuplicateVariantsSheet(workbook, summary);
+      }
+
+      if (summary.budgetHits?.length > 0 || summary.budget?.limits?.length) {
+        await this.createBudgetSheet(workbook, summary);
+      }
+
+      if (summary.linkGraph?.pages?.length > 0) {
+        await this.createInternalLinksSheet(workbook, summary);
+      }
+
+      if (summary.auditorRuns?.length > 0) {
+        await this.createAuditorRunsSheet(workbook, auditResults);
+      }
+
+      if (summary.profileBreakdown?.length > 1) {
+        await this.createEmulationProfilesSheet(workbook, auditResults);
+      }
+
+      if (
+        summary.canonicalClusters?.clusters.length > 0 ||
+        summary.canonicalClusters?.findings.length > 0
+      ) {
+        await this.createCanonicalClustersSheet(workbook, summary);
+      }
+
+      if (summary.hreflang?.pages.length > 0) {
+        await this.createHreflangSheet(workbook, auditResults, summary);
+      }
+
       await workbook.xlsx.writeFile(filePath);
 
       this.logger.success(`Excel report generated: ${filePath}`);
@@ -185,6 +277,10 @@ class ExcelReporter {
       alignment: { horizontal: "center" },
     });
 
+    const skippedAuditors = (summary.auditorRuns || [])
+      .filter((auditor) => auditor.ran === 0 && auditor.skipped > 0)
+      .map((auditor) => auditor.name);
+
     const summaryData = [
       ["Audit ID", summary.auditId || "Unknown"],
       ["Landing Page URL", summary.landingUrl || "Unknown"],
@@ -217,6 +313,51 @@ class ExcelReporter {
         "Structure Manipulations",
         this.safeNumber(summary.structureManipulations),
       ],
+      ["Blocked by robots.txt", this.safeNumber(summary.blockedByRobotsCount)],
+      ["Sitemap URLs", this.safeNumber(summary.sitemapUrlsCount)],
+      [
+        "Missing From Sitemap",
+        this.safeNumber(summary.missingFromSitemapCount),
+      ],
+      [
+        "Orphaned Sitemap URLs",
+        this.safeNumber(summary.orphanedSitemapUrlsCount),
+      ],
+      [
+        "Unverified Orphaned Sitemap URLs",
+        this.safeNumber(summary.unverifiedOrphanedSitemapUrlsCount),
+      ],
+      [
+        "Duplicate URL Variants",
+        this.safeNumber(summary.duplicateUrlVariantsCount),
+      ],
+      [
+        "Throttled Responses (429/503)",
+        this.safeNumber(summary.throttledResponsesCount),
+      ],
+      ["Orphan Pages", this.safeNumber(summary.orphanPagesCount)],
+      ["Near-Orphan Pages", this.safeNumber(summary.nearOrphanPagesCount)],
+      ["Auditor Timeouts", this.safeNumber(summary.timedOutAuditorsCount)],
+      [
+        "Retried After Browser Crash",
+        this.safeNumber(summary.crashRetriedCount),
+      ],
+      [
+        "Auditors Skipped",
+        skippedAuditors.length ? skippedAuditors.join(", ") : "None",
+      ],
+      [
+        "Budget Hit",
+        summary.budgetHits?.length
+          ? summary.budgetHits.map((hit) => hit.description).join("; ")
+          : "None",
+      ],
+      [
+        "URL Source",
+        summary.urlSource
+          ? `${summary.urlSource.source}: ${summary.urlSource.file}`
+          : "Crawl",
+      ],
     ];
 
     summaryData.forEach(([label, value], index) => {
@@ -306,6 +447,10 @@ class ExcelReporter {
       "Broken Links",
       "Redirects",
       "Structured Data",
+      "Host",
+      "Scope",
+      "Discovered Via",
+      "Retried",
     ];
 
     this.createHeaderRow(sheet, headers);
@@ -326,6 +471,12 @@ class ExcelReporter {
         result.brokenLinks?.length || 0,
         result.redirects?.length || 0,
         result.structuredData?.length || 0,
+        result.crawlHost || "N/A",
+        result.crawlScope || "N/A",
+        result.crawlDiscoveryMethod || "N/A",
+        result.retryReason
+          ? `${result.retryReason} (${result.crashRetries}x)`
+          : "",
       ];
 
       rowData.forEach((value, colIndex) => {
@@ -397,6 +548,10 @@ class ExcelReporter {
       "URL",
       "Has Canonical",
       "Canonical URL",
+      "Declared In",
+      "Target Status",
+      "Target Canonical",
+      "Target Problems",
       "Issues",
       "Score",
     ];
@@ -406,11 +561,22 @@ class ExcelReporter {
     auditResults.forEach((result, index) => {
       const row = index + 2;
       const canonical = result.canonical || {};
+      const target = canonical.canonicalTarget;
+      const targetProblems = [
+        ...(canonical.issues || []),
+        ...(canonical.warnings || []),
+      ].filter((issue) => /^canonical_(target|chain|loop)/.test(issue.type));
 
       const rowData = [
         result.url,
         canonical.hasCanonical ? "Yes" : "No",
         canonical.canonical || "None",
+        (canonical.canonicals || [])
+          .map((declaration) => declaration.source)
+          .join(", "),
+        target ? target.statusCode || target.error || "" : "-",
+        target?.canonical || "",
+        targetProblems.map((issue) => issue.message).join("; "),
         canonical.issues?.length || 0,
         canonical.score || 0,
       ];
@@ -426,6 +592,13 @@ class ExcelReporter {
           headers.length,
           ExcelReporter.COLORS.FAILED
         );
+      } else if (targetProblems.length > 0) {
+        this.applyRowColor(
+          sheet,
+          row,
+          headers.length,
+          ExcelReporter.COLORS.WARNING
+        );
       }
     });
 
@@ -438,8 +611,11 @@ class ExcelReporter {
       "URL",
       "Title",
       "Title Length",
+      "Title Width (Desktop / Mobile px)",
       "Description",
       "Description Length",
+      "Description Width (Desktop / Mobile px)",
+      "SERP Preview",
       "Viewport",
       "Open Graph",
       "Twitter Cards",
@@ -452,13 +628,23 @@ class ExcelReporter {
     auditResults.forEach((result, index) => {
       const row = index + 2;
       const meta = result.metaTags || {};
+      const serp = meta.serp || {};
+      const pixelWidths = (field) =>
+        serp.desktop?.[field]
+          ? `${serp.desktop[field].width} / ${serp.mobile[field].width}`
+          : "N/A";
 
       const rowData = [
         result.url,
         meta.title || "Missing",
         meta.title?.length || 0,
+        pixelWidths("title"),
         meta.description || "Missing",
         meta.description?.length || 0,
+        pixelWidths("description"),
+        [serp.desktop?.title?.text, result.url, serp.desktop?.description?.text]
+          .filter(Boolean)
+          .join("\n"),
         meta.viewport || "Missing",
         meta.openGraph?.title ? "Yes" : "No",
         meta.twitter?.card ? "Yes" : "No",
@@ -489,7 +675,7 @@ class ExcelReporter {
           thresholds: ExcelReporter.THRESHOLDS.TITLE,
         },
         {
-          cell: sheet.getCell(row, 5),
+          cell: sheet.getCell(row, 6),
           length: descLength,
           thresholds: ExcelReporter.THRESHOLDS.DESCRIPTION,
         },
@@ -502,6 +688,24 @@ class ExcelReporter {
           };
         }
       });
+
+      [
+        { cell: sheet.getCell(row, 4), field: "title" },
+        { cell: sheet.getCell(row, 7), field: "description" },
+      ].forEach(({ cell, field }) => {
+        if (
+          serp.desktop?.[field]?.truncated ||
+          serp.mobile?.[field]?.truncated
+        ) {
+          cell.fill = {
+            type: "pattern",
+            pattern: "solid",
+            fgColor: { argb: ExcelReporter.COLORS.WARNING },
+          };
+        }
+      });
+
+      sheet.getCell(row, 8).alignment = { wrapText: true, vertical: "top" };
     });
 
     this.autoSizeColumns(sheet);
@@ -760,6 +964,83 @@ class ExcelReporter {
     this.autoSizeColumns(sheet);
   }
 
+  async createRenderDiffSheet(workbook, auditResults) {
+    const sheet = workbook.addWorksheet("Rendering Diff");
+    const headers = [
+      "URL",
+      "Element",
+      "Change",
+      "Server HTML",
+      "Rendered DOM",
+      "Severity",
+    ];
+
+    this.createHeaderRow(sheet, headers);
+
+    const format = (value) => {
+      const text = Array.isArray(value) ? value.join("\n") : value;
+      return text === null || text === undefined || text === ""
+        ? "(missing)"
+        : String(text).slice(0, 1000);
+    };
+    let rowIndex = 2;
+
+    auditResults
+      .filter((result) => result.renderDiff)
+      .forEach((result) => {
+        const { differences = [], links } = result.renderDiff;
+        const rows = differences.map((difference) => [
+          difference.label,
+          difference.change,
+          format(difference.raw),
+          format(difference.rendered),
+          difference.change === "rendered-only" && difference.critical
+            ? "Error"
+            : "Warning",
+        ]);
+
+        if (
+          result.renderDiff.warnings?.some(
+            (warning) => warning.type === "render_link_count_mismatch"
+          )
+        ) {
+          rows.push([
+            "Internal links",
+            links.difference > 0 ? "rendered-only" : "removed",
+            `${links.raw} links`,
+            `${links.rendered} links`,
+            "Warning",
+          ]);
+        }
+
+        rows.forEach((rowData) => {
+          [result.url, ...rowData].forEach((value, colIndex) => {
+            const cell = sheet.getCell(rowIndex, colIndex + 1);
+            cell.value = value;
+            cell.alignment = { wrapText: true, vertical: "top" };
+          });
+
+          this.applyRowColor(
+            sheet,
+            rowIndex,
+            headers.length,
+            rowData[4] === "Error"
+              ? ExcelReporter.COLORS.ERROR
+              : ExcelReporter.COLORS.WARNING
+          );
+          rowIndex++;
+        });
+      });
+
+    if (rowIndex === 2) {
+      sheet.getCell(2, 1).value =
+        "Server HTML and rendered DOM match on every audited page";
+      rowIndex++;
+    }
+
+    this.finalizeSheet(sheet, headers.length, rowIndex - 1);
+  }
+
   async createVisualRegressionSheet(workbook, auditResults) {
     const sheet = workbook.addWorksheet("Visual Regression");
     const headers = [
@@ -998,6 +1279,600 @@ class ExcelReporter {
     this.finalizeSheet(sheet, headers.length, rowIndex - 1);
   }
 
+  async createRobotsBlockedSheet(workbook, summary) {
+    const sheet = workbook.addWorksheet("Blocked by robots.txt");
+    const headers = ["URL", "Found On", "Depth", "Matched Rule", "Reason"];
+    const blockedUrls = summary.crawlReport?.blockedByRobots || [];
+
+    this.createHeaderRow(sheet, headers);
+
+    blockedUrls.forEach((blocked, index) => {
+      const row = index + 2;
+      const rowData = [
+        blocked.url,
+        blocked.parentUrl || "N/A",
+        blocked.depth || 0,
+        blocked.rule || "N/A",
+        blocked.reason || "blocked by robots.txt",
+      ];
+
+      rowData.forEach((value, colIndex) => {
+        sheet.getCell(row, colIndex + 1).value = value;
+      });
+    });
+
+    this.finalizeSheet(sheet, headers.length, blockedUrls.length + 1);
+  }
+
+  async createHostsSheet(workbook, summary) {
+    const sheet = workbook.addWorksheet("Hosts");
+    const headers = [
+      "Host",
+      "Scope",
+      "URLs",
+      "Successful",
+      "Failed",
+      "Average Score",
+      "Critical Issues",
+      "Warnings",
+    ];
+
+    this.createHeaderRow(sheet, headers);
+
+    summary.hostBreakdown.forEach((group, index) => {
+      const row = index + 2;
+      const rowData = [
+        group.host,
+        group.scope,
+        group.urls,
+        group.successful,
+        group.failed,
+        group.averageScore,
+        group.criticalIssues,
+        group.warnings,
+      ];
+
+      rowData.forEach((value, colIndex) => {
+        sheet.getCell(row, colIndex + 1).value = value;
+      });
+
+      this.applyScoreColor(sheet.getCell(row, 6), group.averageScore);
+    });
+
+    this.finalizeSheet(sheet, headers.length, summary.hostBreakdown.length + 1);
+  }
+
+  async createHostThrottlingSheet(workbook, summary) {
+    const sheet = workbook.addWorksheet("Host Throttling");
+    const headers = [
+      "Origin",
+      "Requests",
+      "Throttled (429/503)",
+      "Retry-After Waits",
+      "Slowdowns",
+      "Recoveries",
+      "Peak Interval (ms)",
+      "Final Interval (ms)",
+      "Average Wait (ms)",
+    ];
+
+    this.createHeaderRow(sheet, headers);
+
+    summary.rateLimitStats.forEach((host, index) => {
+      const row = index + 2;
+      const rowData = [
+        host.origin,
+        host.requests,
+        host.throttled,
+        host.retryAfterWaits,
+        host.slowdowns,
+        host.recoveries,
+        host.peakInterval,
+        host.currentInterval,
+        host.averageWaitMs,
+      ];
+
+      rowData.forEach((value, colIndex) => {
+        sheet.getCell(row, colIndex + 1).value = value;
+      });
+
+      if (host.throttled > 0) {
+        this.applyRowColor(
+          sheet,
+          row,
+          headers.length,
+          ExcelReporter.COLORS.WARNING
+        );
+      }
+    });
+
+    this.finalizeSheet(
+      sheet,
+      headers.length,
+      summary.rateLimitStats.length + 1
+    );
+  }
+
+  async createDuplicateVariantsSheet(workbook, summary) {
+    const sheet = workbook.addWorksheet("Duplicate URL Variants");
+    const headers = ["Normalized URL", "Raw URL", "Found On", "Occurrences"];
+    const duplicates = summary.crawlReport?.duplicateVariants || [];
+
+    this.createHeaderRow(sheet, headers);
+
+    let row = 2;
+
+    duplicates.forEach((duplicate) => {
+      duplicate.variants.forEach((variant) => {
+        const rowData = [
+          duplicate.url,
+          variant.url,
+          variant.foundOn || "N/A",
+          variant.occurrences || 1,
+        ];
+
+        rowData.forEach((value, colIndex) => {
+          sheet.getCell(row, colIndex + 1).value = value;
+        });
+        row++;
+      });
+    });
+
+    this.finalizeSheet(sheet, headers.length, row - 1);
+  }
+
+  async createBudgetSheet(workbook, summary) {
+    const sheet = workbook.addWorksheet("Crawl Budget");
+    const headers = [
+      "Budget",
+      "Key",
+      "Limit",
+      "Used",
+      "Skipped",
+      "Hit",
+      "Phase",
+    ];
+    const hits = new Map(
+      summary.budgetHits.map((hit) => [`${hit.type}:${hit.key}`, hit])
+    );
+    const rows = [
+      ...(summary.budget.maxDuration
+        ? Object.entries(summary.budget.deadlines).map(([phase, deadline]) => ({
+            type: "time",
+            key: phase,
+            limit: `${Math.round(deadline / 1000)}s`,
+            used: `${Math.round(summary.budget.elapsedMs / 1000)}s`,
+          }))
+        : []),
+      ...summary.budget.limits,
+      ...summary.budgetHits.filter((hit) => hit.type === "max-urls"),
+    ];
+
+    this.createHeaderRow(sheet, headers);
+
+    rows.forEach((budget, index) => {
+      const row = index + 2;
+      const hit = hits.get(`${budget.type}:${budget.key}`);
+      const rowData = [
+        budget.type,
+        budget.key,
+        budget.limit,
+        budget.used ?? "N/A",
+        hit?.skipped ?? budget.skipped ?? 0,
+        hit ? "Yes" : "No",
+        hit?.phase || "",
+      ];
+
+      rowData.forEach((value, colIndex) => {
+        sheet.getCell(row, colIndex + 1).value = value;
+      });
+
+      if (hit) {
+        sheet.getCell(row, 6).fill = {
+          type: "pattern",
+          pattern: "solid",
+          fgColor: { argb: ExcelReporter.COLORS.WARNING },
+        };
+      }
+    });
+
+    this.finalizeSheet(sheet, headers.length, rows.length + 1);
+  }
+
+  async createAuditorRunsSheet(workbook, auditResults) {
+    const sheet = workbook.addWorksheet("Auditor Runs");
+    const headers = ["URL", "Ran", "Timed Out", "Failed", "Skipped"];
+    const results = auditResults.filter((result) => result.auditors);
+
+    this.createHeaderRow(sheet, headers);
+
+    results.forEach((result, index) => {
+      const row = index + 2;
+      const {
+        ran = [],
+        timedOut = [],
+        failed = [],
+        skipped = [],
+      } = result.auditors;
+      const rowData = [
+        result.url,
+        ran.join(", "),
+        timedOut
+          .map(({ name, timeout }) => `${name} (${timeout}ms)`)
+          .join(", "),
+        failed.map(({ name, error }) => `${name}: ${error}`).join("; "),
+        skipped.map(({ name, reason }) => `${name} (${reason})`).join(", "),
+      ];
+
+      rowData.forEach((value, colIndex) => {
+        sheet.getCell(row, colIndex + 1).value = value;
+      });
+
+      if (timedOut.length > 0 || failed.length > 0) {
+        this.applyRowColor(
+          sheet,
+          row,
+          headers.length,
+          timedOut.length > 0
+            ? ExcelReporter.COLORS.WARNING
+            : ExcelReporter.COLORS.FAILED
+        );
+      }
+    });
+
+    this.finalizeSheet(sheet, headers.length, results.length + 1);
+  }
+
+  async createEmulationProfilesSheet(workbook, auditResults) {
+    const sheet = workbook.addWorksheet("Emulation Profiles");
+    const headers = [
+      "URL",
+      "Profile",
+      "Status",
+      "Status Code",
+      "Load Time (ms)",
+      "Score",
+      "Critical Issues",
+      "Warnings",
+      "FCP (ms)",
+      "LCP (ms)",
+      "CLS",
+    ];
+    const rows = auditResults.flatMap((result) =>
+      [result, ...Object.values(result.profiles || {})].map(
+        (profileResult) => ({
+          url: result.url,
+          result: profileResult,
+        })
+      )
+    );
+
+    this.createHeaderRow(sheet, headers);
+
+    rows.forEach(({ url, result }, index) => {
+      const row = index + 2;
+      const vitals = result.performance?.coreWebVitals || {};
+      const rowData = [
+        url,
+        result.profile || "default",
+        result.success ? "Success" : `Failed: ${result.error}`,
+        result.statusCode || "",
+        result.loadTime || 0,
+        result.auditScore || 0,
+        result.issues?.filter((i) => i.severity === "error").length || 0,
+        result.warnings?.length || 0,
+        vitals.fcp ? Math.round(vitals.fcp) : "",
+        vitals.lcp ? Math.round(vitals.lcp) : "",
+        vitals.cls !== undefined ? vitals.cls : "",
+      ];
+
+      rowData.forEach((value, colIndex) => {
+        sheet.getCell(row, colIndex + 1).value = value;
+      });
+
+      if (!result.success) {
+        this.applyRowColor(
+          sheet,
+          row,
+          headers.length,
+          ExcelReporter.COLORS.FAILED
+        );
+      } else {
+        this.applyScoreColor(sheet.getCell(row, 6), result.auditScore);
+      }
+    });
+
+    this.finalizeSheet(sheet, headers.length, rows.length + 1);
+  }
+
+  async createCanonicalClustersSheet(workbook, summary) {
+    const sheet = workbook.addWorksheet("Canonical Clusters");
+    const headers = [
+      "Canonical Target",
+      "Cluster Size",
+      "Target Status",
+      "Page",
+      "Canonical Chain",
+      "Findings",
+    ];
+    const { clusters, findings } = summary.canonicalClusters;
+    const rows = clusters.flatMap((cluster) =>
+      cluster.members.map((url) => ({
+        canonical: cluster.canonical,
+        size: cluster.size,
+        status: cluster.targetStatus,
+        url,
+        chain:
+          cluster.chained
+            .find((chain) => chain.url === url)
+            ?.path.join(" → ") || "",
+      }))
+    );
+    const covered = new Set(rows.map((row) => row.url));
+
+    findings
+      .flatMap((finding) => finding.urls)
+      .filter((url) => !covered.has(url))
+      .forEach((url) => {
+        covered.add(url);
+        rows.push({
+          canonical: url,
+          size: 0,
+          status: "self-referencing",
+          url,
+          chain: "",
+        });
+      });
+
+    this.createHeaderRow(sheet, headers);
+
+    rows.forEach((entry, index) => {
+      const row = index + 2;
+      const pageFindings = findings.filter((finding) =>
+        finding.urls.includes(entry.url)
+      );
+      const rowData = [
+        entry.canonical,
+        entry.size,
+        entry.status,
+        entry.url,
+        entry.chain,
+        pageFindings.map((finding) => finding.message).join("; "),
+      ];
+
+      rowData.forEach((value, colIndex) => {
+        sheet.getCell(row, colIndex + 1).value = value;
+      });
+
+      if (pageFindings.length > 0) {
+        this.applyRowColor(
+          sheet,
+          row,
+          headers.length,
+          pageFindings.some((finding) => finding.severity === "error")
+            ? ExcelReporter.COLORS.FAILED
+            : ExcelReporter.COLORS.WARNING
+        );
+      }
+    });
+
+    this.finalizeSheet(sheet, headers.length, rows.length + 1);
+  }
+
+  async createHreflangSheet(workbook, auditResults, summary) {
+    const sheet = workbook.addWorksheet("Hreflang");
+    const headers = [
+      "URL",
+      "Hreflang",
+      "Target",
+      "Source",
+      "Target Status",
+      "Return Link",
+      "Problems",
+    ];
+    const rows = auditResults
+      .filter((result) => result.hreflang?.alternates?.length > 0)
+      .flatMap((result) =>
+        result.hreflang.alternates.map((alternate) => ({
+          result,
+          alternate,
+          target: result.hreflang.targets?.find(
+            (target) => target.url === alternate.url
+          ),
+        }))
+      );
+
+    this.createHeaderRow(sheet, headers);
+
+    rows.forEach(({ result, alternate, target }, index) => {
+      const row = index + 2;
+      const code = alternate.hreflang.toLowerCase();
+      const missingReturn = summary.hreflang.findings.some(
+        (finding) =>
+          finding.url === result.url &&
+          finding.target === alternate.url &&
+          finding.hreflang.includes(alternate.hreflang)
+      );
+      const unverified = summary.hreflang.pages
+        .find((page) => page.url === result.url)
+        ?.unverifiedTargets.includes(alternate.url);
+      const problems = [
+        ...result.hreflang.issues,
+        ...result.hreflang.warnings,
+      ].filter(
+        (problem) =>
+          []
+            .concat(problem.details?.hreflang || [])
+            .some((value) => value.toLowerCase() === code) &&
+          (!problem.details?.target || problem.details.target === alternate.url)
+      );
+      const isSelf = alternate.url === result.url;
+      const rowData = [
+        result.url,
+        alternate.hreflang,
+        alternate.url,
+        alternate.source,
+        isSelf
+          ? "Self"
+          : target
+            ? target.error || target.statusCode
+            : "Not verified",
+        isSelf || code === "x-default"
+          ? "N/A"
+          : missingReturn
+            ? "Missing"
+            : unverified
+              ? "Not verified"
+              : "OK",
+        problems.map((problem) => problem.message).join("; "),
+      ];
+
+      rowData.forEach((value, colIndex) => {
+        sheet.getCell(row, colIndex + 1).value = value;
+      });
+
+      if (
+        missingReturn ||
+        problems.some((problem) => problem.severity === "error")
+      ) {
+        this.applyRowColor(
+          sheet,
+          row,
+          headers.length,
+          ExcelReporter.COLORS.FAILED
+        );
+      } else if (problems.length > 0) {
+        this.applyRowColor(
+          sheet,
+          row,
+          headers.length,
+          ExcelReporter.COLORS.WARNING
+        );
+      }
+    });
+
+    this.finalizeSheet(sheet, headers.length, rows.length + 1);
+  }
+
+  async createInternalLinksSheet(workbook, summary) {
+    const sheet = workbook.addWorksheet("Internal Links");
+    const headers = [
+      "URL",
+      "Click Depth",
+      "Inbound Links",
+      "Outbound Links",
+      "External Links",
+      "Link Score",
+      "PageRank",
+      "Crawled",
+      "Link Status",
+    ];
+    const pages = [...summary.linkGraph.pages].sort(
+      (a, b) => b.pageRank - a.pageRank
+    );
+
+    this.createHeaderRow(sheet, headers);
+
+    pages.forEach((page, index) => {
+      const row = index + 2;
+      const status = page.orphan
+        ? "Orphan"
+        : page.nearOrphan
+          ? "Near-orphan"
+          : page.clickDepth === null
+            ? "Unreachable"
+            : "Linked";
+      const rowData = [
+        page.url,
+        page.clickDepth ?? "N/A",
+        page.inboundLinks,
+        page.outboundLinks,
+        page.externalLinks,
+        page.linkScore,
+        page.pageRank,
+        page.crawled ? "Yes" : "No",
+        status,
+      ];
+
+      rowData.forEach((value, colIndex) => {
+        sheet.getCell(row, colIndex + 1).value = value;
+      });
+
+      if (status !== "Linked") {
+        sheet.getCell(row, 9).fill = {
+          type: "pattern",
+          pattern: "solid",
+          fgColor: {
+            argb:
+              status === "Orphan"
+                ? ExcelReporter.COLORS.ERROR
+                : ExcelReporter.COLORS.WARNING,
+          },
+        };
+      }
+    });
+
+    this.finalizeSheet(sheet, headers.length, pages.length + 1);
+  }
+
+  async createSitemapCoverageSheet(workbook, summary) {
+    const sheet = workbook.addWorksheet("Sitemap Coverage");
+    const headers = ["Category", "URL", "Status Code", "Sitemap", "Details"];
+    const coverage = summary.sitemapCoverage;
+
+    this.createHeaderRow(sheet, headers);
+
+    const categories = [
+      { key: "missingFromSitemap", label: "Crawled but missing from sitemap" },
+      { key: "orphaned", label: "Orphaned (no internal links)" },
+      {
+        key: "unverifiedOrphans",
+        label: "No internal links found (unverified, crawl incomplete)",
+      },
+      { key: "redirecting", label: "Redirects" },
+      { key: "notFound", label: "Not found (404/410)" },
+      { key: "erroring", label: "Error response" },
+      { key: "nonCanonical", label: "Non-canonical" },
+      { key: "unchecked", label: "Not checked (limit reached)" },
+    ];
+
+    let row = 2;
+
+    categories.forEach(({ key, label }) => {
+      (coverage[key] || []).forEach((item) => {
+        const rowData = [
+          label,
+          item.url,
+          item.statusCode || "N/A",
+          item.sitemap || "N/A",
+          item.finalUrl
+            ? `Redirects to ${item.finalUrl}`
+            : item.canonical
+              ? `Canonical: ${item.canonical}`
+              : item.error ||
+                (item.parentUrl ? `Found on ${item.parentUrl}` : ""),
+        ];
+
+        rowData.forEach((value, colIndex) => {
+          sheet.getCell(row, colIndex + 1).value = value;
+        });
+
+        if (["notFound", "erroring"].includes(key)) {
+          this.applyRowColor(
+            sheet,
+            row,
+            headers.length,
+            ExcelReporter.COLORS.FAILED
+          );
+        }
+
+        row++;
+      });
+    });
+
+    this.finalizeSheet(sheet, headers.length, row - 1);
+  }
+
   applyPerformanceColors(sheet, row, perf) {
     const metrics = [
       {
@@ -86,11 +86,26 @@ class HTMLReporter {
       metrics: {
         canonical: this.getCanonicalMetrics(auditResults),
         metaTags: this.getMetaTagsMetrics(auditResults),
+        serpPreviews: this.getSerpPreviewMetrics(auditResults),
         headings: this.getHeadingsMetrics(auditResults),
         brokenLinks: this.getBrokenLinksMetrics(auditResults),
         structuredData: this.getStructuredDataMetrics(auditResults),
         performance: performanceMetrics,
         accessibility: this.getAccessibilityMetrics(auditResults),
+        renderDiff: this.getRenderDiffMetrics(auditResults),
+        auditors: this.getAuditorRunMetrics(summary),
+        profiles: this.getEmulationProfileMetrics(summary),
+        canonicalClusters: this.getCanonicalClusterMetrics(summary),
+        hreflang: this.getHreflangMetrics(auditResults, summary),
+      },
+      crawl: {
+        blockedByRobots: summary.crawlReport?.blockedByRobots || [],
+        duplicateVariants: summary.crawlReport?.duplicateVariants || [],
+        hosts: summary.hostBreakdown?.length > 1 ? summary.hostBreakdown : [],
+        throttling: summary.rateLimitStats || [],
+        sitemapCoverage: this.getSitemapCoverageMetrics(summary),
+        linkGraph: this.getLinkGraphMetrics(summary),
+        budgetHits: summary.budgetHits || [],
       },
       charts: chartData,
       helpers: {
@@ -251,6 +266,65 @@ class HTMLReporter {
     return warnings.slice(0, 20);
   }
 
+  getLinkGraphMetrics(summary) {
+    const graph = summary.linkGraph;
+    if (!graph || !graph.pages?.length) return null;
+
+    return {
+      nodeCount: graph.nodeCount,
+      edgeCount: graph.edgeCount,
+      nofollowEdges: graph.nofollowEdges,
+      positions: graph.positions,
+      orphans: graph.orphans || [],
+      nearOrphans: graph.nearOrphans || [],
+      topPages: [...graph.pages]
+        .sort((a, b) => b.pageRank - a.pageRank)
+        .slice(0, 20),
+      weakPages: graph.pages
+        .filter((page) => page.orphan || page.nearOrphan)
+        .map((page) => ({
+          ...page,
+          label: page.orphan ? "Orphan" : "Near-orphan",
+          badge: page.orphan ? "badge-danger" : "badge-warning",
+        })),
+    };
+  }
+
+  getSitemapCoverageMetrics(summary) {
+    const coverage = summary.sitemapCoverage;
+    if (!coverage) return null;
+
+    return {
+      totalSitemapUrls: coverage.totalSitemapUrls,
+      sitemaps: coverage.sitemaps || [],
+      missingFromSitemap: coverage.missingFromSitemap || [],
+      orphaned: coverage.orphaned || [],
+      unverifiedOrphans: coverage.unverifiedOrphans || [],
+      problems: [
+        ...(coverage.redirecting || []).map((item) => ({
+          ...item,
+          category: "Redirect",
+          details: item.finalUrl,
+        })),
+        ...(coverage.notFound || []).map((item) => ({
+          ...item,
+          category: "Not Found",
+          details: item.statusCode,
+        })),
+        ...(coverage.erroring || []).map((item) => ({
+          ...item,
+          category: "Error",
+          details: item.error || item.statusCode,
+        })),
+        ...(coverage.nonCanonical || []).map((item) => ({
+          ...item,
+          category: "Non-canonical",
+          details: item.canonical,
+        })),
+      ],
+    };
+  }
+
   getCanonicalMetrics(auditResults) {
     const total = auditResults.length;
     const withCanonical = auditResults.filter(
@@ -294,6 +368,47 @@ class HTMLReporter {
     };
   }
 
+  getSerpPreviewMetrics(auditResults) {
+    const previews = auditResults.filter((r) => r.metaTags?.serp);
+
+    if (previews.length === 0) {
+      return null;
+    }
+
+    const truncated = (field, device) =>
+      previews.filter((r) => r.metaTags.serp[device]?.[field]?.truncated)
+        .length;
+    const describe = (measurement) =>
+      measurement
+        ? {
+            width: measurement.width,
+            maxWidth: measurement.maxWidth,
+            badge: measurement.truncated ? "badge-warning" : "badge-success",
+          }
+        : null;
+
+    return {
+      titlesTruncatedDesktop: truncated("title", "desktop"),
+      titlesTruncatedMobile: truncated("title", "mobile"),
+      descriptionsTruncatedDesktop: truncated("description", "desktop"),
+      descriptionsTruncatedMobile: truncated("description", "mobile"),
+      pages: previews.slice(0, 50).map((r) => {
+        const { desktop, mobile } = r.metaTags.serp;
+
+        return {
+          url: r.url,
+          title: desktop.title?.text || "Missing title",
+          description: desktop.description?.text || "Missing description",
+          titleDesktop: describe(desktop.title),
+          titleMobile: describe(mobile.title),
+          descriptionDesktop: describe(desktop.description),
+          descriptionMobile: describe(mobile.description),
+        };
+      }),
+      more: Math.max(0, previews.length - 50),
+    };
+  }
+
   getHeadingsMetrics(auditResults) {
     const total = auditResults.length;
     const withH1 = auditResults.filter((r) => r.headings?.h1Count > 0).length;
@@ -452,6 +567,157 @@ class HTMLReporter {
     };
   }
 
+  getRenderDiffMetrics(auditResults) {
+    const diffResults = auditResults.filter((r) => r.renderDiff);
+
+    if (diffResults.length === 0) {
+      return null;
+    }
+
+    const pages = diffResults
+      .filter(
+        (r) =>
+          r.renderDiff.differences?.length > 0 ||
+          r.renderDiff.warnings?.length > 0
+      )
+      .map((r) => ({
+        url: r.url,
+        renderedOnly: (r.renderDiff.differences || [])
+          .filter((difference) => difference.change === "rendered-only")
+          .map((difference) => ({
+            label: difference.label,
+            badge: difference.critical ? "badge-danger" : "badge-warning",
+          })),
+        changed: (r.renderDiff.differences || [])
+          .filter((difference) => difference.change !== "rendered-only")
+          .map((difference) => `${difference.label} (${difference.change})`),
+        linkDifference: r.renderDiff.links?.difference || 0,
+      }));
+
+    return {
+      total: diffResults.length,
+      affected: pages.length,
+      renderedOnlyPages: pages.filter((page) => page.renderedOnly.length > 0)
+        .length,
+      pages: pages.slice(0, 50),
+    };
+  }
+
+  getAuditorRunMetrics(summary) {
+    const auditors = summary.auditorRuns || [];
+
+    if (auditors.length === 0) {
+      return null;
+    }
+
+    return {
+      timedOut: summary.timedOutAuditorsCount || 0,
+      auditors: auditors.map((auditor) => ({
+        ...auditor,
+        badge:
+          auditor.timedOut > 0 || auditor.failed > 0
+            ? "badge-danger"
+            : auditor.ran > 0
+              ? "badge-success"
+              : "badge-warning",
+        skipReasons: auditor.skipReasons.join(", "),
+        timedOutUrls: auditor.timedOutUrls.slice(0, 10),
+      })),
+    };
+  }
+
+  getEmulationProfileMetrics(summary) {
+    const profiles = summary.profileBreakdown || [];
+
+    if (profiles.length <= 1) {
+      return null;
+    }
+
+    return {
+      profiles: profiles.map((profile) => ({
+        ...profile,
+        badge:
+          profile.averageScore >= 80
+            ? "badge-success"
+            : profile.averageScore >= 60
+              ? "badge-warning"
+              : "badge-danger",
+        avgLcp: profile.avgLcp !== null ? `${profile.avgLcp}ms` : "-",
+      })),
+    };
+  }
+
+  getCanonicalClusterMetrics(summary) {
+    const analysis = summary.canonicalClusters;
+
+    if (!analysis || (!analysis.clusters.length && !analysis.findings.length)) {
+      return null;
+    }
+
+    return {
+      stats: analysis.stats,
+      findings: analysis.findings.map((finding) => ({
+        ...finding,
+        badge: finding.severity === "error" ? "badge-danger" : "badge-warning",
+        urls: (finding.paths || finding.urls).slice(0, 10),
+        more: Math.max(0, finding.urls.length - 10),
+      })),
+      clusters: analysis.clusters.slice(0, 50).map((cluster) => ({
+        ...cluster,
+        badge:
+          cluster.targetStatus === "self-referencing"
+            ? "badge-success"
+            : cluster.targetStatus === "loop"
+              ? "badge-danger"
+              : "badge-warning",
+      })),
+    };
+  }
+
+  getHreflangMetrics(auditResults, summary) {
+    const analysis = summary.hreflang;
+
+    if (!analysis || analysis.pages.length === 0) {
+      return null;
+    }
+
+    const problems = auditResults
+      .filter((result) => result.hreflang)
+      .flatMap((result) =>
+        [...result.hreflang.issues, ...result.hreflang.warnings].map(
+          (problem) => ({
+            url: result.url,
+            message: problem.message,
+            badge:
+              problem.severity === "error" ? "badge-danger" : "badge-warning",
+          })
+        )
+      );
+
+    return {
+      stats: analysis.stats,
+      missingReturnLinks: analysis.findings.slice(0, 50),
+      problems: problems.slice(0, 50),
+      moreProblems: Math.max(0, problems.length - 50),
+      pages: analysis.pages.slice(0, 50).map((page) => ({
+        ...page,
+        languages: page.languages.join(", "),
+        badge:
+          page.missingReturnLinks > 0
+            ? "badge-danger"
+            : page.hasXDefault
+              ? "badge-success"
+              : "badge-warning",
+        status:
+          page.missingReturnLinks > 0
+            ? `${page.missingReturnLinks} missing return link(s)`
+            : page.hasXDefault
+              ? "OK"
+              : "No x-default",
+      })),
+    };
+  }
+
   prepareChartData(auditResults, summary) {
     return {
       scoreDistribution: this.getScoreDistribution(auditResults),
@@ -533,6 +799,10 @@ class HTMLReporter {
       title_too_long: "Meta Tags",
       description_too_short: "Meta Tags",
       description_too_long: "Meta Tags",
+      title_truncated_desktop: "Meta Tags",
+      title_truncated_mobile: "Meta Tags",
+      description_truncated_desktop: "Meta Tags",
+      description_truncated_mobile: "Meta Tags",
       missing_h1: "Headings",
       multiple_h1: "Headings",
       empty_heading: "Headings",
@@ -791,6 +1061,571 @@ class HTMLReporter {
         </div>
         {{/if}}
 
+        {{#if crawl.blockedByRobots.length}}
+        <div class="section">
+            <div class="section-header">🤖 Blocked by robots.txt</div>
+            <div class="section-content">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>URL</th>
+                            <th>Found On</th>
+                            <th>Matched Rule</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each crawl.blockedByRobots}}
+                        <tr>
+                            <td class="url-cell">{{truncateUrl this.url 50}}</td>
+                            <td class="url-cell">{{truncateUrl this.parentUrl 50}}</td>
+                            <td><span class="badge badge-warning">{{this.rule}}</span></td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if crawl.hosts.length}}
+        <div class="section">
+            <div class="section-header">🌐 Results by Host</div>
+            <div class="section-content">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Host</th>
+                            <th>Scope</th>
+                            <th>URLs</th>
+                            <th>Failed</th>
+                            <th>Avg Score</th>
+                            <th>Critical Issues</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each crawl.hosts}}
+                        <tr>
+                            <td>{{this.host}}</td>
+                            <td><span class="badge badge-success">{{this.scope}}</span></td>
+                            <td>{{this.urls}}</td>
+                            <td>{{this.failed}}</td>
+                            <td>{{this.averageScore}}</td>
+                            <td>{{this.criticalIssues}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if crawl.throttling.length}}
+        <div class="section">
+            <div class="section-header">🚦 Host Throttling</div>
+            <div class="section-content">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Origin</th>
+                            <th>Requests</th>
+                            <th>Throttled (429/503)</th>
+                            <th>Retry-After Waits</th>
+                            <th>Peak Interval</th>
+                            <th>Avg Wait</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each crawl.throttling}}
+                        <tr>
+                            <td>{{this.origin}}</td>
+                            <td>{{this.requests}}</td>
+                            <td>{{#if this.throttled}}<span class="badge badge-warning">{{this.throttled}}</span>{{else}}0{{/if}}</td>
+                            <td>{{this.retryAfterWaits}}</td>
+                            <td>{{this.peakInterval}}ms</td>
+                            <td>{{this.averageWaitMs}}ms</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if crawl.duplicateVariants.length}}
+        <div class="section">
+            <div class="section-header">🔀 Duplicate URL Variants</div>
+            <div class="section-content">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Normalized URL</th>
+                            <th>Merged Raw URLs</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each crawl.duplicateVariants}}
+                        <tr>
+                            <td class="url-cell">{{truncateUrl this.url 50}}</td>
+                            <td class="url-cell">
+                                {{#each this.variants}}
+                                <div>{{truncateUrl this.url 60}} <span class="badge badge-warning">×{{this.occurrences}}</span></div>
+                                {{/each}}
+                            </td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if crawl.budgetHits.length}}
+        <div class="section">
+            <div class="section-header">⏱️ Crawl Budget</div>
+            <div class="section-content">
+                <p>The audit stopped early or skipped URLs because a budget ran out. Results cover only the URLs reached within budget.</p>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Budget</th>
+                            <th>Phase</th>
+                            <th>Skipped</th>
+                            <th>Reached After</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each crawl.budgetHits}}
+                        <tr>
+                            <td><span class="badge badge-warning">{{this.description}}</span></td>
+                            <td>{{this.phase}}</td>
+                            <td>{{this.skipped}}</td>
+                            <td>{{formatDuration this.elapsedMs}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if crawl.linkGraph}}
+        <div class="section">
+            <div class="section-header">🕸️ Internal Link Graph</div>
+            <div class="section-content">
+                <div class="metric">
+                    <span>Pages / Internal Links:</span>
+                    <span class="metric-value">{{crawl.linkGraph.nodeCount}} / {{crawl.linkGraph.edgeCount}}</span>
+                </div>
+                <div class="metric">
+                    <span>Links in nav / body / footer:</span>
+                    <span class="metric-value">{{crawl.linkGraph.positions.nav}} / {{crawl.linkGraph.positions.body}} / {{crawl.linkGraph.positions.footer}}</span>
+                </div>
+                <div class="metric">
+                    <span>Nofollow Internal Links:</span>
+                    <span class="metric-value">{{crawl.linkGraph.nofollowEdges}}</span>
+                </div>
+                <div class="metric">
+                    <span>Orphan / Near-Orphan Pages:</span>
+                    <span class="metric-value">{{crawl.linkGraph.orphans.length}} / {{crawl.linkGraph.nearOrphans.length}}</span>
+                </div>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>URL</th>
+                            <th>Click Depth</th>
+                            <th>Inbound</th>
+                            <th>Outbound</th>
+                            <th>Link Score</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each crawl.linkGraph.topPages}}
+                        <tr>
+                            <td class="url-cell">{{truncateUrl this.url 50}}</td>
+                            <td>{{this.clickDepth}}</td>
+                            <td>{{this.inboundLinks}}</td>
+                            <td>{{this.outboundLinks}}</td>
+                            <td>{{this.linkScore}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{#if crawl.linkGraph.weakPages.length}}
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>URL</th>
+                            <th>Status</th>
+                            <th>Inbound</th>
+                            <th>Click Depth</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each crawl.linkGraph.weakPages}}
+                        <tr>
+                            <td class="url-cell">{{truncateUrl this.url 50}}</td>
+                            <td><span class="badge {{this.badge}}">{{this.label}}</span></td>
+                            <td>{{this.inboundLinks}}</td>
+                            <td>{{this.clickDepth}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{/if}}
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if crawl.sitemapCoverage}}
+        <div class="section">
+            <div class="section-header">🗺️ Sitemap Coverage</div>
+            <div class="section-content">
+                <div class="metric">
+                    <span>Sitemap URLs:</span>
+                    <span class="metric-value">{{crawl.sitemapCoverage.totalSitemapUrls}}</span>
+                </div>
+                <div class="metric">
+                    <span>Crawled but missing from sitemap:</span>
+                    <span class="metric-value">{{crawl.sitemapCoverage.missingFromSitemap.length}}</span>
+                </div>
+                <div class="metric">
+                    <span>Orphaned sitemap URLs:</span>
+                    <span class="metric-value">{{crawl.sitemapCoverage.orphaned.length}}</span>
+                </div>
+                {{#if crawl.sitemapCoverage.unverifiedOrphans.length}}
+                <div class="metric">
+                    <span>Unverified orphans (crawl incomplete):</span>
+                    <span class="metric-value">{{crawl.sitemapCoverage.unverifiedOrphans.length}}</span>
+                </div>
+                {{/if}}
+                {{#if crawl.sitemapCoverage.problems.length}}
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>URL</th>
+                            <th>Problem</th>
+                            <th>Details</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each crawl.sitemapCoverage.problems}}
+                        <tr>
+                            <td class="url-cell">{{truncateUrl this.url 50}}</td>
+                            <td><span class="badge badge-warning">{{this.category}}</span></td>
+                            <td class="url-cell">{{this.details}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{/if}}
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if metrics.renderDiff}}
+        <div class="section">
+            <div class="section-header">🧪 Rendered vs Raw HTML</div>
+            <div class="section-content">
+                <div class="metric">
+                    <span>Pages Compared:</span>
+                    <span class="metric-value">{{metrics.renderDiff.total}}</span>
+                </div>
+                <div class="metric">
+                    <span>Pages with Rendering Differences:</span>
+                    <span class="metric-value">{{metrics.renderDiff.affected}}</span>
+                </div>
+                <div class="metric">
+                    <span>Pages with JS-only SEO Elements:</span>
+                    <span class="metric-value">{{metrics.renderDiff.renderedOnlyPages}}</span>
+                </div>
+                {{#if metrics.renderDiff.pages.length}}
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>URL</th>
+                            <th>Only After Rendering</th>
+                            <th>Changed by JavaScript</th>
+                            <th>Internal Links Added</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each metrics.renderDiff.pages}}
+                        <tr>
+                            <td class="url-cell">{{truncateUrl this.url 50}}</td>
+                            <td>{{#each this.renderedOnly}}<span class="badge {{this.badge}}">{{this.label}}</span> {{/each}}</td>
+                            <td>{{#each this.changed}}<span class="badge badge-warning">{{this}}</span> {{/each}}</td>
+                            <td>{{this.linkDifference}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{/if}}
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if metrics.auditors}}
+        <div class="section">
+            <div class="section-header">🧩 Auditor Runs</div>
+            <div class="section-content">
+                <div class="metric">
+                    <span>Auditor Timeouts:</span>
+                    <span class="metric-value">{{metrics.auditors.timedOut}}</span>
+                </div>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Auditor</th>
+                            <th>Ran</th>
+                            <th>Timed Out</th>
+                            <th>Failed</th>
+                            <th>Skipped</th>
+                            <th>Skip Reason</th>
+                            <th>Timed Out On</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each metrics.auditors.auditors}}
+                        <tr>
+                            <td><span class="badge {{this.badge}}">{{this.name}}</span></td>
+                            <td>{{this.ran}}</td>
+                            <td>{{this.timedOut}}</td>
+                            <td>{{this.failed}}</td>
+                            <td>{{this.skipped}}</td>
+                            <td>{{this.skipReasons}}</td>
+                            <td>{{#each this.timedOutUrls}}<div class="url-cell">{{truncateUrl this 50}}</div>{{/each}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if metrics.canonicalClusters}}
+        <div class="section">
+            <div class="section-header">🔗 Canonical Clusters</div>
+            <div class="section-content">
+                <div class="metric">
+                    <span>Self-referencing Pages:</span>
+                    <span class="metric-value">{{metrics.canonicalClusters.stats.selfReferencing}}</span>
+                </div>
+                <div class="metric">
+                    <span>Canonicalised Pages:</span>
+                    <span class="metric-value">{{metrics.canonicalClusters.stats.nonSelfReferencing}}</span>
+                </div>
+                <div class="metric">
+                    <span>Clusters:</span>
+                    <span class="metric-value">{{metrics.canonicalClusters.stats.clusters}}</span>
+                </div>
+                <div class="metric">
+                    <span>Targets Outside Crawl:</span>
+                    <span class="metric-value">{{metrics.canonicalClusters.stats.outsideCrawl}}</span>
+                </div>
+                {{#if metrics.canonicalClusters.findings.length}}
+                <h4>Findings</h4>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Finding</th>
+                            <th>Canonical</th>
+                            <th>Pages</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each metrics.canonicalClusters.findings}}
+                        <tr>
+                            <td><span class="badge {{this.badge}}">{{this.message}}</span></td>
+                            <td class="url-cell">{{truncateUrl this.canonical 50}}</td>
+                            <td>{{#each this.urls}}<div class="url-cell">{{truncateUrl this 80}}</div>{{/each}}{{#if this.more}}<div>+{{this.more}} more</div>{{/if}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{/if}}
+                {{#if metrics.canonicalClusters.clusters.length}}
+                <h4>Clusters</h4>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Canonical Target</th>
+                            <th>Pages</th>
+                            <th>Target Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each metrics.canonicalClusters.clusters}}
+                        <tr>
+                            <td class="url-cell">{{truncateUrl this.canonical 60}}</td>
+                            <td>{{this.size}}</td>
+                            <td><span class="badge {{this.badge}}">{{this.targetStatus}}</span></td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{/if}}
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if metrics.hreflang}}
+        <div class="section">
+            <div class="section-header">🌐 Hreflang</div>
+            <div class="section-content">
+                <div class="metric">
+                    <span>Pages with Hreflang:</span>
+                    <span class="metric-value">{{metrics.hreflang.stats.pagesWithHreflang}}</span>
+                </div>
+                <div class="metric">
+                    <span>Languages:</span>
+                    <span class="metric-value">{{metrics.hreflang.stats.languages}}</span>
+                </div>
+                <div class="metric">
+                    <span>Return Links Checked:</span>
+                    <span class="metric-value">{{metrics.hreflang.stats.returnLinksChecked}}</span>
+                </div>
+                <div class="metric">
+                    <span>Missing Return Links:</span>
+                    <span class="metric-value">{{metrics.hreflang.stats.missingReturnLinks}}</span>
+                </div>
+                <div class="metric">
+                    <span>Pages without x-default:</span>
+                    <span class="metric-value">{{metrics.hreflang.stats.missingXDefault}}</span>
+                </div>
+                {{#if metrics.hreflang.missingReturnLinks.length}}
+                <h4>Missing Return Links</h4>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Page</th>
+                            <th>Hreflang</th>
+                            <th>Alternate Without Return Link</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each metrics.hreflang.missingReturnLinks}}
+                        <tr>
+                            <td class="url-cell">{{truncateUrl this.url 60}}</td>
+                            <td>{{#each this.hreflang}}<span class="badge badge-danger">{{this}}</span> {{/each}}</td>
+                            <td class="url-cell">{{truncateUrl this.target 60}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{/if}}
+                {{#if metrics.hreflang.problems.length}}
+                <h4>Problems</h4>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Page</th>
+                            <th>Problem</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each metrics.hreflang.problems}}
+                        <tr>
+                            <td class="url-cell">{{truncateUrl this.url 60}}</td>
+                            <td><span class="badge {{this.badge}}">{{this.message}}</span></td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{#if metrics.hreflang.moreProblems}}<div>+{{metrics.hreflang.moreProblems}} more</div>{{/if}}
+                {{/if}}
+                <h4>Pages</h4>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Page</th>
+                            <th>Languages</th>
+                            <th>Alternates</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each metrics.hreflang.pages}}
+                        <tr>
+                            <td class="url-cell">{{truncateUrl this.url 60}}</td>
+                            <td>{{this.languages}}</td>
+                            <td>{{this.alternates}}</td>
+                            <td><span class="badge {{this.badge}}">{{this.status}}</span></td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if metrics.serpPreviews}}
+        <div class="section">
+            <div class="section-header">🔍 SERP Previews</div>
+            <div class="section-content">
+                <div class="metric">
+                    <span>Titles Truncated (Desktop / Mobile):</span>
+                    <span class="metric-value">{{metrics.serpPreviews.titlesTruncatedDesktop}} / {{metrics.serpPreviews.titlesTruncatedMobile}}</span>
+                </div>
+                <div class="metric">
+                    <span>Descriptions Truncated (Desktop / Mobile):</span>
+                    <span class="metric-value">{{metrics.serpPreviews.descriptionsTruncatedDesktop}} / {{metrics.serpPreviews.descriptionsTruncatedMobile}}</span>
+                </div>
+                {{#each metrics.serpPreviews.pages}}
+                <div style="max-width: 600px; margin: 20px 0; font-family: Arial, sans-serif;">
+                    <div style="font-size: 14px; color: #202124;">{{truncateUrl this.url 80}}</div>
+                    <div style="font-size: 20px; line-height: 1.3; color: #1a0dab;">{{this.title}}</div>
+                    <div style="font-size: 14px; line-height: 1.58; color: #4d5156;">{{this.description}}</div>
+                    <div style="margin-top: 6px;">
+                        {{#if this.titleDesktop}}<span class="badge {{this.titleDesktop.badge}}">Title desktop {{this.titleDesktop.width}}/{{this.titleDesktop.maxWidth}}px</span>{{/if}}
+                        {{#if this.titleMobile}}<span class="badge {{this.titleMobile.badge}}">Title mobile {{this.titleMobile.width}}/{{this.titleMobile.maxWidth}}px</span>{{/if}}
+                        {{#if this.descriptionDesktop}}<span class="badge {{this.descriptionDesktop.badge}}">Description desktop {{this.descriptionDesktop.width}}/{{this.descriptionDesktop.maxWidth}}px</span>{{/if}}
+                        {{#if this.descriptionMobile}}<span class="badge {{this.descriptionMobile.badge}}">Description mobile {{this.descriptionMobile.width}}/{{this.descriptionMobile.maxWidth}}px</span>{{/if}}
+                    </div>
+                </div>
+                {{/each}}
+                {{#if metrics.serpPreviews.more}}<div>+{{metrics.serpPreviews.more}} more</div>{{/if}}
+            </div>
+        </div>
+        {{/if}}
+
+        {{#if metrics.profiles}}
+        <div class="section">
+            <div class="section-header">📱 Emulation Profiles</div>
+            <div class="section-content">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Profile</th>
+                            <th>URLs</th>
+                            <th>Successful</th>
+                            <th>Failed</th>
+                            <th>Avg Score</th>
+                            <th>Critical Issues</th>
+                            <th>Warnings</th>
+                            <th>Avg Load Time</th>
+                            <th>Avg LCP</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {{#each metrics.profiles.profiles}}
+                        <tr>
+                            <td>{{this.profile}}</td>
+                            <td>{{this.urls}}</td>
+                            <td>{{this.successful}}</td>
+                            <td>{{this.failed}}</td>
+                            <td><span class="badge {{this.badge}}">{{this.averageScore}}</span></td>
+                            <td>{{this.criticalIssues}}</td>
+                            <td>{{this.warnings}}</td>
+                            <td>{{this.avgLoadTime}}ms</td>
+                            <td>{{this.avgLcp}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        {{/if}}
+
         <div class="section">
             <div class="section-header">📊 Audit Summary</div>
             <div class="section-content">
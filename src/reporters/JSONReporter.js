@@ -0,0 +1,53 @@
+import path from "path";
+import fs from "fs-extra";
+import Logger from "../utils/Logger.js";
+
+class JSONReporter {
+  constructor(config = {}) {
+    this.config = {
+      outputDir: "./reports/json",
+      filename: null,
+      ...config,
+    };
+    this.logger = new Logger("JSONReporter");
+  }
+
+  async generate(auditResults, summary) {
+    try {
+      await fs.ensureDir(this.config.outputDir);
+
+      const filename =
+        this.config.filename ||
+        `seo-audit-${summary.auditId}-${
+          new Date().toISOString().split("T")[0]
+        }.json`;
+      const filePath = path.join(this.config.outputDir, filename);
+
+      const { results, ...summaryData } = summary;
+
+      await fs.writeJson(
+        filePath,
+        {
+          generatedAt: new Date().toISOString(),
+          summary: summaryData,
+          results: auditResults,
+        },
+        { spaces: 2 }
+      );
+
+      this.logger.success(`JSON report generated: ${filePath}`);
+
+      return {
+        success: true,
+        filePath,
+        filename,
+        size: (await fs.stat(filePath)).size,
+      };
+    } catch (error) {
+      this.logger.error("Failed to generate JSON report", error);
+      throw error;
+    }
+  }
+}
+
+export default JSONReporter;
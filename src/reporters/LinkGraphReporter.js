@@ -0,0 +1,232 @@
+import path from "path";
+import fs from "fs-extra";
+import Logger from "../utils/Logger.js";
+
+class LinkGraphReporter {
+  static NODE_ATTRIBUTES = [
+    { key: "clickDepth", type: "int" },
+    { key: "inboundLinks", type: "int" },
+    { key: "outboundLinks", type: "int" },
+    { key: "externalLinks", type: "int" },
+    { key: "pageRank", type: "double" },
+    { key: "linkScore", type: "int" },
+    { key: "statusCode", type: "int" },
+    { key: "crawled", type: "boolean" },
+    { key: "orphan", type: "boolean" },
+    { key: "nearOrphan", type: "boolean" },
+  ];
+
+  static EDGE_ATTRIBUTES = [
+    { key: "anchor", type: "string" },
+    { key: "nofollow", type: "boolean" },
+    { key: "position", type: "string" },
+    { key: "method", type: "string" },
+    { key: "count", type: "int" },
+  ];
+
+  constructor(config = {}) {
+    this.config = {
+      outputDir: "./reports/graph",
+      formats: ["graphml", "gexf", "json"],
+      ...config,
+    };
+    this.logger = new Logger("LinkGraphReporter");
+  }
+
+  async generate(summary) {
+    try {
+      const graph = summary.linkGraph;
+      if (!graph) {
+        throw new Error("No link graph in crawl report");
+      }
+
+      await fs.ensureDir(this.config.outputDir);
+
+      const baseName = `link-graph-${summary.auditId}-${
+        new Date().toISOString().split("T")[0]
+      }`;
+      const files = {};
+
+      for (const format of this.config.formats) {
+        const filePath = path.join(
+          this.config.outputDir,
+          `${baseName}.${format}`
+        );
+
+        if (format === "json") {
+          await fs.writeJson(filePath, graph, { spaces: 2 });
+        } else if (format === "graphml") {
+          await fs.writeFile(filePath, this.toGraphML(graph));
+        } else if (format === "gexf") {
+          await fs.writeFile(filePath, this.toGEXF(graph));
+        } else {
+          continue;
+        }
+
+        files[format] = filePath;
+      }
+
+      this.logger.success(`Link graph exported to ${this.config.outputDir}`, {
+        nodes: graph.nodeCount,
+        edges: graph.edgeCount,
+      });
+
+      return {
+        success: true,
+        filePath: files.graphml || Object.values(files)[0],
+        files,
+      };
+    } catch (error) {
+      this.logger.error("Failed to export link graph", error);
+      throw error;
+    }
+  }
+
+  toGraphML(graph) {
+    const nodeIds = this.createNodeIds(graph);
+    const keys = [
+      `    <key id="url" for="node" attr.name="url" attr.type="string"/>`,
+      ...LinkGraphReporter.NODE_ATTRIBUTES.map(
+        ({ key, type }) =>
+          `    <key id="${key}" for="node" attr.name="${key}" attr.type="${type}"/>`
+      ),
+      ...LinkGraphReporter.EDGE_ATTRIBUTES.map(
+        ({ key, type }) =>
+          `    <key id="e_${key}" for="edge" attr.name="${key}" attr.type="${type}"/>`
+      ),
+    ];
+
+    const nodes = graph.pages.map((page) => {
+      const data = [
+        `      <data key="url">${this.escapeXml(page.url)}</data>`,
+        ...LinkGraphReporter.NODE_ATTRIBUTES.filter(
+          ({ key }) => page[key] !== null && page[key] !== undefined
+        ).map(
+          ({ key }) =>
+            `      <data key="${key}">${this.escapeXml(page[key])}</data>`
+        ),
+      ];
+
+      return `    <node id="${nodeIds.get(page.url)}">\n${data.join(
+        "\n"
+      )}\n    </node>`;
+    });
+
+    const edges = graph.edges.map((edge, index) => {
+      const data = LinkGraphReporter.EDGE_ATTRIBUTES.filter(
+        ({ key }) => edge[key] !== null && edge[key] !== undefined
+      ).map(
+        ({ key }) =>
+          `      <data key="e_${key}">${this.escapeXml(edge[key])}</data>`
+      );
+
+      return `    <edge id="e${index}" source="${nodeIds.get(
+        edge.source
+      )}" target="${nodeIds.get(edge.target)}">\n${data.join(
+        "\n"
+      )}\n    </edge>`;
+    });
+
+    return [
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<graphml xmlns="http://graphml.graphdrawing.org/xmlns">`,
+      ...keys,
+      `  <graph id="links" edgedefault="directed">`,
+      ...nodes,
+      ...edges,
+      `  </graph>`,
+      `</graphml>`,
+      "",
+    ].join("\n");
+  }
+
+  toGEXF(graph) {
+    const nodeIds = this.createNodeIds(graph);
+    const nodeAttributes = LinkGraphReporter.NODE_ATTRIBUTES.map(
+      ({ key, type }, index) =>
+        `      <attribute id="${index}" title="${key}" type="${
+          type === "int" ? "integer" : type
+        }"/>`
+    );
+    const edgeAttributes = LinkGraphReporter.EDGE_ATTRIBUTES.map(
+      ({ key, type }, index) =>
+        `      <attribute id="${index}" title="${key}" type="${
+          type === "int" ? "integer" : type
+        }"/>`
+    );
+
+    const nodes = graph.pages.map((page) => {
+      const values = LinkGraphReporter.NODE_ATTRIBUTES.map(({ key }, index) =>
+        page[key] === null || page[key] === undefined
+          ? null
+          : `          <attvalue for="${index}" value="${this.escapeXml(
+              page[key]
+            )}"/>`
+      ).filter(Boolean);
+
+      return `      <node id="${nodeIds.get(page.url)}" label="${this.escapeXml(
+        page.url
+      )}">\n        <attvalues>\n${values.join(
+        "\n"
+      )}\n        </attvalues>\n      </node>`;
+    });
+
+    const edges = graph.edges.map((edge, index) => {
+      const values = LinkGraphReporter.EDGE_ATTRIBUTES.map(({ key }, i) =>
+        edge[key] === null || edge[key] === undefined
+          ? null
+          : `          <attvalue for="${i}" value="${this.escapeXml(
+              edge[key]
+            )}"/>`
+      ).filter(Boolean);
+
+      return `      <edge id="${index}" source="${nodeIds.get(
+        edge.source
+      )}" target="${nodeIds.get(edge.target)}" weight="${
+        edge.count || 1
+      }">\n        <attvalues>\n${values.join(
+        "\n"
+      )}\n        </attvalues>\n      </edge>`;
+    });
+
+    return [
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<gexf xmlns="http://gexf.net/1.3" version="1.3">`,
+      `  <meta lastmodifieddate="${new Date().toISOString().split("T")[0]}">`,
+      `    <creator>SEO Landing Page Auditor</creator>`,
+      `  </meta>`,
+      `  <graph mode="static" defaultedgetype="directed">`,
+      `    <attributes class="node">`,
+      ...nodeAttributes,
+      `    </attributes>`,
+      `    <attributes class="edge">`,
+      ...edgeAttributes,
+      `    </attributes>`,
+      `    <nodes>`,
+      ...nodes,
+      `    </nodes>`,
+      `    <edges>`,
+      ...edges,
+      `    </edges>`,
+      `  </graph>`,
+      `</gexf>`,
+      "",
+    ].join("\n");
+  }
+
+  createNodeIds(graph) {
+    return new Map(graph.pages.map((page, index) => [page.url, `n${index}`]));
+  }
+
+  escapeXml(value) {
+    return String(value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+}
+
+export default LinkGraphReporter;
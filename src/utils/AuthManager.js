@@ -0,0 +1,330 @@
+import fs from "fs-extra";
+import path from "path";
+import BrowserPool from "./BrowserPool.js";
+import Logger from "./Logger.js";
+
+class AuthManager {
+  static TYPES = ["basic", "cookies", "headers", "login"];
+
+  constructor(config = {}) {
+    this.config = config;
+    this.logger = new Logger("AuthManager");
+    this.profileName = config.profile || null;
+    this.profile = null;
+    this.storageState = null;
+    this.allowedHosts = [];
+    this.targetOrigin = null;
+    this.ownsBrowserPool = !config.browserPool;
+    this.browserPool =
+      config.browserPool || new BrowserPool({ headless: config.headless });
+  }
+
+  async loadProfiles() {
+    const profiles = { ...(this.config.profiles || {}) };
+
+    if (
+      this.config.profilesFile &&
+      (await fs.pathExists(this.config.profilesFile))
+    ) {
+      const fileProfiles = await fs.readJson(this.config.profilesFile);
+      Object.assign(profiles, fileProfiles.profiles || fileProfiles);
+    }
+
+    return profiles;
+  }
+
+  async initialize(targetUrl = null) {
+    if (!this.profileName) return;
+
+    const profiles = await this.loadProfiles();
+    const profile = profiles[this.profileName];
+
+    if (!profile) {
+      throw new Error(
+        `Unknown auth profile "${this.profileName}". Available: ${
+          Object.keys(profiles).join(", ") || "none"
+        }`
+      );
+    }
+
+    if (!AuthManager.TYPES.includes(profile.type)) {
+      throw new Error(
+        `Auth profile "${this.profileName}" has unsupported type "${profile.type}"`
+      );
+    }
+
+    this.profile = profile;
+    this.allowedHosts = (profile.hosts || []).map((host) => host.toLowerCase());
+
+    if (targetUrl) {
+      this.targetOrigin = new URL(targetUrl).origin;
+
+      if (this.allowedHosts.length === 0) {
+        this.allowedHosts = [new URL(targetUrl).hostname.toLowerCase()];
+      }
+    }
+
+    if (profile.type === "cookies") {
+      this.storageState = {
+        cookies: (profile.cookies || []).map((cookie) =>
+          this.normalizeCookie(cookie, targetUrl)
+        ),
+        origins: [],
+      };
+    }
+
+    if (profile.type === "login") {
+      this.storageState = await this.loadLoginState(targetUrl);
+    }
+
+    this.logger.info(`Using auth profile "${this.profileName}"`, {
+      type: profile.type,
+      hosts: this.allowedHosts,
+    });
+  }
+
+  isActive() {
+    return this.profile !== null;
+  }
+
+  normalizeCookie(cookie, targetUrl) {
+    const normalized = {
+      path: "/",
+      secure: false,
+      httpOnly: false,
+      sameSite: "Lax",
+      expires: -1,
+      ...cookie,
+    };
+
+    if (!normalized.domain) {
+      if (!targetUrl) {
+        throw new Error(
+          `Cookie "${cookie.name}" in auth profile "${this.profileName}" needs a domain`
+        );
+      }
+      normalized.domain = new URL(targetUrl).hostname;
+    }
+
+    return normalized;
+  }
+
+  getStorageStatePath() {
+    return path.join(
+      this.config.storageStateDir || "./state/auth",
+      `${this.profileName}.json`
+    );
+  }
+
+  async loadLoginState(targetUrl) {
+    const statePath = this.getStorageStatePath();
+    const maxAge = this.profile.maxAge || this.config.storageStateMaxAge;
+
+    if (await fs.pathExists(statePath)) {
+      const { mtimeMs } = await fs.stat(statePath);
+
+      if (Date.now() - mtimeMs < maxAge) {
+        this.logger.info(`Reusing saved login state from ${statePath}`);
+        return await fs.readJson(statePath);
+      }
+    }
+
+    return await this.performLogin(targetUrl, statePath);
+  }
+
+  async performLogin(targetUrl, statePath) {
+    const loginUrl = this.profile.loginUrl || targetUrl;
+    if (!loginUrl) {
+      throw new Error(
+        `Auth profile "${this.profileName}" needs a loginUrl for scripted login`
+      );
+    }
+
+    this.logger.info(
+      `Running scripted login for profile "${this.profileName}"`,
+      {
+        loginUrl,
+      }
+    );
+
+    let context = null;
+
+    try {
+      context = await this.browserPool.newContext({
+        userAgent: this.config.userAgent,
+        ignoreHTTPSErrors: true,
+      });
+      const page = await context.newPage();
+
+      await page.goto(loginUrl, {
+        waitUntil: "domcontentloaded",
+        timeout: this.profile.timeout || 60000,
+      });
+
+      if (this.profile.script) {
+        const { default: login } = await import(
+          path.resolve(this.profile.script)
+        );
+        await login(page, this.profile);
+      } else {
+        await this.runLoginSteps(page, this.profile.steps || []);
+      }
+
+      if (this.profile.successSelector) {
+        await page.waitForSelector(this.profile.successSelector, {
+          timeout: this.profile.timeout || 60000,
+        });
+      }
+
+      await fs.ensureDir(path.dirname(statePath));
+      const storageState = await context.storageState({ path: statePath });
+
+      this.logger.success(`Login succeeded, state saved to ${statePath}`, {
+        cookies: storageState.cookies.length,
+      });
+
+      return storageState;
+    } catch (error) {
+      throw new Error(
+        `Scripted login for auth profile "${this.profileName}" failed: ${error.message}`
+      );
+    } finally {
+      await context?.close();
+      if (this.ownsBrowserPool) {
+        await this.browserPool.close();
+      }
+    }
+  }
+
+  async runLoginSteps(page, steps) {
+    for (const step of steps) {
+      switch (step.action) {
+        case "fill":
+          await page.fill(step.selector, step.value ?? "");
+          break;
+        case "click":
+          await page.click(step.selector);
+          break;
+        case "press":
+          await page.press(step.selector, step.value);
+          break;
+        case "goto":
+          await page.goto(step.value, { waitUntil: "domcontentloaded" });
+          break;
+        case "waitForSelector":
+          await page.waitForSelector(step.selector);
+          break;
+        case "waitForURL":
+          await page.waitForURL(step.value);
+          break;
+        case "waitForLoadState":
+          await page.waitForLoadState(step.value || "load");
+          break;
+        default:
+          throw new Error(`Unknown login step action "${step.action}"`);
+      }
+    }
+  }
+
+  isAllowedHost(url) {
+    if (this.allowedHosts.length === 0) return true;
+
+    try {
+      const host = new URL(url).hostname.toLowerCase();
+      return this.allowedHosts.some((allowed) =>
+        allowed.startsWith("*.")
+          ? host === allowed.slice(2) || host.endsWith(allowed.slice(1))
+          : host === allowed
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getContextOptions() {
+    if (!this.profile) return {};
+
+    const options = {};
+
+    if (this.profile.type === "basic") {
+      options.httpCredentials = {
+        username: this.profile.username || "",
+        password: this.profile.password || "",
+        ...(this.targetOrigin ? { origin: this.targetOrigin } : {}),
+      };
+    }
+
+    if (this.storageState) {
+      options.storageState = this.storageState;
+    }
+
+    return options;
+  }
+
+  getHeaders(url = null) {
+    if (!this.profile || this.profile.type !== "headers") return {};
+    if (url && !this.isAllowedHost(url)) return {};
+
+    return { ...(this.profile.headers || {}) };
+  }
+
+  async applyToContext(context) {
+    if (!this.profile || this.profile.type !== "headers") return;
+
+    await context.route("**/*", (route, request) =>
+      this.isAllowedHost(request.url())
+        ? route.fallback({
+            headers: { ...request.headers(), ...this.getHeaders() },
+          })
+        : route.fallback()
+    );
+  }
+
+  applyToRequest(url, requestConfig = {}) {
+    if (!this.profile || !this.isAllowedHost(url)) return requestConfig;
+
+    const headers = { ...requestConfig.headers, ...this.getHeaders(url) };
+    const cookieHeader = this.getCookieHeader(url);
+
+    if (cookieHeader) {
+      headers.Cookie = cookieHeader;
+    }
+
+    return {
+      ...requestConfig,
+      headers,
+      ...(this.profile.type === "basic"
+        ? {
+            auth: {
+              username: this.profile.username || "",
+              password: this.profile.password || "",
+            },
+          }
+        : {}),
+    };
+  }
+
+  getCookieHeader(url) {
+    if (!this.storageState?.cookies?.length) return null;
+
+    const urlObj = new URL(url);
+    const host = urlObj.hostname.toLowerCase();
+    const now = Date.now() / 1000;
+
+    const cookies = this.storageState.cookies.filter((cookie) => {
+      const domain = cookie.domain.replace(/^\./, "").toLowerCase();
+      const domainMatches = host === domain || host.endsWith(`.${domain}`);
+      const pathMatches = urlObj.pathname.startsWith(cookie.path || "/");
+      const secureMatches = !cookie.secure || urlObj.protocol === "https:";
+      const notExpired = cookie.expires === -1 || cookie.expires > now;
+
+      return domainMatches && pathMatches && secureMatches && notExpired;
+    });
+
+    return cookies.length > 0
+      ? cookies.map((cookie) => `${cookie.name}=${cookie.value}`).join("; ")
+      : null;
+  }
+}
+
+export default AuthManager;
@@ -0,0 +1,294 @@
+import { chromium } from "playwright";
+import fs from "fs-extra";
+import Logger from "./Logger.js";
+
+class BrowserPool {
+  static ARGS = [
+    "--no-sandbox",
+    "--disable-setuid-sandbox",
+    "--disable-dev-shm-usage",
+    "--disable-accelerated-2d-canvas",
+    "--disable-gpu",
+    "--window-size=1366,768",
+    "--start-maximized",
+    "--disable-web-security",
+    "--disable-blink-features=AutomationControlled",
+    "--disable-background-timer-throttling",
+    "--disable-backgrounding-occluded-windows",
+    "--disable-renderer-backgrounding",
+    "--disable-features=TranslateUI",
+    "--disable-ipc-flooding-protection",
+    "--no-first-run",
+    "--no-default-browser-check",
+    "--no-pings",
+    "--password-store=basic",
+    "--use-mock-keychain",
+    "--disable-extensions",
+    "--disable-background-networking",
+    "--disable-sync",
+    "--metrics-recording-only",
+    "--disable-default-apps",
+    "--mute-audio",
+    "--disable-gpu-sandbox",
+    "--disable-software-rasterizer",
+  ];
+
+  constructor(config = {}) {
+    this.headless = config.headless !== false;
+    this.slowMo = config.slowMo || 0;
+    this.devtools = config.devtools || false;
+    this.args = config.args || BrowserPool.ARGS;
+    this.maxPagesPerBrowser = config.maxPagesPerBrowser || 200;
+    this.current = null;
+    this.launching = null;
+    this.browsers = new Set();
+    this.nextId = 1;
+    this.stats = {
+      launches: 0,
+      recycles: 0,
+      crashes: 0,
+      contextsServed: 0,
+      pagesServed: 0,
+      peakNodeRssMB: 0,
+      peakBrowserRssMB: null,
+    };
+    this.browserRssMB = null;
+    this.logger = new Logger("BrowserPool");
+  }
+
+  async launch() {
+    const browser = await chromium.launch({
+      headless: this.headless,
+      slowMo: this.slowMo,
+      devtools: this.devtools,
+      args: this.args,
+    });
+
+    const entry = {
+      id: this.nextId++,
+      browser,
+      cdp: await browser.newBrowserCDPSession().catch(() => null),
+      pages: 0,
+      contexts: new Set(),
+      retired: false,
+      closing: false,
+      launchedAt: Date.now(),
+    };
+
+    browser.on("disconnected", () => this.handleDisconnect(entry));
+    this.browsers.add(entry);
+    this.stats.launches++;
+
+    this.logger.success(`Browser #${entry.id} launched`, {
+      headless: this.headless,
+      maxPagesPerBrowser: this.maxPagesPerBrowser,
+    });
+
+    return entry;
+  }
+
+  async acquire() {
+    if (this.current && this.current.pages >= this.maxPagesPerBrowser) {
+      this.retire(
+        this.current,
+        `served ${this.current.pages} pages (limit ${this.maxPagesPerBrowser})`
+      );
+    }
+
+    if (!this.current) {
+      if (!this.launching) {
+        this.launching = this.launch()
+          .then((entry) => {
+            this.current = entry;
+            return entry;
+          })
+          .finally(() => {
+            this.launching = null;
+          });
+      }
+      return await this.launching;
+    }
+
+    return this.current;
+  }
+
+  async getBrowser() {
+    return (await this.acquire()).browser;
+  }
+
+  async newContext(options = {}) {
+    const entry = await this.acquire();
+    const context = await entry.browser.newContext(options);
+
+    entry.contexts.add(context);
+    this.stats.contextsServed++;
+
+    context.on("page", () => {
+      entry.pages++;
+      this.stats.pagesServed++;
+    });
+    context.on("close", () => {
+      entry.contexts.delete(context);
+      if (entry.retired) {
+        this.closeIfIdle(entry);
+      }
+    });
+
+    await this.sampleMemory();
+    return context;
+  }
+
+  retire(entry, reason) {
+    if (entry.retired) return;
+
+    entry.retired = true;
+    if (this.current === entry) {
+      this.current = null;
+    }
+    this.stats.recycles++;
+
+    this.logger.info(`Recycling browser #${entry.id}: ${reason}`, {
+      openContexts: entry.contexts.size,
+      memory: this.getMemoryUsage(),
+    });
+
+    this.closeIfIdle(entry);
+  }
+
+  closeIfIdle(entry) {
+    if (entry.contexts.size > 0 || entry.closing) return;
+
+    entry.closing = true;
+    entry.browser.close().catch((error) =>
+      this.logger.error(`Error closing browser #${entry.id}`, {
+        error: error.message,
+      })
+    );
+  }
+
+  handleDisconnect(entry) {
+    this.browsers.delete(entry);
+
+    if (this.current === entry) {
+      this.current = null;
+    }
+
+    if (!entry.closing) {
+      this.stats.crashes++;
+      this.logger.error(`Browser #${entry.id} disconnected unexpectedly`, {
+        pages: entry.pages,
+        openContexts: entry.contexts.size,
+        uptime: `${Math.round((Date.now() - entry.launchedAt) / 1000)}s`,
+      });
+    }
+
+    entry.contexts.clear();
+  }
+
+  isConnected() {
+    return !!this.current?.browser.isConnected();
+  }
+
+  async sampleMemory() {
+    this.sampleNodeMemory();
+
+    const browserRssMB = await this.sampleBrowserMemory();
+    if (browserRssMB !== null) {
+      this.browserRssMB = browserRssMB;
+      this.stats.peakBrowserRssMB = Math.max(
+        this.stats.peakBrowserRssMB ?? 0,
+        browserRssMB
+      );
+    }
+  }
+
+  sampleNodeMemory() {
+    const nodeRssMB = Math.round(process.memoryUsage().rss / 1048576);
+    this.stats.peakNodeRssMB = Math.max(this.stats.peakNodeRssMB, nodeRssMB);
+    return nodeRssMB;
+  }
+
+  async sampleBrowserMemory() {
+    const sessions = Array.from(this.browsers)
+      .filter((entry) => entry.cdp && !entry.closing)
+      .map((entry) => entry.cdp);
+    if (sessions.length === 0) return null;
+
+    const pids = await Promise.all(
+      sessions.map((session) =>
+        session
+          .send("SystemInfo.getProcessInfo")
+          .then(({ processInfo }) => processInfo.map((info) => info.id))
+          .catch(() => [])
+      )
+    );
+    const sizes = (
+      await Promise.all(pids.flat().map((pid) => this.readProcessRssMB(pid)))
+    ).filter((size) => size !== null);
+
+    return sizes.length > 0
+      ? Math.round(sizes.reduce((total, size) => total + size, 0))
+      : null;
+  }
+
+  async readProcessRssMB(pid) {
+    const status = await fs
+      .readFile(`/proc/${pid}/status`, "utf8")
+      .catch(() => null);
+    const match = status?.match(/^VmRSS:\s+(\d+)\s+kB/m);
+    return match ? parseInt(match[1], 10) / 1024 : null;
+  }
+
+  getMemoryUsage() {
+    const usage = process.memoryUsage();
+
+    return {
+      nodeRssMB: this.sampleNodeMemory(),
+      nodeHeapUsedMB: Math.round(usage.heapUsed / 1048576),
+      peakNodeRssMB: this.stats.peakNodeRssMB,
+      browserRssMB: this.browserRssMB,
+      peakBrowserRssMB: this.stats.peakBrowserRssMB,
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      browsers: this.browsers.size,
+      activeContexts: Array.from(this.browsers).reduce(
+        (total, entry) => total + entry.contexts.size,
+        0
+      ),
+      currentBrowser: this.current
+        ? {
+            id: this.current.id,
+            pages: this.current.pages,
+            uptime: Date.now() - this.current.launchedAt,
+          }
+        : null,
+      maxPagesPerBrowser: this.maxPagesPerBrowser,
+      memory: this.getMemoryUsage(),
+    };
+  }
+
+  async close() {
+    this.current = null;
+
+    await Promise.allSettled(
+      Array.from(this.browsers).map(async (entry) => {
+        entry.closing = true;
+        await entry.browser.close();
+      })
+    );
+
+    this.browsers.clear();
+    this.logger.info("Browser pool closed", {
+      launches: this.stats.launches,
+      recycles: this.stats.recycles,
+      crashes: this.stats.crashes,
+      pagesServed: this.stats.pagesServed,
+    });
+  }
+}
+
+export default BrowserPool;
@@ -0,0 +1,238 @@
+import UrlResolver from "../crawlers/UrlResolver.js";
+
+class CanonicalClusterAnalyzer {
+  static PAGINATION_PARAMS = ["page", "p", "pg", "paged"];
+  static PAGINATION_PATH = /\/page\/(\d+)\/?$/i;
+
+  constructor(config = {}) {
+    this.paginationParams =
+      config.paginationParams || CanonicalClusterAnalyzer.PAGINATION_PARAMS;
+    this.urlResolver = new UrlResolver(config);
+  }
+
+  normalizeUrl(url) {
+    return this.urlResolver.normalize(url);
+  }
+
+  getPageNumber(url) {
+    try {
+      const parsed = new URL(url);
+      const param = this.paginationParams.find((name) =>
+        parsed.searchParams.has(name)
+      );
+
+      if (param) {
+        return parseInt(parsed.searchParams.get(param)) || null;
+      }
+
+      const match = parsed.pathname.match(
+        CanonicalClusterAnalyzer.PAGINATION_PATH
+      );
+      return match ? parseInt(match[1]) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getFamily(url) {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.origin}${parsed.pathname
+        .replace(CanonicalClusterAnalyzer.PAGINATION_PATH, "/")
+        .replace(/\/$/, "")}`;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  resolve(url, canonicals) {
+    const path = [url];
+    let current = url;
+
+    while (canonicals.has(current) && canonicals.get(current) !== current) {
+      current = canonicals.get(current);
+
+      if (path.includes(current)) {
+        const cycle = path.slice(path.indexOf(current)).sort();
+        return { final: cycle[0], path: [...path, current], loop: true };
+      }
+
+      path.push(current);
+    }
+
+    return { final: current, path, loop: false };
+  }
+
+  analyze(results = []) {
+    const pages = results
+      .filter((result) => result.success)
+      .map((result) => ({
+        url: this.normalizeUrl(result.url),
+        canonical: result.canonical?.canonical
+          ? this.normalizeUrl(result.canonical.canonical)
+          : null,
+      }));
+    const crawled = new Set(pages.map((page) => page.url));
+    const canonicals = new Map(
+      pages
+        .filter((page) => page.canonical)
+        .map((page) => [page.url, page.canonical])
+    );
+
+    const clusters = new Map();
+    const findings = [];
+    const addFinding = (type, severity, message, canonical, urls, extra = {}) =>
+      findings.push({ type, severity, message, canonical, urls, ...extra });
+
+    pages
+      .filter((page) => page.canonical && page.canonical !== page.url)
+      .forEach((page) => {
+        const { final, path, loop } = this.resolve(page.url, canonicals);
+
+        if (!clusters.has(final)) {
+          clusters.set(final, {
+            canonical: final,
+            members: [],
+            chained: [],
+            paginated: [],
+            loop: false,
+            targetInCrawl: crawled.has(final),
+            targetStatus: !crawled.has(final)
+              ? "outside crawl"
+              : !canonicals.has(final)
+                ? "missing canonical"
+                : "self-referencing",
+          });
+        }
+
+        const cluster = clusters.get(final);
+        cluster.members.push(page.url);
+        cluster.loop = cluster.loop || loop;
+
+        if (!loop && path.length > 2) {
+          cluster.chained.push({ url: page.url, path });
+        }
+
+        if (
+          this.getPageNumber(page.url) > 1 &&
+          this.getFamily(page.url) === this.getFamily(page.canonical) &&
+          (this.getPageNumber(page.canonical) || 1) === 1
+        ) {
+          cluster.paginated.push(page.url);
+        }
+      });
+
+    clusters.forEach((cluster) => {
+      if (cluster.loop) {
+        cluster.targetStatus = "loop";
+        addFinding(
+          "canonical_cluster_loop",
+          "error",
+          `${cluster.members.length} page(s) are caught in a canonical loop`,
+          cluster.canonical,
+          cluster.members
+        );
+      }
+
+      if (cluster.chained.length > 0) {
+        addFinding(
+          "canonical_cluster_chain",
+          "warning",
+          `${cluster.chained.length} page(s) canonicalise to a page that canonicalises elsewhere`,
+          cluster.canonical,
+          cluster.chained.map((chain) => chain.url),
+          {
+            paths: cluster.chained.map((chain) => chain.path.join(" → ")),
+          }
+        );
+      }
+
+      if (!cluster.targetInCrawl) {
+        addFinding(
+          "canonical_outside_crawl",
+          "warning",
+          `${cluster.members.length} page(s) canonicalise to a URL outside the crawl`,
+          cluster.canonical,
+          cluster.members
+        );
+      } else if (cluster.targetStatus === "missing canonical") {
+        addFinding(
+          "canonical_target_not_self_referencing",
+          "warning",
+          `Canonical target of ${cluster.members.length} page(s) has no self-referencing canonical`,
+          cluster.canonical,
+          cluster.members
+        );
+      }
+
+      if (cluster.paginated.length > 0) {
+        addFinding(
+          "canonical_pagination_to_first",
+          "warning",
+          `${cluster.paginated.length} paginated page(s) canonicalise to the first page`,
+          cluster.canonical,
+          cluster.paginated
+        );
+      }
+    });
+
+    const families = new Map();
+    pages
+      .filter((page) => page.canonical)
+      .forEach((page) => {
+        const family = this.getFamily(page.url);
+        if (!families.has(family)) {
+          families.set(family, { self: [], other: [] });
+        }
+        families
+          .get(family)
+          [page.canonical === page.url ? "self" : "other"].push(page);
+      });
+
+    families.forEach((family, name) => {
+      const selfVariants = family.self.filter(
+        (page) => page.url !== `${name}/` && page.url !== name
+      );
+
+      if (selfVariants.length > 0 && family.other.length > 0) {
+        addFinding(
+          "canonical_inconsistent_variants",
+          "warning",
+          `${selfVariants.length} URL variant(s) self-reference while ${family.other.length} similar variant(s) canonicalise elsewhere`,
+          name,
+          [...selfVariants, ...family.other].map((page) => page.url)
+        );
+      }
+    });
+
+    const withCanonical = pages.filter((page) => page.canonical);
+    const selfReferencing = withCanonical.filter(
+      (page) => page.canonical === page.url
+    ).length;
+
+    return {
+      clusters: Array.from(clusters.values())
+        .map((cluster) => ({ ...cluster, size: cluster.members.length }))
+        .sort((a, b) => b.size - a.size),
+      findings,
+      stats: {
+        pages: pages.length,
+        withCanonical: withCanonical.length,
+        selfReferencing,
+        nonSelfReferencing: withCanonical.length - selfReferencing,
+        clusters: clusters.size,
+        outsideCrawl: Array.from(clusters.values()).filter(
+          (cluster) => !cluster.targetInCrawl
+        ).length,
+        chains: findings.filter(
+          (finding) => finding.type === "canonical_cluster_chain"
+        ).length,
+        loops: findings.filter(
+          (finding) => finding.type === "canonical_cluster_loop"
+        ).length,
+      },
+    };
+  }
+}
+
+export default CanonicalClusterAnalyzer;
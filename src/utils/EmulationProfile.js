@@ -0,0 +1,210 @@
+import { devices } from "playwright";
+
+class EmulationProfile {
+  static GOOGLEBOT_SMARTPHONE_UA =
+    "Mozilla/5.0 (Linux; Android 6.0.1; Nexus 5X Build/MMB29P) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)";
+  static GOOGLEBOT_DESKTOP_UA =
+    "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Googlebot/2.1; +http://www.google.com/bot.html) Chrome/120.0.0.0 Safari/537.36";
+
+  static NETWORKS = {
+    "slow-4g": {
+      latency: 150,
+      downloadThroughput: (1.6 * 1024 * 1024) / 8,
+      uploadThroughput: (750 * 1024) / 8,
+    },
+    "fast-3g": {
+      latency: 562.5,
+      downloadThroughput: (1.6 * 1024 * 1024 * 0.9) / 8,
+      uploadThroughput: (750 * 1024 * 0.9) / 8,
+    },
+  };
+
+  static NAVIGATOR_PLATFORMS = {
+    Windows: "Win32",
+    Linux: "Linux x86_64",
+    Android: "Linux armv81",
+    iOS: "iPhone",
+  };
+
+  static PROFILES = {
+    desktop: {
+      viewport: { width: 1366, height: 768 },
+      platform: "Windows",
+    },
+    pixel: { device: "Pixel 7", platform: "Android" },
+    iphone: { device: "iPhone 14", platform: "iOS" },
+    "googlebot-smartphone": {
+      device: "Pixel 5",
+      userAgent: EmulationProfile.GOOGLEBOT_SMARTPHONE_UA,
+      platform: "Android",
+    },
+    "googlebot-desktop": {
+      viewport: { width: 1366, height: 768 },
+      userAgent: EmulationProfile.GOOGLEBOT_DESKTOP_UA,
+      platform: "Linux",
+    },
+    "slow-4g": { network: "slow-4g", cpuThrottling: 4 },
+    "fast-3g": { network: "fast-3g", cpuThrottling: 4 },
+    "cpu-4x": { cpuThrottling: 4 },
+    "cpu-6x": { cpuThrottling: 6 },
+  };
+
+  static resolve(name, customProfiles = {}) {
+    const profiles = { ...EmulationProfile.PROFILES, ...customProfiles };
+    const parts = String(name)
+      .split("+")
+      .map((part) => part.trim())
+      .filter(Boolean);
+
+    if (parts.length === 0) {
+      throw new Error("Emulation profile name is empty");
+    }
+
+    const definition = parts.reduce((merged, part) => {
+      if (!profiles[part]) {
+        throw new Error(
+          `Unknown emulation profile "${part}". Available: ${Object.keys(
+            profiles
+          ).join(", ")}`
+        );
+      }
+      return { ...merged, ...profiles[part] };
+    }, {});
+
+    return new EmulationProfile(parts.join("+"), definition);
+  }
+
+  static resolveAll(names = [], customProfiles = {}) {
+    const list = names.length > 0 ? names : ["desktop"];
+    const seen = new Set();
+
+    return list
+      .map((name) => EmulationProfile.resolve(name, customProfiles))
+      .filter((profile) => {
+        if (seen.has(profile.name)) return false;
+        seen.add(profile.name);
+        return true;
+      });
+  }
+
+  constructor(name, definition = {}) {
+    this.name = name;
+    this.definition = definition;
+
+    if (definition.device && !devices[definition.device]) {
+      throw new Error(
+        `Unknown device "${definition.device}" in emulation profile "${name}"`
+      );
+    }
+
+    const network = definition.network;
+    if (typeof network === "string" && !EmulationProfile.NETWORKS[network]) {
+      throw new Error(
+        `Unknown network "${network}" in emulation profile "${name}"`
+      );
+    }
+
+    this.device = definition.device
+      ? { ...devices[definition.device], defaultBrowserType: undefined }
+      : null;
+    this.network =
+      typeof network === "string"
+        ? EmulationProfile.NETWORKS[network]
+        : network || null;
+    this.cpuThrottling = definition.cpuThrottling || null;
+  }
+
+  isMobile() {
+    return !!this.device?.isMobile;
+  }
+
+  getUserAgent(defaultUserAgent) {
+    return (
+      this.definition.userAgent || this.device?.userAgent || defaultUserAgent
+    );
+  }
+
+  getContextOptions(defaultUserAgent) {
+    const { defaultBrowserType, ...device } = this.device || {};
+
+    return {
+      ...(this.definition.viewport
+        ? { viewport: this.definition.viewport }
+        : {}),
+      ...device,
+      userAgent: this.getUserAgent(defaultUserAgent),
+    };
+  }
+
+  getHeaders() {
+    return {
+      "Sec-Ch-Ua-Mobile": this.isMobile() ? "?1" : "?0",
+      "Sec-Ch-Ua-Platform": `"${this.definition.platform || "Windows"}"`,
+    };
+  }
+
+  getNavigatorPlatform() {
+    return (
+      EmulationProfile.NAVIGATOR_PLATFORMS[this.definition.platform] || "Win32"
+    );
+  }
+
+  getScreen() {
+    const { viewport, screen } = this.getContextOptions(null);
+    const size = screen || viewport || { width: 1366, height: 768 };
+
+    return {
+      width: size.width,
+      height: size.height,
+      availHeight: this.isMobile() ? size.height : size.height - 40,
+    };
+  }
+
+  needsCdp() {
+    return !!(this.network || this.cpuThrottling);
+  }
+
+  async apply(context, page) {
+    if (!this.needsCdp()) return;
+
+    const session = await context.newCDPSession(page);
+
+    if (this.network) {
+      await session.send("Network.enable");
+      await session.send("Network.emulateNetworkConditions", {
+        offline: false,
+        latency: this.network.latency,
+        downloadThroughput: this.network.downloadThroughput,
+        uploadThroughput: this.network.uploadThroughput,
+      });
+    }
+
+    if (this.cpuThrottling) {
+      await session.send("Emulation.setCPUThrottlingRate", {
+        rate: this.cpuThrottling,
+      });
+    }
+  }
+
+  describe() {
+    const options = this.getContextOptions(null);
+
+    return {
+      name: this.name,
+      device: this.definition.device || null,
+      viewport: options.viewport
+        ? `${options.viewport.width}x${options.viewport.height}`
+        : null,
+      userAgent: options.userAgent,
+      mobile: this.isMobile(),
+      network: this.network
+        ? `${Math.round((this.network.downloadThroughput * 8) / 1024)} Kbps, ${
+            this.network.latency
+          }ms RTT`
+        : null,
+      cpuThrottling: this.cpuThrottling ? `${this.cpuThrottling}x` : null,
+    };
+  }
+}
+
+export default EmulationProfile;
@@ -0,0 +1,198 @@
+import RateLimiter from "./RateLimiter.js";
+import Logger from "./Logger.js";
+
+class HostRateLimiter {
+  static THROTTLE_STATUSES = [429, 503];
+
+  constructor(options = {}) {
+    this.requests = options.requests || 5;
+    this.window = options.window || 1000;
+    this.minInterval = options.minInterval || 0;
+    this.initialBackoff = options.initialBackoff || 2000;
+    this.maxInterval = options.maxInterval || 60000;
+    this.maxRetryAfter = options.maxRetryAfter || 300000;
+    this.backoffFactor = options.backoffFactor || 2;
+    this.recoveryFactor = options.recoveryFactor || 0.8;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.hosts = new Map();
+    this.logger = new Logger("HostRateLimiter");
+  }
+
+  getOrigin(url) {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return "unknown";
+    }
+  }
+
+  getHost(url) {
+    const origin = this.getOrigin(url);
+
+    if (!this.hosts.has(origin)) {
+      this.hosts.set(origin, {
+        origin,
+        limiter: new RateLimiter({
+          requests: this.requests,
+          window: this.window,
+          minInterval: this.minInterval,
+        }),
+        baseInterval: this.minInterval,
+        blockedUntil: 0,
+        stats: {
+          requests: 0,
+          throttled: 0,
+          retryAfterWaits: 0,
+          slowdowns: 0,
+          recoveries: 0,
+          totalWaitMs: 0,
+          peakInterval: this.minInterval,
+        },
+      });
+    }
+
+    return this.hosts.get(origin);
+  }
+
+  setMinInterval(url, ms) {
+    const host = this.getHost(url);
+    host.baseInterval = Math.max(host.baseInterval, ms || 0);
+
+    if (host.limiter.minInterval < host.baseInterval) {
+      host.limiter.setMinInterval(host.baseInterval);
+    }
+  }
+
+  getMinInterval(url) {
+    return this.getHost(url).limiter.minInterval;
+  }
+
+  async acquire(url) {
+    const host = this.getHost(url);
+    const startTime = Date.now();
+
+    const blockedFor = host.blockedUntil - Date.now();
+    if (blockedFor > 0) {
+      await this.sleep(blockedFor);
+    }
+
+    await host.limiter.acquire();
+
+    host.stats.requests++;
+    host.stats.totalWaitMs += Date.now() - startTime;
+  }
+
+  report(url, statusCode, headers = {}) {
+    const host = this.getHost(url);
+
+    if (HostRateLimiter.THROTTLE_STATUSES.includes(statusCode)) {
+      this.slowDown(host, statusCode, this.readHeader(headers, "retry-after"));
+    } else if (statusCode && statusCode < 400) {
+      this.recover(host);
+    }
+  }
+
+  slowDown(host, statusCode, retryAfterHeader) {
+    const previous = host.limiter.minInterval;
+    const interval = Math.min(
+      this.maxInterval,
+      Math.max(this.initialBackoff, previous * this.backoffFactor)
+    );
+
+    host.limiter.setMinInterval(interval);
+    host.stats.throttled++;
+    host.stats.slowdowns++;
+    host.stats.peakInterval = Math.max(host.stats.peakInterval, interval);
+
+    const retryAfter = this.parseRetryAfter(retryAfterHeader);
+    if (retryAfter > 0) {
+      host.blockedUntil = Math.max(host.blockedUntil, Date.now() + retryAfter);
+      host.stats.retryAfterWaits++;
+    }
+
+    this.logger.warning(
+      `HTTP ${statusCode} from ${host.origin}, slowing down to one request every ${interval}ms`,
+      { retryAfter: retryAfter || null }
+    );
+  }
+
+  recover(host) {
+    const current = host.limiter.minInterval;
+    if (current <= host.baseInterval) return;
+
+    const interval = Math.max(
+      host.baseInterval,
+      Math.floor(current * this.recoveryFactor)
+    );
+    host.limiter.setMinInterval(interval < 100 ? host.baseInterval : interval);
+    host.stats.recoveries++;
+  }
+
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === "") return 0;
+
+    const seconds = Number(value);
+    const delay = !isNaN(seconds)
+      ? seconds * 1000
+      : new Date(value).getTime() - Date.now();
+
+    return isNaN(delay) ? 0 : Math.min(Math.max(0, delay), this.maxRetryAfter);
+  }
+
+  readHeader(headers, name) {
+    if (!headers) return null;
+    if (typeof headers.get === "function") return headers.get(name);
+    return headers[name] ?? headers[name.toLowerCase()] ?? null;
+  }
+
+  isThrottled(statusCode) {
+    return HostRateLimiter.THROTTLE_STATUSES.includes(statusCode);
+  }
+
+  async schedule(url, request, options = {}) {
+    const retries = options.retries ?? this.maxRetries;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(url);
+
+      try {
+        const response = await request();
+        this.report(url, response.status, response.headers);
+
+        if (this.isThrottled(response.status) && attempt < retries) continue;
+        return response;
+      } catch (error) {
+        if (!error.response) throw error;
+
+        this.report(url, error.response.status, error.response.headers);
+        if (!this.isThrottled(error.response.status) || attempt >= retries) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  getStats() {
+    return Array.from(this.hosts.values()).map(
+      ({ origin, limiter, stats }) => ({
+        origin,
+        ...stats,
+        currentInterval: limiter.minInterval,
+        averageWaitMs:
+          stats.requests > 0
+            ? Math.round(stats.totalWaitMs / stats.requests)
+            : 0,
+      })
+    );
+  }
+
+  clear() {
+    this.hosts.clear();
+  }
+
+  async sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+export default HostRateLimiter;
@@ -0,0 +1,128 @@
+import UrlResolver from "../crawlers/UrlResolver.js";
+
+class HreflangAnalyzer {
+  constructor(config = {}) {
+    this.urlResolver = new UrlResolver(config);
+  }
+
+  normalizeUrl(url) {
+    return this.urlResolver.normalize(url);
+  }
+
+  getTargetAlternates(targetUrl, crawled, fetched) {
+    if (crawled.has(targetUrl)) {
+      return { alternates: crawled.get(targetUrl), source: "crawl" };
+    }
+
+    const target = fetched.get(targetUrl);
+    if (target && !target.error && target.statusCode === 200) {
+      return { alternates: target.alternates || [], source: "fetch" };
+    }
+
+    return null;
+  }
+
+  analyze(results = []) {
+    const pages = results
+      .filter((result) => result.success && result.hreflang?.alternates?.length)
+      .map((result) => ({
+        url: this.normalizeUrl(result.url),
+        alternates: result.hreflang.alternates,
+        targets: result.hreflang.targets || [],
+        hasXDefault: result.hreflang.hasXDefault,
+      }));
+    const crawled = new Map(
+      pages.map((page) => [
+        page.url,
+        page.alternates.map((alternate) => this.normalizeUrl(alternate.url)),
+      ])
+    );
+    const fetched = new Map(
+      pages.flatMap((page) =>
+        page.targets.map((target) => [
+          this.normalizeUrl(target.url),
+          {
+            ...target,
+            alternates: (target.alternates || []).map((alternate) =>
+              this.normalizeUrl(alternate.url)
+            ),
+          },
+        ])
+      )
+    );
+
+    const findings = [];
+    let checked = 0;
+    let unverified = 0;
+
+    const summaries = pages.map((page) => {
+      const links = new Map();
+      page.alternates
+        .filter((alternate) => alternate.hreflang.toLowerCase() !== "x-default")
+        .filter((alternate) => this.normalizeUrl(alternate.url) !== page.url)
+        .forEach((alternate) => {
+          const target = this.normalizeUrl(alternate.url);
+          if (!links.has(target)) links.set(target, new Set());
+          links.get(target).add(alternate.hreflang);
+        });
+
+      let missing = 0;
+      const unverifiedTargets = [];
+      links.forEach((codes, target) => {
+        const known = this.getTargetAlternates(target, crawled, fetched);
+
+        if (!known) {
+          unverified++;
+          unverifiedTargets.push(target);
+          return;
+        }
+
+        checked++;
+        if (!known.alternates.includes(page.url)) {
+          missing++;
+          findings.push({
+            type: "missing_return_link",
+            severity: "error",
+            message: `${target} (${Array.from(codes).join(
+              ", "
+            )}) does not link back to ${page.url}`,
+            url: page.url,
+            target,
+            hreflang: Array.from(codes),
+            verifiedBy: known.source,
+          });
+        }
+      });
+
+      return {
+        url: page.url,
+        languages: [
+          ...new Set(page.alternates.map((alternate) => alternate.hreflang)),
+        ],
+        alternates: links.size,
+        hasXDefault: page.hasXDefault,
+        missingReturnLinks: missing,
+        unverifiedTargets,
+      };
+    });
+
+    return {
+      pages: summaries,
+      findings,
+      stats: {
+        pagesWithHreflang: pages.length,
+        languages: new Set(
+          summaries.flatMap((page) =>
+            page.languages.map((code) => code.toLowerCase())
+          )
+        ).size,
+        returnLinksChecked: checked,
+        returnLinksUnverified: unverified,
+        missingReturnLinks: findings.length,
+        missingXDefault: summaries.filter((page) => !page.hasXDefault).length,
+      },
+    };
+  }
+}
+
+export default HreflangAnalyzer;
@@ -2,11 +2,25 @@ class RateLimiter {
   constructor(options = {}) {
     this.requests = options.requests || 10;
     this.window = options.window || 1000;
+    this.minInterval = options.minInterval || 0;
+    this.lastAcquired = 0;
     this.queue = [];
   }
 
+  setMinInterval(ms) {
+    this.minInterval = Math.max(0, ms || 0);
+  }
+
   async acquire() {
-    return new Promise((resolve) => {
+    const now = Date.now();
+    const scheduled = Math.max(now, this.lastAcquired + this.minInterval);
+    this.lastAcquired = scheduled;
+
+    if (scheduled > now) {
+      await new Promise((resolve) => setTimeout(resolve, scheduled - now));
+    }
+
+    await new Promise((resolve) => {
       const now = Date.now();
       this.queue = this.queue.filter((time) => now - time < this.window);
 
@@ -21,6 +35,8 @@ class RateLimiter {
         }, delay);
       }
     });
+
+    this.lastAcquired = Math.max(this.lastAcquired, Date.now());
   }
 }
 
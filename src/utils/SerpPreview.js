@@ -0,0 +1,183 @@
+class SerpPreview {
+  static DEVICES = {
+    desktop: {
+      titleFont: "20px Arial",
+      titleMaxWidth: 600,
+      descriptionFont: "14px Arial",
+      descriptionMaxWidth: 960,
+    },
+    mobile: {
+      titleFont: "20px Roboto, Arial",
+      titleMaxWidth: 920,
+      descriptionFont: "14px Roboto, Arial",
+      descriptionMaxWidth: 680,
+    },
+  };
+
+  static ELLIPSIS = " ...";
+  static FONT_PROBE = "mmmmmmmmmmlliWW";
+  static WIDE_CHARACTERS =
+    /[\u1100-\u11ff\u2e80-\ua4cf\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/;
+
+  static ARIAL_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+    584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+    500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+    500, 334, 260, 334, 584,
+  ];
+
+  constructor(config = {}) {
+    this.devices = Object.fromEntries(
+      Object.entries(SerpPreview.DEVICES).map(([device, defaults]) => [
+        device,
+        { ...defaults, ...config[device] },
+      ])
+    );
+  }
+
+  getCharWidth(char, fontSize) {
+    const code = char.codePointAt(0);
+
+    if (code >= 32 && code <= 126) {
+      return (SerpPreview.ARIAL_WIDTHS[code - 32] * fontSize) / 1000;
+    }
+
+    if (/\s/.test(char)) return (278 * fontSize) / 1000;
+    if (SerpPreview.WIDE_CHARACTERS.test(char)) {
+      return fontSize;
+    }
+
+    return (556 * fontSize) / 1000;
+  }
+
+  estimate(text, font) {
+    const fontSize = parseFloat(font) || 16;
+    const prefixes = [0];
+
+    Array.from(text).forEach((char) => {
+      const width =
+        prefixes[prefixes.length - 1] + this.getCharWidth(char, fontSize);
+      for (let i = 0; i < char.length; i++) prefixes.push(width);
+    });
+
+    return {
+      prefixes,
+      ellipsis: Array.from(SerpPreview.ELLIPSIS).reduce(
+        (total, char) => total + this.getCharWidth(char, fontSize),
+        0
+      ),
+    };
+  }
+
+  async measureInPage(page, items) {
+    return await page.evaluate(
+      ({ items, ellipsis, probe }) => {
+        const canvas = document.createElement("canvas");
+        const context = canvas.getContext && canvas.getContext("2d");
+        if (!context) return null;
+
+        const isAvailable = (font) => {
+          if (document.fonts && !document.fonts.check(font)) return false;
+
+          const [size, ...families] = font.split(" ");
+          const family = families.join(" ").split(",")[0].trim();
+          context.font = `${size} monospace`;
+          const fallback = context.measureText(probe).width;
+          context.font = `${size} ${family}, monospace`;
+          return context.measureText(probe).width !== fallback;
+        };
+
+        return items.map(({ text, font }) => {
+          if (!isAvailable(font)) return null;
+
+          context.font = font;
+          const prefixes = [0];
+          for (let i = 1; i <= text.length; i++) {
+            prefixes.push(context.measureText(text.slice(0, i)).width);
+          }
+          return {
+            prefixes,
+            ellipsis: context.measureText(ellipsis).width,
+          };
+        });
+      },
+      {
+        items,
+        ellipsis: SerpPreview.ELLIPSIS,
+        probe: SerpPreview.FONT_PROBE,
+      }
+    );
+  }
+
+  truncate(text, measurement, maxWidth) {
+    const { prefixes, ellipsis } = measurement;
+    const width = prefixes[prefixes.length - 1];
+
+    if (width <= maxWidth) {
+      return { text, width: Math.round(width), maxWidth, truncated: false };
+    }
+
+    let end = 0;
+    while (end < text.length && prefixes[end + 1] + ellipsis <= maxWidth) {
+      end++;
+    }
+
+    const boundary = text.slice(0, end + 1).search(/\s\S*$/);
+    const visible = text.slice(0, boundary > 0 ? boundary : end).trimEnd();
+
+    return {
+      text: `${visible}${SerpPreview.ELLIPSIS}`,
+      width: Math.round(width),
+      maxWidth,
+      truncated: true,
+      hiddenCharacters: text.length - visible.length,
+    };
+  }
+
+  async build(page, title, description) {
+    const fields = {
+      title: title?.trim() || "",
+      description: description?.trim() || "",
+    };
+    const items = Object.entries(this.devices).flatMap(([device, settings]) =>
+      Object.entries(fields)
+        .filter(([, text]) => text)
+        .map(([field, text]) => ({
+          device,
+          field,
+          text,
+          font: settings[`${field}Font`],
+          maxWidth: settings[`${field}MaxWidth`],
+        }))
+    );
+
+    if (items.length === 0) return null;
+
+    const measured = await this.measureInPage(
+      page,
+      items.map(({ text, font }) => ({ text, font }))
+    ).catch(() => null);
+    const preview = {};
+
+    items.forEach((item, index) => {
+      const measurement = measured?.[index];
+
+      preview[item.device] = preview[item.device] || {};
+      preview[item.device][item.field] = {
+        ...this.truncate(
+          item.text,
+          measurement || this.estimate(item.text, item.font),
+          item.maxWidth
+        ),
+        method: measurement ? "canvas" : "estimate",
+      };
+    });
+
+    return preview;
+  }
+}
+
+export default SerpPreview;
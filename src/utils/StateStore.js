@@ -0,0 +1,66 @@
+import fs from "fs-extra";
+import path from "path";
+import Logger from "./Logger.js";
+
+class StateStore {
+  constructor(options = {}) {
+    this.dir = options.dir || "./state";
+    this.logger = new Logger("StateStore");
+    this.writes = new Map();
+  }
+
+  getPath(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  async exists(name) {
+    return await fs.pathExists(this.getPath(name));
+  }
+
+  async read(name) {
+    const filePath = this.getPath(name);
+
+    if (!(await fs.pathExists(filePath))) {
+      return null;
+    }
+
+    try {
+      return await fs.readJson(filePath);
+    } catch (error) {
+      this.logger.error(`Failed to read state file ${filePath}`, error);
+      return null;
+    }
+  }
+
+  async write(name, data) {
+    const previous = this.writes.get(name) || Promise.resolve();
+
+    const current = previous.then(async () => {
+      const filePath = this.getPath(name);
+      const tempPath = `${filePath}.tmp`;
+
+      try {
+        await fs.ensureDir(this.dir);
+        await fs.writeJson(tempPath, data);
+        await fs.move(tempPath, filePath, { overwrite: true });
+      } catch (error) {
+        this.logger.error(`Failed to write state file ${filePath}`, error);
+      }
+    });
+
+    this.writes.set(name, current);
+    return await current;
+  }
+
+  async flush() {
+    await Promise.all(this.writes.values());
+  }
+
+  async clear() {
+    await this.flush();
+    await fs.remove(this.dir);
+    this.writes.clear();
+  }
+}
+
+export default StateStore;
@@ -0,0 +1,101 @@
+import axios from "axios";
+import { JSDOM, VirtualConsole } from "jsdom";
+
+class StaticPage {
+  constructor(config = {}) {
+    this.config = {
+      timeout: 30000,
+      maxRedirects: 5,
+      userAgent: "SEO-Landing-Page-Auditor/2.0",
+      headers: {},
+      ...config,
+    };
+    this.dom = null;
+    this.html = "";
+    this.currentUrl = "about:blank";
+  }
+
+  async goto(url, options = {}) {
+    const requestConfig = {
+      timeout: options.timeout || this.config.timeout,
+      maxRedirects: this.config.maxRedirects,
+      responseType: "text",
+      transformResponse: [(data) => data],
+      validateStatus: () => true,
+      headers: {
+        "User-Agent": this.config.userAgent,
+        Accept:
+          "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+        "Accept-Language": "en-US,en;q=0.9",
+        ...this.config.headers,
+      },
+    };
+
+    const response = await axios.get(
+      url,
+      this.config.authManager?.applyToRequest(url, requestConfig) ??
+        requestConfig
+    );
+    const finalUrl = response.request?.res?.responseUrl || url;
+    const html = typeof response.data === "string" ? response.data : "";
+
+    await this.setContent(html, { url: finalUrl });
+
+    return {
+      status: () => response.status,
+      statusText: () => response.statusText,
+      headers: () => ({ ...response.headers }),
+      url: () => finalUrl,
+      text: async () => html,
+    };
+  }
+
+  async setContent(html, options = {}) {
+    await this.close();
+    this.html = html;
+    this.currentUrl = options.url || "about:blank";
+    this.dom = new JSDOM(html, {
+      url: this.currentUrl,
+      runScripts: "outside-only",
+      pretendToBeVisual: true,
+      virtualConsole: new VirtualConsole(),
+    });
+  }
+
+  async evaluate(pageFunction, arg) {
+    if (!this.dom) {
+      throw new Error("No document loaded in static page");
+    }
+
+    const source =
+      typeof pageFunction === "function"
+        ? `(${pageFunction.toString()})(${
+            arg === undefined ? "" : JSON.stringify(arg)
+          })`
+        : String(pageFunction);
+
+    const result = await this.dom.window.eval(source);
+    return result === undefined
+      ? undefined
+      : JSON.parse(JSON.stringify(result));
+  }
+
+  async waitForLoadState() {}
+
+  async content() {
+    return this.dom ? this.dom.serialize() : this.html;
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  async close() {
+    if (this.dom) {
+      this.dom.window.close();
+      this.dom = null;
+    }
+  }
+}
+
+export default StaticPage;
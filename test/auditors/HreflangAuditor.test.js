@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import HreflangAuditor from "../../src/auditors/HreflangAuditor.js";
+
+const types = (entries) => entries.map((entry) => entry.type);
+
+const auditSet = (alternates, url) => {
+  const issues = [];
+  const warnings = [];
+  new HreflangAuditor().auditSet(alternates, url, issues, warnings);
+  return { issues, warnings };
+};
+
+describe("HreflangAuditor", () => {
+  it("matches the self reference with the crawler's URL rules", () => {
+    const { warnings } = auditSet(
+      [
+        { hreflang: "en", url: "https://x.com/en/?utm_source=feed" },
+        { hreflang: "de", url: "https://x.com/de/" },
+        { hreflang: "x-default", url: "https://x.com/" },
+      ],
+      "https://X.com/en"
+    );
+
+    assert.deepEqual(types(warnings), []);
+  });
+
+  it("does not report URL variants of one target as duplicates", () => {
+    const { issues } = auditSet(
+      [
+        { hreflang: "en", url: "https://x.com/en" },
+        { hreflang: "en", url: "https://x.com/en/" },
+        { hreflang: "x-default", url: "https://x.com/en" },
+      ],
+      "https://x.com/en"
+    );
+
+    assert.deepEqual(types(issues), []);
+  });
+
+  it("still reports a missing self reference and real duplicates", () => {
+    const { issues, warnings } = auditSet(
+      [
+        { hreflang: "en", url: "https://x.com/en" },
+        { hreflang: "en", url: "https://x.com/uk" },
+      ],
+      "https://x.com/de"
+    );
+
+    assert.deepEqual(types(issues), ["duplicate_hreflang"]);
+    assert.deepEqual(types(warnings), [
+      "missing_x_default",
+      "missing_self_hreflang",
+    ]);
+  });
+
+  it("honours configured normalization rules", () => {
+    const auditor = new HreflangAuditor({
+      normalization: { trailingSlash: true },
+    });
+
+    assert.equal(
+      auditor.isSameUrl("https://x.com/en", "https://x.com/en/"),
+      false
+    );
+    assert.equal(
+      auditor.isSameUrl("https://x.com/en/", "https://x.com/en/#top"),
+      true
+    );
+  });
+});
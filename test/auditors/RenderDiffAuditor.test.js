@@ -0,0 +1,56 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import RenderDiffAuditor from "../../src/auditors/RenderDiffAuditor.js";
+import StaticPage from "../../src/utils/StaticPage.js";
+
+const RAW = `<html><head><title>Shop</title></head>
+<body><a href="/a">A</a><a href="/b">B</a></body></html>`;
+
+const RENDERED = `<html><head><title>Shop</title></head>
+<body><h1>Products</h1><a href="/a">A</a><a href="/b">B</a></body></html>`;
+
+const renderedPage = async (html) => {
+  const page = new StaticPage();
+  await page.setContent(html, { url: "https://x.com/shop" });
+  return page;
+};
+
+describe("RenderDiffAuditor", () => {
+  it("diffs against the raw HTML from the audit context without refetching", async () => {
+    const auditor = new RenderDiffAuditor();
+    auditor.fetchRawElements = async () => {
+      throw new Error("raw HTML should come from the audit context");
+    };
+    const page = await renderedPage(RENDERED);
+
+    const result = await auditor.audit(page, "https://x.com/shop", {
+      html: RAW,
+    });
+    await page.close();
+
+    assert.deepEqual(result.renderedOnly, ["H1"]);
+    assert.deepEqual(
+      result.issues.map((issue) => issue.type),
+      ["render_only_element"]
+    );
+    assert.equal(result.links.difference, 0);
+  });
+
+  it("fetches the raw HTML when the context has none", async () => {
+    const auditor = new RenderDiffAuditor();
+    const fetched = [];
+    auditor.fetchRawElements = async (url) => {
+      fetched.push(url);
+      return await auditor.parseRawElements(RENDERED, url);
+    };
+    const page = await renderedPage(RENDERED);
+
+    const result = await auditor.audit(page, "https://x.com/shop", {
+      html: null,
+    });
+    await page.close();
+
+    assert.deepEqual(fetched, ["https://x.com/shop"]);
+    assert.deepEqual(result.differences, []);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import CrawlBudget from "../../src/crawlers/CrawlBudget.js";
+
+describe("CrawlBudget", () => {
+  it("caps URLs under a path prefix and counts skipped URLs", () => {
+    const budget = new CrawlBudget({ pathCaps: ["/blog/=2"] });
+    const admitted = [1, 2, 3, 4].map(
+      (id) => budget.admit(`https://example.com/blog/${id}`).allowed
+    );
+
+    assert.deepEqual(admitted, [true, true, false, false]);
+    assert.equal(budget.admit("https://example.com/shop/1").allowed, true);
+
+    const [hit] = budget.getReport().hits;
+    assert.equal(hit.type, "path-prefix");
+    assert.equal(hit.skipped, 2);
+  });
+
+  it("samples URLs matching a template pattern", () => {
+    const budget = new CrawlBudget({
+      templates: [{ key: "/p/\\d+", limit: 1 }],
+    });
+
+    assert.equal(budget.admit("https://example.com/p/1").allowed, true);
+    assert.deepEqual(budget.admit("https://example.com/p/2"), {
+      allowed: false,
+      budget: "template",
+      key: "/p/\\d+",
+    });
+  });
+
+  it("rejects malformed limits", () => {
+    assert.throws(
+      () => new CrawlBudget({ pathCaps: ["/blog"] }),
+      /expected <prefix>=<count>/
+    );
+    assert.throws(
+      () => new CrawlBudget({ templates: ["/p/=-1"] }),
+      /Invalid count/
+    );
+  });
+
+  it("reserves part of the time budget for auditing", () => {
+    const budget = new CrawlBudget({ maxDuration: 1000, auditReserve: 0.25 });
+    budget.start();
+    budget.startedAt -= 800;
+
+    assert.equal(budget.getDeadline("crawl"), 750);
+    assert.equal(budget.isExpired("crawl"), true);
+    assert.equal(budget.isExpired("audit"), false);
+    assert.equal(budget.checkTime("crawl", 4), true);
+    assert.equal(budget.checkTime("audit", 4), false);
+
+    const report = budget.getReport();
+    assert.equal(report.stoppedEarly, true);
+    assert.deepEqual(report.deadlines, { crawl: 750, audit: 1000 });
+    assert.equal(report.hits[0].skipped, 4);
+  });
+
+  it("never expires without a time budget", () => {
+    const budget = new CrawlBudget();
+    budget.start();
+
+    assert.equal(budget.isExpired("crawl"), false);
+    assert.equal(budget.checkTime("audit", 10), false);
+  });
+
+  it("restores limit usage but not time hits from a snapshot", () => {
+    const budget = new CrawlBudget({ pathCaps: ["/a/=1"], maxDuration: 1 });
+    budget.start();
+    budget.startedAt -= 10;
+    budget.admit("https://example.com/a/1");
+    budget.admit("https://example.com/a/2");
+    budget.checkTime("crawl");
+
+    const restored = new CrawlBudget({ pathCaps: ["/a/=1"] });
+    restored.restoreSnapshot(budget.createSnapshot());
+
+    assert.equal(restored.admit("https://example.com/a/3").allowed, false);
+    assert.deepEqual(
+      restored.getReport().hits.map((hit) => hit.type),
+      ["path-prefix"]
+    );
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import CrawlQueue from "../../src/crawlers/CrawlQueue.js";
+
+const drain = (queue) => {
+  const urls = [];
+  let item;
+  while ((item = queue.next())) urls.push(item.url);
+  return urls;
+};
+
+describe("CrawlQueue", () => {
+  it("dequeues in insertion order for bfs", () => {
+    const queue = new CrawlQueue({ strategy: "bfs" });
+    ["/a", "/b", "/c"].forEach((url, depth) => queue.add(url, depth));
+
+    assert.deepEqual(drain(queue), ["/a", "/b", "/c"]);
+  });
+
+  it("dequeues the newest item first for dfs", () => {
+    const queue = new CrawlQueue({ strategy: "dfs" });
+    ["/a", "/b", "/c"].forEach((url) => queue.add(url, 1));
+
+    assert.deepEqual(drain(queue), ["/c", "/b", "/a"]);
+  });
+
+  it("orders sitemap-priority by sitemap priority", () => {
+    const queue = new CrawlQueue({ strategy: "sitemap-priority" });
+    queue.add("/low", 1, null, { sitemapPriority: 0.1, seeded: true });
+    queue.add("/linked", 1);
+    queue.add("/high", 1, null, { sitemapPriority: 0.9, seeded: true });
+
+    assert.deepEqual(drain(queue), ["/high", "/linked", "/low"]);
+  });
+
+  it("orders inbound-links by recorded inbound links", () => {
+    const queue = new CrawlQueue({ strategy: "inbound-links" });
+    queue.add("/once", 1);
+    queue.add("/popular", 1);
+    queue.recordInboundLink("/once");
+    queue.recordInboundLink("/popular");
+    queue.recordInboundLink("/popular");
+
+    assert.deepEqual(drain(queue), ["/popular", "/once"]);
+  });
+
+  it("adds priority rule weights to the strategy score", () => {
+    const queue = new CrawlQueue({ priorityRules: ["/product/=10"] });
+    queue.add("/about", 1);
+    queue.add("/product/1", 1);
+
+    assert.deepEqual(drain(queue), ["/product/1", "/about"]);
+  });
+
+  it("queues sitemap seeds behind linked URLs until they are linked", () => {
+    const queue = new CrawlQueue({ strategy: "bfs" });
+    queue.add("/seed", 1, null, { seeded: true });
+    queue.add("/other-seed", 1, null, { seeded: true });
+    queue.add("/linked", 1);
+    queue.markLinked("/other-seed");
+
+    assert.deepEqual(drain(queue), ["/other-seed", "/linked", "/seed"]);
+  });
+
+  it("reports distinct pending URLs", () => {
+    const queue = new CrawlQueue();
+    queue.add("/a", 1);
+    queue.add("/a", 2);
+    queue.add("/b", 1);
+
+    assert.deepEqual(queue.getPendingUrls(), ["/a", "/b"]);
+    assert.equal(queue.size(), 3);
+  });
+
+  it("leaves URLs beyond a depth limit out of the pending list", () => {
+    const queue = new CrawlQueue();
+    queue.add("/shallow", 1);
+    queue.add("/deep", 2);
+
+    assert.deepEqual(queue.getPendingUrls(1), ["/shallow"]);
+  });
+
+  it("rejects unknown strategies and malformed rules", () => {
+    assert.throws(
+      () => new CrawlQueue({ strategy: "random" }),
+      /Unknown crawl strategy "random"/
+    );
+    assert.throws(
+      () => new CrawlQueue({ priorityRules: ["/blog"] }),
+      /expected <pattern>=<weight>/
+    );
+    assert.throws(
+      () => new CrawlQueue({ priorityRules: ["/blog=high"] }),
+      /Invalid weight/
+    );
+  });
+
+  it("accepts a custom score function", () => {
+    const queue = new CrawlQueue({ strategy: (item) => item.url.length });
+    queue.add("/a", 1);
+    queue.add("/longer", 1);
+
+    assert.deepEqual(drain(queue), ["/longer", "/a"]);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import LinkDiscovery from "../../src/crawlers/LinkDiscovery.js";
+
+const createPage = (requests) => {
+  const mainFrame = {};
+  const outcomes = [];
+  let handler = null;
+
+  return {
+    outcomes,
+    mainFrame: () => mainFrame,
+    route: async (pattern, routeHandler) => {
+      handler = routeHandler;
+    },
+    unroute: async () => {
+      handler = null;
+    },
+    evaluate: async () => {
+      requests.forEach(({ url, method, navigation }) => {
+        handler(
+          {
+            abort: () => outcomes.push(["abort", method, url]),
+            fallback: () => outcomes.push(["fallback", method, url]),
+          },
+          {
+            url: () => url,
+            method: () => method,
+            isNavigationRequest: () => navigation,
+            frame: () => mainFrame,
+          }
+        );
+      });
+    },
+  };
+};
+
+describe("LinkDiscovery", () => {
+  it("blocks side-effect requests and records navigations while clicking", async () => {
+    const discovery = new LinkDiscovery({
+      discoveryMode: "extended",
+      discoveryInteractionDelay: 1,
+    });
+    const page = createPage([
+      { url: "https://x.com/api/cart", method: "POST", navigation: false },
+      { url: "https://x.com/api/item/1", method: "DELETE", navigation: false },
+      { url: "https://x.com/products", method: "GET", navigation: true },
+      { url: "https://x.com/app.js", method: "GET", navigation: false },
+    ]);
+
+    const links = await discovery.clickCandidates(page);
+
+    assert.deepEqual(page.outcomes, [
+      ["abort", "POST", "https://x.com/api/cart"],
+      ["abort", "DELETE", "https://x.com/api/item/1"],
+      ["abort", "GET", "https://x.com/products"],
+      ["fallback", "GET", "https://x.com/app.js"],
+    ]);
+    assert.deepEqual(
+      links.map((link) => link.href),
+      ["https://x.com/products"]
+    );
+  });
+});
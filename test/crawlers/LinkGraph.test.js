@@ -0,0 +1,76 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import LinkGraph from "../../src/crawlers/LinkGraph.js";
+
+const byUrl = (graph) =>
+  new Map(graph.getPageMetrics().map((page) => [page.url, page]));
+
+describe("LinkGraph", () => {
+  it("computes a PageRank distribution that sums to one", () => {
+    const graph = new LinkGraph();
+    graph.setStartUrl("/");
+    graph.addEdge("/", "/a");
+    graph.addEdge("/", "/b");
+    graph.addEdge("/a", "/b");
+    graph.addEdge("/b", "/");
+
+    const pages = byUrl(graph);
+    const total = Array.from(pages.values()).reduce(
+      (sum, page) => sum + page.pageRank,
+      0
+    );
+
+    assert.ok(Math.abs(total - 1) < 1e-4);
+    assert.ok(pages.get("/b").pageRank > pages.get("/a").pageRank);
+    assert.equal(
+      Math.max(...Array.from(pages.values(), (page) => page.linkScore)),
+      100
+    );
+  });
+
+  it("does not pass rank through nofollow links", () => {
+    const graph = new LinkGraph();
+    graph.setStartUrl("/");
+    graph.addEdge("/", "/followed");
+    graph.addEdge("/", "/nofollow", { nofollow: true });
+
+    const pages = byUrl(graph);
+    assert.ok(
+      pages.get("/followed").pageRank > pages.get("/nofollow").pageRank
+    );
+    assert.equal(pages.get("/nofollow").inboundLinks, 1);
+  });
+
+  it("reports click depth, orphans and near orphans", () => {
+    const graph = new LinkGraph({ nearOrphanThreshold: 1 });
+    graph.setStartUrl("/");
+    graph.addEdge("/", "/a");
+    graph.addEdge("/", "/b");
+    graph.addEdge("/a", "/b");
+    graph.addEdge("/a", "/deep");
+    graph.addNode("/orphan");
+    graph.addEdge("/orphan", "/orphan");
+
+    const json = graph.toJSON();
+    const pages = byUrl(graph);
+
+    assert.equal(pages.get("/").clickDepth, 0);
+    assert.equal(pages.get("/deep").clickDepth, 2);
+    assert.deepEqual(json.orphans, ["/orphan"]);
+    assert.deepEqual(json.nearOrphans, ["/a", "/deep"]);
+    assert.deepEqual(json.unreachable, ["/orphan"]);
+  });
+
+  it("merges repeated edges and round-trips snapshots", () => {
+    const graph = new LinkGraph();
+    graph.setStartUrl("/");
+    graph.addEdge("/", "/a", { text: "A", position: "nav" });
+    const edge = graph.addEdge("/", "/a", { text: " A ", position: "nav" });
+
+    assert.equal(edge.count, 2);
+
+    const restored = new LinkGraph();
+    restored.restoreSnapshot(graph.createSnapshot());
+    assert.deepEqual(restored.toJSON(), graph.toJSON());
+  });
+});
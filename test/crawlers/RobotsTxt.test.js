@@ -0,0 +1,176 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import RobotsTxt from "../../src/crawlers/RobotsTxt.js";
+
+const CONTENT = `
+User-agent: *
+Disallow: /private
+Allow: /private/open
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: googlebot
+User-agent: bingbot
+Disallow: /no-bots
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+const createRobots = (userAgent, content = CONTENT) => {
+  const robots = new RobotsTxt({ userAgent });
+  const parsed = robots.parse(content);
+  const loaded = {
+    ...parsed,
+    url: "https://example.com/robots.txt",
+    group: robots.selectGroup(parsed.groups),
+  };
+  robots.fetch = async () => loaded;
+  return robots;
+};
+
+describe("RobotsTxt", () => {
+  it("parses groups with shared user-agent lines and sitemaps", () => {
+    const { groups, sitemaps } = new RobotsTxt().parse(CONTENT);
+
+    assert.equal(groups.length, 2);
+    assert.deepEqual(groups[1].agents, ["googlebot", "bingbot"]);
+    assert.equal(groups[0].crawlDelay, 2);
+    assert.deepEqual(sitemaps, ["https://example.com/sitemap.xml"]);
+  });
+
+  it("extracts product tokens from a user-agent string", () => {
+    const robots = new RobotsTxt();
+
+    assert.deepEqual(
+      robots.getProductTokens(
+        "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"
+      ),
+      ["mozilla", "googlebot"]
+    );
+    assert.deepEqual(robots.getProductTokens("MyCrawler"), ["mycrawler"]);
+  });
+
+  it("selects the group for a matching product token", async () => {
+    const robots = createRobots("Mozilla/5.0 (compatible; Googlebot/2.1)");
+
+    assert.equal(
+      (await robots.check("https://example.com/no-bots")).allowed,
+      false
+    );
+    assert.equal(
+      (await robots.check("https://example.com/private")).allowed,
+      true
+    );
+    assert.equal(await robots.getCrawlDelay("https://example.com/"), 0);
+  });
+
+  it("does not match agent names that are only substrings", async () => {
+    const robots = createRobots("Googlebot-News/1.0");
+
+    assert.equal(
+      (await robots.check("https://example.com/no-bots")).agent,
+      "*"
+    );
+  });
+
+  it("applies the longest matching rule, preferring allow on ties", async () => {
+    const robots = createRobots("SEO-Landing-Page-Auditor/2.0");
+
+    assert.equal(
+      (await robots.check("https://example.com/private/x")).allowed,
+      false
+    );
+    assert.equal(
+      (await robots.check("https://example.com/private/open/x")).allowed,
+      true
+    );
+    assert.equal(
+      (await robots.check("https://example.com/doc.pdf")).allowed,
+      false
+    );
+    assert.equal(
+      (await robots.check("https://example.com/doc.pdf?x=1")).allowed,
+      true
+    );
+    assert.equal(await robots.getCrawlDelay("https://example.com/"), 2000);
+  });
+
+  it("allows everything when no group applies", async () => {
+    const robots = createRobots(
+      "Other/1.0",
+      "User-agent: googlebot\nDisallow: /"
+    );
+
+    assert.deepEqual(await robots.check("https://example.com/x"), {
+      allowed: true,
+      rule: null,
+      robotsUrl: "https://example.com/robots.txt",
+    });
+  });
+
+  it("prefers the first-listed product token over file order", async () => {
+    const robots = createRobots(
+      "MyBot/1.0 Bingbot/2.0",
+      "User-agent: bingbot\nDisallow: /b\n\nUser-agent: mybot\nDisallow: /m"
+    );
+
+    const result = await robots.check("https://example.com/m");
+    assert.equal(result.agent, "mybot");
+    assert.equal(result.allowed, false);
+  });
+
+  describe("fetch status handling", () => {
+    let server;
+    let origin;
+    let status;
+
+    before(async () => {
+      server = http.createServer((request, response) => {
+        response.writeHead(status, { "Content-Type": "text/plain" });
+        response.end("User-agent: *\nDisallow: /private");
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    const checkWithStatus = async (code, path) => {
+      status = code;
+      const robots = new RobotsTxt({ userAgent: "Tester/1.0" });
+      return await robots.check(`${origin}${path}`);
+    };
+
+    it("applies the rules from a successful response", async () => {
+      assert.equal((await checkWithStatus(200, "/private")).allowed, false);
+      assert.equal((await checkWithStatus(200, "/public")).allowed, true);
+    });
+
+    it("allows everything when robots.txt returns 4xx", async () => {
+      assert.equal((await checkWithStatus(404, "/private")).allowed, true);
+      assert.equal((await checkWithStatus(403, "/private")).allowed, true);
+    });
+
+    it("disallows everything when robots.txt returns 5xx", async () => {
+      const result = await checkWithStatus(503, "/public");
+
+      assert.equal(result.allowed, false);
+      assert.equal(result.rule, "disallow: /");
+    });
+
+    it("disallows everything when robots.txt is unreachable", async () => {
+      const robots = new RobotsTxt({ userAgent: "Tester/1.0" });
+      const unreachable = await robots.load("http://127.0.0.1:1");
+
+      assert.equal(unreachable.status, null);
+      assert.ok(unreachable.fetchError);
+      assert.equal(
+        (await robots.check("http://127.0.0.1:1/public")).allowed,
+        false
+      );
+    });
+  });
+});
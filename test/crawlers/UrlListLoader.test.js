@@ -0,0 +1,75 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import UrlListLoader from "../../src/crawlers/UrlListLoader.js";
+
+describe("UrlListLoader", () => {
+  const loader = new UrlListLoader();
+
+  describe("readCsv", () => {
+    it("reads the URL column named in the header", () => {
+      const csv = 'title,Address\n"Home, sweet home",https://example.com/\n';
+
+      assert.deepEqual(loader.readCsv(csv), [{ url: "https://example.com/" }]);
+    });
+
+    it("detects semicolon delimiters and quoted cells", () => {
+      const csv = 'name;url\n"a ""quoted"" name";https://example.com/a\r\n';
+
+      assert.deepEqual(loader.readCsv(csv), [{ url: "https://example.com/a" }]);
+    });
+
+    it("finds the URL column in files without a header", () => {
+      const csv = "1,https://example.com/a\n2,https://example.com/b";
+
+      assert.deepEqual(loader.readCsv(csv), [
+        { url: "https://example.com/a" },
+        { url: "https://example.com/b" },
+      ]);
+    });
+  });
+
+  it("skips comments and blank lines in text lists", () => {
+    assert.deepEqual(
+      loader.readText("# urls\nhttps://example.com/a  note\n\n/b\n"),
+      [{ url: "https://example.com/a" }, { url: "/b" }]
+    );
+  });
+
+  it("detects sitemap, csv and text formats", () => {
+    assert.equal(loader.detectFormat("urls.txt", "<?xml version"), "sitemap");
+    assert.equal(loader.detectFormat("urls.tsv.gz", "a\tb"), "csv");
+    assert.equal(loader.detectFormat("urls.txt", "https://x"), "text");
+  });
+
+  describe("loadFile", () => {
+    let dir;
+
+    before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), "url-list-"));
+    });
+
+    after(async () => {
+      await fs.remove(dir);
+    });
+
+    it("normalises, deduplicates and counts invalid entries", async () => {
+      const file = path.join(dir, "urls.txt");
+      await fs.writeFile(
+        file,
+        "/a/\nhttps://example.com/a?utm_source=x\nmailto:x@example.com\n/b\n"
+      );
+
+      const results = await loader.loadFile(file, "https://example.com/");
+
+      assert.deepEqual(
+        results.map((result) => result.url),
+        ["https://example.com/a", "https://example.com/b"]
+      );
+      assert.equal(loader.getStats().duplicates, 1);
+      assert.equal(loader.getStats().invalid, 1);
+    });
+  });
+});
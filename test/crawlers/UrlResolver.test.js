@@ -0,0 +1,77 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import UrlResolver from "../../src/crawlers/UrlResolver.js";
+
+describe("UrlResolver", () => {
+  describe("normalize", () => {
+    const resolver = new UrlResolver();
+
+    it("drops fragments, default ports and trailing slashes", () => {
+      assert.equal(
+        resolver.normalize("https://Example.COM:443/products/#reviews"),
+        "https://example.com/products"
+      );
+    });
+
+    it("keeps the root path slash", () => {
+      assert.equal(
+        resolver.normalize("https://example.com/"),
+        "https://example.com/"
+      );
+    });
+
+    it("strips tracking parameters and sorts the rest", () => {
+      assert.equal(
+        resolver.normalize(
+          "https://example.com/list?utm_source=mail&b=2&gclid=x&a=1"
+        ),
+        "https://example.com/list?a=1&b=2"
+      );
+    });
+
+    it("collapses duplicate slashes and decodes unreserved characters", () => {
+      assert.equal(
+        resolver.normalize("https://example.com//a//%7Euser/%2fraw"),
+        "https://example.com/a/~user/%2Fraw"
+      );
+    });
+
+    it("returns unparseable input unchanged", () => {
+      assert.equal(resolver.normalize("not a url"), "not a url");
+    });
+
+    it("honours configured rules", () => {
+      const custom = new UrlResolver({
+        normalization: {
+          trailingSlash: true,
+          allowParams: ["page"],
+          collapseIndex: true,
+        },
+      });
+
+      assert.equal(
+        custom.normalize("https://example.com/blog/index.html?page=2&sort=new"),
+        "https://example.com/blog/?page=2"
+      );
+    });
+  });
+
+  describe("resolve", () => {
+    const resolver = new UrlResolver();
+
+    it("resolves relative and protocol-relative links", () => {
+      assert.equal(
+        resolver.resolve("../b?x=1", "https://example.com/a/c/page"),
+        "https://example.com/a/b?x=1"
+      );
+      assert.equal(
+        resolver.resolve("//cdn.example.com/x", "http://example.com/"),
+        "http://cdn.example.com/x"
+      );
+    });
+
+    it("returns null when the base is invalid", () => {
+      assert.equal(resolver.resolve("/a", "not a url"), null);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import AuthManager from "../../src/utils/AuthManager.js";
+
+const createPool = () => {
+  const pool = { contexts: [], closed: false };
+
+  pool.newContext = async (options) => {
+    const context = {
+      options,
+      closed: false,
+      newPage: async () => ({ goto: async () => null }),
+      storageState: async () => ({ cookies: [{ name: "session" }] }),
+      close: async () => {
+        context.closed = true;
+      },
+    };
+    pool.contexts.push(context);
+    return context;
+  };
+  pool.close = async () => {
+    pool.closed = true;
+  };
+
+  return pool;
+};
+
+describe("AuthManager", () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "auth-manager-"));
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  it("runs scripted login in a context from the injected browser pool", async () => {
+    const browserPool = createPool();
+    const authManager = new AuthManager({
+      userAgent: "Tester/1.0",
+      browserPool,
+    });
+    authManager.profileName = "staging";
+    authManager.profile = { type: "login", steps: [] };
+
+    const state = await authManager.performLogin(
+      "https://x.com/",
+      path.join(dir, "staging.json")
+    );
+
+    assert.deepEqual(state.cookies, [{ name: "session" }]);
+    assert.equal(browserPool.contexts.length, 1);
+    assert.equal(browserPool.contexts[0].options.userAgent, "Tester/1.0");
+    assert.equal(browserPool.contexts[0].closed, true);
+    assert.equal(browserPool.closed, false);
+  });
+
+  it("closes the login context when the login fails", async () => {
+    const browserPool = createPool();
+    const authManager = new AuthManager({ browserPool });
+    authManager.profileName = "staging";
+    authManager.profile = {
+      type: "login",
+      steps: [{ action: "unknown" }],
+    };
+
+    await assert.rejects(
+      authManager.performLogin("https://x.com/", path.join(dir, "x.json")),
+      /Scripted login for auth profile "staging" failed/
+    );
+    assert.equal(browserPool.contexts[0].closed, true);
+    assert.equal(browserPool.closed, false);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import BrowserPool from "../../src/utils/BrowserPool.js";
+
+const fakeEntry = (pids) => ({
+  closing: false,
+  contexts: new Set(),
+  cdp: {
+    send: async (method) => {
+      assert.equal(method, "SystemInfo.getProcessInfo");
+      return { processInfo: pids.map((id) => ({ id, type: "renderer" })) };
+    },
+  },
+});
+
+describe("BrowserPool", () => {
+  it("samples the resident memory of the browser processes", async (t) => {
+    if (process.platform !== "linux") {
+      t.skip("reads /proc");
+      return;
+    }
+
+    const pool = new BrowserPool();
+    pool.browsers.add(fakeEntry([process.pid, 0]));
+
+    await pool.sampleMemory();
+    const memory = pool.getMemoryUsage();
+
+    assert.ok(memory.browserRssMB > 0);
+    assert.equal(memory.peakBrowserRssMB, memory.browserRssMB);
+    assert.ok(memory.peakNodeRssMB > 0);
+  });
+
+  it("reports no browser memory when no browser can be sampled", async () => {
+    const pool = new BrowserPool();
+    pool.browsers.add({ ...fakeEntry([]), cdp: null });
+
+    await pool.sampleMemory();
+
+    assert.equal(pool.getMemoryUsage().browserRssMB, null);
+    assert.equal(pool.getStats().peakBrowserRssMB, null);
+  });
+});
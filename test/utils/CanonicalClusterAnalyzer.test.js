@@ -0,0 +1,79 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import CanonicalClusterAnalyzer from "../../src/utils/CanonicalClusterAnalyzer.js";
+
+const page = (url, canonical) => ({
+  success: true,
+  url,
+  canonical: { canonical },
+});
+
+describe("CanonicalClusterAnalyzer", () => {
+  it("treats trailing-slash and tracking-param canonicals as self-referencing", () => {
+    const { findings, stats } = new CanonicalClusterAnalyzer().analyze([
+      page("https://x.com/", "https://x.com/"),
+      page("https://x.com/products", "https://x.com/products/"),
+      page(
+        "https://x.com/products?b=2&a=1",
+        "https://x.com/products/?a=1&b=2&utm_source=feed"
+      ),
+      page("https://x.com/about", "https://X.com/about/#team"),
+    ]);
+
+    assert.deepEqual(findings, []);
+    assert.equal(stats.selfReferencing, 4);
+    assert.equal(stats.outsideCrawl, 0);
+  });
+
+  it("normalises with the crawler's configured rules", () => {
+    const analyzer = new CanonicalClusterAnalyzer({
+      normalization: { trailingSlash: true },
+    });
+    const { stats } = analyzer.analyze([
+      page("https://x.com/products/", "https://x.com/products/"),
+    ]);
+
+    assert.equal(stats.selfReferencing, 1);
+  });
+
+  it("clusters pages that canonicalise to another crawled page", () => {
+    const { clusters, findings } = new CanonicalClusterAnalyzer().analyze([
+      page("https://x.com/shoes", "https://x.com/shoes/"),
+      page("https://x.com/shoes?color=red", "https://x.com/shoes/"),
+      page("https://x.com/shoes?color=blue", "https://x.com/shoes"),
+    ]);
+
+    assert.equal(clusters.length, 1);
+    assert.equal(clusters[0].canonical, "https://x.com/shoes");
+    assert.equal(clusters[0].size, 2);
+    assert.equal(clusters[0].targetStatus, "self-referencing");
+    assert.deepEqual(findings, []);
+  });
+
+  it("reports canonicals outside the crawl, chains and loops", () => {
+    const { findings } = new CanonicalClusterAnalyzer().analyze([
+      page("https://x.com/a", "https://x.com/b/"),
+      page("https://x.com/b", "https://x.com/c"),
+      page("https://x.com/c", "https://x.com/c"),
+      page("https://x.com/d", "https://other.com/d"),
+      page("https://x.com/e", "https://x.com/f"),
+      page("https://x.com/f", "https://x.com/e"),
+    ]);
+
+    assert.deepEqual(findings.map((finding) => finding.type).sort(), [
+      "canonical_cluster_chain",
+      "canonical_cluster_loop",
+      "canonical_outside_crawl",
+    ]);
+  });
+
+  it("flags paginated pages that canonicalise to the first page", () => {
+    const { findings } = new CanonicalClusterAnalyzer().analyze([
+      page("https://x.com/blog", "https://x.com/blog"),
+      page("https://x.com/blog?page=2", "https://x.com/blog/"),
+    ]);
+
+    assert.equal(findings[0].type, "canonical_pagination_to_first");
+    assert.deepEqual(findings[0].urls, ["https://x.com/blog?page=2"]);
+  });
+});
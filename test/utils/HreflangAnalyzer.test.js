@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import HreflangAnalyzer from "../../src/utils/HreflangAnalyzer.js";
+
+const page = (url, alternates, targets = []) => ({
+  success: true,
+  url,
+  hreflang: {
+    alternates: alternates.map(([hreflang, href]) => ({ hreflang, url: href })),
+    targets,
+    hasXDefault: alternates.some(([hreflang]) => hreflang === "x-default"),
+  },
+});
+
+describe("HreflangAnalyzer", () => {
+  it("accepts return links that differ only by crawler normalisation", () => {
+    const { findings, stats } = new HreflangAnalyzer().analyze([
+      page("https://example.com/en", [
+        ["en", "https://example.com/en/"],
+        ["de", "https://EXAMPLE.com/de/?utm_source=nav"],
+      ]),
+      page("https://example.com/de", [
+        ["de", "https://example.com/de"],
+        ["en", "https://example.com:443/en/#top"],
+      ]),
+    ]);
+
+    assert.deepEqual(findings, []);
+    assert.equal(stats.returnLinksChecked, 2);
+  });
+
+  it("reports missing return links between crawled pages", () => {
+    const { findings } = new HreflangAnalyzer().analyze([
+      page("https://example.com/en", [
+        ["en", "https://example.com/en"],
+        ["fr", "https://example.com/fr"],
+      ]),
+      page("https://example.com/fr", [["fr", "https://example.com/fr"]]),
+    ]);
+
+    assert.equal(findings.length, 1);
+    assert.equal(findings[0].type, "missing_return_link");
+    assert.equal(findings[0].target, "https://example.com/fr");
+    assert.equal(findings[0].verifiedBy, "crawl");
+  });
+
+  it("verifies uncrawled targets from fetched alternates", () => {
+    const { findings, stats } = new HreflangAnalyzer().analyze([
+      page(
+        "https://example.com/en",
+        [
+          ["en", "https://example.com/en"],
+          ["es", "https://example.com/es/"],
+          ["it", "https://example.com/it"],
+        ],
+        [
+          {
+            url: "https://example.com/es/",
+            statusCode: 200,
+            alternates: [{ hreflang: "en", url: "https://example.com/en/" }],
+          },
+          { url: "https://example.com/it", statusCode: 404, alternates: [] },
+        ]
+      ),
+    ]);
+
+    assert.deepEqual(findings, []);
+    assert.equal(stats.returnLinksChecked, 1);
+    assert.equal(stats.returnLinksUnverified, 1);
+  });
+});